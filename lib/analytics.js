@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./text');
+const { canonicalTerms } = require('./retrieval');
+
+// Aggregate chat analytics. Only counters are kept: how often each normalised question was asked and
+// how it was answered, and retrieval score histograms. Questions have contact details and names removed
+// before they are counted; sessions, IPs and timestamps per question are never stored, and crisis
+// messages are only counted.
+
+const ANSWER_PATHS = ['blocked', 'faq', 'cache', 'llm', 'extractive', 'no-context', 'degraded', 'crisis'];
+// Paths whose answers came from retrieval, so their scores say something about knowledge-base coverage.
+const RETRIEVAL_PATHS = new Set(['cache', 'llm', 'extractive', 'no-context']);
+const LEXICAL_BUCKETS = [0.5, 1, 2, 4, 8];
+const SIMILARITY_BUCKETS = [0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8];
+const MAX_QUESTION_LENGTH = 200;
+
+const PII_PATTERNS = [
+  [/[^\s@]+@[^\s@]+\.[^\s@]+/g, ' email '],
+  [/\bhttps?:\/\/\S+|\bwww\.\S+/gi, ' link '],
+  [/\+?\d[\d\s().-]{5,}\d/g, ' number '],
+  [/\b(my name is|i am called|i'm called|call me)\s+\S+/gi, '$1 name '],
+];
+// PCOS itself and the placeholders are not topics, so they never show up as content gaps.
+const PLACEHOLDER_TERMS = new Set(['~pcos', ...canonicalTerms('email link number name')]);
+
+// Normalised question text with email addresses, links, phone and other long numbers, and
+// self-introductions replaced by placeholder words.
+function scrubQuestion(text) {
+  let scrubbed = String(text || '');
+  for (const [pattern, replacement] of PII_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, replacement);
+  }
+  return normalizeText(scrubbed).slice(0, MAX_QUESTION_LENGTH).trim();
+}
+
+function bucketLabel(value, edges) {
+  if (value < edges[0]) return `<${edges[0]}`;
+  for (let i = 1; i < edges.length; i += 1) {
+    if (value < edges[i]) return `${edges[i - 1]}-${edges[i]}`;
+  }
+  return `${edges[edges.length - 1]}+`;
+}
+
+function bucketLabels(edges) {
+  return [`<${edges[0]}`, ...edges.slice(1).map((edge, i) => `${edges[i]}-${edge}`), `${edges[edges.length - 1]}+`];
+}
+
+function emptyData() {
+  return {
+    since: new Date().toISOString(),
+    updatedAt: null,
+    paths: {},
+    questions: {},
+    scores: { lexical: {}, vector: {}, none: 0 },
+  };
+}
+
+function loadData(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return emptyData();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { ...emptyData(), ...data, scores: { ...emptyData().scores, ...data.scores } };
+  } catch (error) {
+    console.warn(`[WARN] Failed to load ${filePath}:`, error.message);
+    return emptyData();
+  }
+}
+
+// Counters are written at most once per `flushDelayMs`. `maxQuestions` bounds the number of distinct
+// questions kept; the least asked are dropped first.
+function createChatAnalytics(filePath, { flushDelayMs = 5000, maxQuestions = 5000 } = {}) {
+  const data = loadData(filePath);
+  let flushTimer = null;
+
+  function flush() {
+    flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.warn('[WARN] Failed to persist chat analytics:', error.message);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  function trimQuestions() {
+    const keys = Object.keys(data.questions);
+    if (keys.length <= maxQuestions) return;
+    keys
+      .sort((a, b) => data.questions[a].count - data.questions[b].count)
+      .slice(0, keys.length - Math.floor(maxQuestions * 0.9))
+      .forEach((key) => delete data.questions[key]);
+  }
+
+  return {
+    // `retrieval` is the answer's retrieved chunks as `[{ id, score, scores: { lexical, vector } }]`.
+    record({ question, path: answerPath, retrieval = [] }) {
+      data.paths[answerPath] = (data.paths[answerPath] || 0) + 1;
+      if (answerPath !== 'crisis') {
+        const key = scrubQuestion(question);
+        if (key) {
+          const entry = data.questions[key] || { count: 0, paths: {} };
+          entry.count += 1;
+          entry.paths[answerPath] = (entry.paths[answerPath] || 0) + 1;
+          data.questions[key] = entry;
+          trimQuestions();
+        }
+      }
+      if (RETRIEVAL_PATHS.has(answerPath)) {
+        const best = (name) => Math.max(...retrieval.map((item) => item.scores?.[name] ?? -Infinity));
+        const lexical = best('lexical');
+        const vector = best('vector');
+        if (Number.isFinite(lexical)) {
+          const label = bucketLabel(lexical, LEXICAL_BUCKETS);
+          data.scores.lexical[label] = (data.scores.lexical[label] || 0) + 1;
+        }
+        if (Number.isFinite(vector)) {
+          const label = bucketLabel(vector, SIMILARITY_BUCKETS);
+          data.scores.vector[label] = (data.scores.vector[label] || 0) + 1;
+        }
+        if (!Number.isFinite(lexical) && !Number.isFinite(vector)) data.scores.none += 1;
+      }
+      data.updatedAt = new Date().toISOString();
+      scheduleFlush();
+    },
+
+    snapshot() {
+      return data;
+    },
+
+    flush() {
+      clearTimeout(flushTimer);
+      flush();
+    },
+  };
+}
+
+// The word a question used for a canonical term, for display ("supplements" rather than "supple").
+function termLabel(term, question) {
+  const word = question.split(' ').find((candidate) => canonicalTerms(candidate)[0] === term);
+  return word || term.replace(/^~/, '');
+}
+
+// Turns collected counters into the report served by /api/admin/analytics and `npm run report:chat`.
+// Questions asked fewer than `minCount` times are left out, so one-off questions are never shown.
+// Gaps are topics from unanswered questions, split into those no document mentions and those that are
+// mentioned but were not retrieved with enough confidence.
+function buildAnalyticsReport(data, documents, { minCount = 3, limit = 20 } = {}) {
+  const totalAnswers = Object.values(data.paths).reduce((sum, count) => sum + count, 0);
+  const paths = ANSWER_PATHS.map((name) => ({
+    path: name,
+    count: data.paths[name] || 0,
+    share: totalAnswers ? Number(((data.paths[name] || 0) / totalAnswers).toFixed(3)) : 0,
+  }));
+
+  const questions = Object.entries(data.questions)
+    .filter(([, entry]) => entry.count >= minCount)
+    .sort((a, b) => b[1].count - a[1].count);
+
+  const coveredTerms = new Set(documents.flatMap((doc) => canonicalTerms(`${doc.title || ''} ${doc.content || ''}`)));
+  const gapTopics = new Map();
+  for (const [question, entry] of Object.entries(data.questions)) {
+    const unanswered = entry.paths['no-context'] || 0;
+    if (!unanswered) continue;
+    for (const term of new Set(canonicalTerms(question))) {
+      if (PLACEHOLDER_TERMS.has(term)) continue;
+      const topic = gapTopics.get(term) || { topic: termLabel(term, question), unanswered: 0, examples: [] };
+      topic.unanswered += unanswered;
+      if (entry.count >= minCount && topic.examples.length < 3) topic.examples.push(question);
+      gapTopics.set(term, topic);
+    }
+  }
+  const gaps = Array.from(gapTopics.entries())
+    .filter(([, topic]) => topic.unanswered >= minCount)
+    .map(([term, topic]) => ({ ...topic, inKnowledgeBase: coveredTerms.has(term) }))
+    .sort((a, b) => b.unanswered - a.unanswered);
+
+  return {
+    since: data.since,
+    updatedAt: data.updatedAt,
+    minCount,
+    totalAnswers,
+    paths,
+    topQuestions: questions.slice(0, limit).map(([question, entry]) => ({ question, count: entry.count, paths: entry.paths })),
+    unansweredQuestions: questions
+      .filter(([, entry]) => entry.paths['no-context'])
+      .slice(0, limit)
+      .map(([question, entry]) => ({ question, count: entry.count, unanswered: entry.paths['no-context'] })),
+    scores: {
+      lexical: bucketLabels(LEXICAL_BUCKETS).map((bucket) => ({ bucket, count: data.scores.lexical[bucket] || 0 })),
+      vector: bucketLabels(SIMILARITY_BUCKETS).map((bucket) => ({ bucket, count: data.scores.vector[bucket] || 0 })),
+      noResults: data.scores.none,
+    },
+    contentGaps: {
+      missing: gaps.filter((gap) => !gap.inKnowledgeBase).slice(0, limit),
+      weak: gaps.filter((gap) => gap.inKnowledgeBase).slice(0, limit),
+    },
+  };
+}
+
+module.exports = {
+  scrubQuestion,
+  createChatAnalytics,
+  buildAnalyticsReport,
+};
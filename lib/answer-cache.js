@@ -0,0 +1,174 @@
+// Answer cache: a bounded LRU in memory in front of a persistence store from lib/cache-stores.js.
+// Reads are served from memory (and from the store on a miss, for stores shared between processes);
+// writes are batched and handed to the store at most once per `flushDelayMs`, off the request path.
+
+function entrySize(key, value) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+}
+
+// `maxEntries` and `maxBytes` bound the cache; the least recently used entries are evicted first.
+function createAnswerCache({ store, ttlMs, maxEntries = 1000, maxBytes = 10 * 1024 * 1024, flushDelayMs = 2000 }) {
+  // Map iteration follows insertion order, so re-inserting on every hit keeps it in LRU order.
+  const entries = new Map();
+  const upserts = new Map();
+  const deletes = new Set();
+  const stats = { hits: 0, misses: 0, evictions: 0, writes: 0, writeErrors: 0 };
+  let bytes = 0;
+  let flushTimer = null;
+  let flushing = null;
+
+  function remove(key) {
+    const record = entries.get(key);
+    if (!record) return false;
+    entries.delete(key);
+    bytes -= record.size;
+    return true;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(() => {});
+    }, flushDelayMs);
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  function markDeleted(key) {
+    upserts.delete(key);
+    deletes.add(key);
+    scheduleFlush();
+  }
+
+  function insert(key, record) {
+    remove(key);
+    entries.set(key, record);
+    bytes += record.size;
+    while (entries.size > maxEntries || (bytes > maxBytes && entries.size > 1)) {
+      const oldest = entries.keys().next().value;
+      remove(oldest);
+      // A shared store bounds itself and other processes may still use the entry.
+      if (!store.get) markDeleted(oldest);
+      stats.evictions += 1;
+    }
+  }
+
+  // Writes run one at a time; changes made during a write go out with the next one.
+  async function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    while (flushing) await flushing;
+    if (!upserts.size && !deletes.size) return;
+    const batch = {
+      upserts: Array.from(upserts.entries()).map(([key, record]) => [key, { value: record.value, expiresAt: record.expiresAt }]),
+      deletes: Array.from(deletes),
+      entries: Array.from(entries.entries()).map(([key, record]) => [key, { value: record.value, expiresAt: record.expiresAt }]),
+    };
+    upserts.clear();
+    deletes.clear();
+    flushing = store
+      .write(batch)
+      .then(() => {
+        stats.writes += 1;
+      })
+      .catch((error) => {
+        stats.writeErrors += 1;
+        console.warn(`[WARN] Failed to persist the answer cache (${store.name}):`, error.message);
+      })
+      .finally(() => {
+        flushing = null;
+      });
+    await flushing;
+  }
+
+  return {
+    async init() {
+      const now = Date.now();
+      for (const [key, record] of await store.load()) {
+        if (record.expiresAt > now) insert(key, { ...record, size: entrySize(key, record.value) });
+      }
+      upserts.clear();
+      deletes.clear();
+      return entries.size;
+    },
+
+    async get(key) {
+      let record = entries.get(key);
+      if (!record && store.get) {
+        try {
+          const stored = await store.get(key);
+          if (stored) record = { ...stored, size: entrySize(key, stored.value) };
+        } catch (error) {
+          console.warn(`[WARN] Answer cache lookup failed (${store.name}):`, error.message);
+        }
+      }
+      if (!record || record.expiresAt <= Date.now()) {
+        if (record && remove(key)) markDeleted(key);
+        stats.misses += 1;
+        return null;
+      }
+      insert(key, record);
+      stats.hits += 1;
+      return record.value;
+    },
+
+    set(key, value) {
+      const record = { value, expiresAt: Date.now() + ttlMs, size: entrySize(key, value) };
+      if (record.size > maxBytes) return;
+      insert(key, record);
+      deletes.delete(key);
+      upserts.set(key, record);
+      scheduleFlush();
+    },
+
+    // Resolves to whether an entry was removed, from memory or from the store.
+    async delete(key) {
+      const removed = remove(key);
+      markDeleted(key);
+      if (!store.delete) return removed;
+      try {
+        return (await store.delete(key)) || removed;
+      } catch (error) {
+        console.warn(`[WARN] Answer cache delete failed (${store.name}):`, error.message);
+        return removed;
+      }
+    },
+
+    // Removes every entry whose key `predicate` accepts; returns how many were removed from memory.
+    deleteWhere(predicate) {
+      let removed = 0;
+      for (const key of Array.from(entries.keys())) {
+        if (predicate(key)) {
+          remove(key);
+          markDeleted(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        backend: store.name,
+        entries: entries.size,
+        bytes,
+        maxEntries,
+        maxBytes,
+        ...stats,
+        hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+      };
+    },
+
+    flush,
+
+    async close() {
+      await flush();
+      await store.close();
+    },
+  };
+}
+
+module.exports = {
+  createAnswerCache,
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Persistence backends for lib/answer-cache.js. Every store exposes the same shape:
+//   name
+//   load() -> [[key, record]] to warm the in-memory cache with, oldest first
+//   get(key) -> record or null; only stores shared between processes need it (optional)
+//   write({ upserts, deletes, entries }) -> persists a batch of changes; `entries` is the whole cache
+//   delete(key) -> removes one entry right away and reports whether it held a live one; only stores
+//     that can hold entries the in-memory cache does not know about need it (optional)
+//   close()
+// A record is `{ value, expiresAt }`, with `expiresAt` in epoch milliseconds.
+
+function createMemoryStore() {
+  return {
+    name: 'memory',
+    async load() {
+      return [];
+    },
+    async write() {},
+    async close() {},
+  };
+}
+
+// The whole cache as one JSON object, in LRU order. Writes go to a temporary file that is renamed over
+// the old one, so a crash mid-write never leaves a truncated cache behind.
+function createFileStore(filePath) {
+  return {
+    name: 'file',
+    async load() {
+      let data;
+      try {
+        data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[WARN] Failed to load ${filePath}:`, error.message);
+        return [];
+      }
+      // Entries from before keys were versioned have no expiresAt and are dropped.
+      return Object.entries(data || {}).filter(([, record]) => record && record.value && record.expiresAt);
+    },
+    async write({ entries }) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(entries)), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    },
+    async close() {},
+  };
+}
+
+// Needs the optional better-sqlite3 package. Its calls are synchronous, but writes arrive in debounced
+// batches, each applied in one transaction.
+function createSqliteStore(filePath, { maxEntries }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite cache backend needs the optional better-sqlite3 package, which is not installed.');
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(
+    'CREATE TABLE IF NOT EXISTS answer_cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL, ' +
+      'updated_at INTEGER NOT NULL)'
+  );
+  const upsert = db.prepare(
+    'INSERT INTO answer_cache (key, value, expires_at, updated_at) VALUES (?, ?, ?, ?) ' +
+      'ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, updated_at = excluded.updated_at'
+  );
+  const remove = db.prepare('DELETE FROM answer_cache WHERE key = ?');
+  const removeOne = db.prepare('DELETE FROM answer_cache WHERE key = ? RETURNING expires_at');
+  const removeExpired = db.prepare('DELETE FROM answer_cache WHERE expires_at <= ?');
+  const applyBatch = db.transaction((upserts, deletes) => {
+    const now = Date.now();
+    for (const [key, record] of upserts) upsert.run(key, JSON.stringify(record.value), record.expiresAt, now);
+    for (const key of deletes) remove.run(key);
+    removeExpired.run(now);
+  });
+
+  return {
+    name: 'sqlite',
+    async load() {
+      const rows = db
+        .prepare('SELECT key, value, expires_at FROM answer_cache WHERE expires_at > ? ORDER BY updated_at DESC LIMIT ?')
+        .all(Date.now(), maxEntries);
+      return rows.reverse().map((row) => [row.key, { value: JSON.parse(row.value), expiresAt: row.expires_at }]);
+    },
+    async write({ upserts, deletes }) {
+      applyBatch(upserts, deletes);
+    },
+    async delete(key) {
+      const row = removeOne.get(key);
+      return Boolean(row && row.expires_at > Date.now());
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const text = String(arg);
+    parts.push(`$${Buffer.byteLength(text)}\r\n${text}\r\n`);
+  }
+  return parts.join('');
+}
+
+// Parses one RESP reply from `buffer` at `offset`. Returns `{ value, offset }`, or null when the reply
+// is not complete yet. Error replies come back as Error values.
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected reply type "${type}" from the cache server.`);
+  }
+}
+
+// A minimal client for the Redis protocol (Redis, Valkey, KeyDB, Dragonfly). It connects on first use
+// and again after the connection drops; commands are pipelined in order.
+function createRespClient(url, { timeout = 2000 } = {}) {
+  const parsed = new URL(url);
+  const db = parseInt(parsed.pathname.replace(/^\//, '') || '0', 10) || 0;
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    while (pending.length) pending.shift().reject(error);
+  }
+
+  function connect() {
+    const connection = net.createConnection({ host: parsed.hostname || 'localhost', port: Number(parsed.port) || 6379 });
+    socket = connection;
+    buffer = Buffer.alloc(0);
+    connection.setTimeout(timeout);
+    connection.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply = parseReply(buffer, 0);
+        while (reply) {
+          buffer = buffer.subarray(reply.offset);
+          const request = pending.shift();
+          if (request) {
+            if (reply.value instanceof Error) request.reject(reply.value);
+            else request.resolve(reply.value);
+          }
+          reply = parseReply(buffer, 0);
+        }
+      } catch (error) {
+        connection.destroy(error);
+      }
+    });
+    // Idle connections stay open; only a server that stops answering is dropped.
+    connection.on('timeout', () => {
+      if (pending.length) connection.destroy(new Error('Cache server timed out.'));
+    });
+    connection.on('error', (error) => failAll(error));
+    connection.on('close', () => {
+      if (socket === connection) socket = null;
+      failAll(new Error('Cache server connection closed.'));
+    });
+    // Queued before any other command, so they run first on the new connection.
+    if (parsed.password) {
+      const credentials = [parsed.username, parsed.password].filter(Boolean).map(decodeURIComponent);
+      send(['AUTH', ...credentials]).catch((error) => console.warn('[WARN] Cache server AUTH failed:', error.message));
+    }
+    if (db) send(['SELECT', db]).catch((error) => console.warn('[WARN] Cache server SELECT failed:', error.message));
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    },
+    close() {
+      if (socket) socket.end();
+    },
+  };
+}
+
+// Entries live in the Redis-protocol server and expire there, so several server processes share one
+// cache. Nothing is loaded up front; misses in memory are looked up on the server.
+function createRedisStore(url, { prefix = 'cystem:answer:' } = {}) {
+  const client = createRespClient(url);
+  return {
+    name: 'redis',
+    async load() {
+      return [];
+    },
+    async get(key) {
+      const text = await client.command('GET', `${prefix}${key}`);
+      return text ? JSON.parse(text) : null;
+    },
+    async write({ upserts, deletes }) {
+      const commands = [];
+      for (const [key, record] of upserts) {
+        const ttlMs = record.expiresAt - Date.now();
+        if (ttlMs > 0) commands.push(client.command('SET', `${prefix}${key}`, JSON.stringify(record), 'PX', ttlMs));
+      }
+      if (deletes.length) commands.push(client.command('DEL', ...deletes.map((key) => `${prefix}${key}`)));
+      await Promise.all(commands);
+    },
+    async delete(key) {
+      return (await client.command('DEL', `${prefix}${key}`)) > 0;
+    },
+    async close() {
+      client.close();
+    },
+  };
+}
+
+// CHATBOT_CACHE_BACKEND picks the store: memory, file (the default), sqlite or redis.
+function createCacheStoreFromEnv(env = process.env, { rootDir, maxEntries }) {
+  const backend = String(env.CHATBOT_CACHE_BACKEND || 'file').toLowerCase();
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(env.CHATBOT_CACHE_FILE || path.join(rootDir, 'cache', 'chat-cache.json'));
+    case 'sqlite':
+      return createSqliteStore(env.CHATBOT_CACHE_SQLITE_FILE || path.join(rootDir, 'cache', 'chat-cache.sqlite'), {
+        maxEntries,
+      });
+    case 'redis':
+      return createRedisStore(env.CHATBOT_CACHE_REDIS_URL || 'redis://localhost:6379');
+    default:
+      throw new Error(`Unknown cache backend "${backend}". Use memory, file, sqlite or redis.`);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createSqliteStore,
+  createRedisStore,
+  createCacheStoreFromEnv,
+};
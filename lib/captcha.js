@@ -0,0 +1,258 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// CAPTCHA backends for the public forms. Every verifier exposes the same shape:
+//   name, isConfigured()
+//   clientConfig(form) -> what public/captcha.js needs to get a token (never a secret)
+//   verify(token, { form, ip }) -> { ok, score, action, reason }
+//   csp -> extra Content-Security-Policy sources for the provider's widget
+// `form` names the form being protected (e.g. contact), so each form can have its own reCAPTCHA action,
+// minimum score and proof-of-work difficulty (see formSettings).
+
+const VERIFY_TIMEOUT_MS = 10000;
+const POW_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const PROVIDERS = ['recaptcha-enterprise', 'recaptcha-v3', 'turnstile', 'hcaptcha', 'pow', 'stub'];
+
+// reCAPTCHA action for a form, e.g. CONTACT_FORM_SUBMIT.
+function formAction(form) {
+  return `${String(form).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_FORM_SUBMIT`;
+}
+
+// Per-form settings from the environment: CAPTCHA_MIN_SCORE_CONTACT overrides CAPTCHA_MIN_SCORE for the
+// contact form, and likewise for CAPTCHA_POW_DIFFICULTY.
+function formSettings(env = process.env) {
+  const read = (name, form, fallback, parse) => {
+    const key = `${name}_${String(form).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+    const value = parse(env[key] !== undefined && env[key] !== '' ? env[key] : env[name] || '');
+    return Number.isFinite(value) ? value : fallback;
+  };
+  return (form) => ({
+    action: formAction(form),
+    minScore: read('CAPTCHA_MIN_SCORE', form, 0.5, parseFloat),
+    powDifficulty: Math.min(32, Math.max(1, read('CAPTCHA_POW_DIFFICULTY', form, 16, (value) => parseInt(value, 10)))),
+  });
+}
+
+function failed(reason, details = {}) {
+  return { ok: false, score: null, action: null, ...details, reason };
+}
+
+// Scores and actions are checked the same way for both reCAPTCHA flavours.
+function judge({ valid, score, action, reason }, expected) {
+  const details = { score: typeof score === 'number' ? score : null, action: action || null };
+  if (!valid) return failed(reason || 'invalid-token', details);
+  if (typeof action === 'string' && action && action !== expected.action) return failed('action-mismatch', details);
+  if (typeof score === 'number' && score < expected.minScore) return failed('low-score', details);
+  return { ok: true, ...details, reason: null };
+}
+
+function createRecaptchaEnterpriseVerifier({ siteKey, projectId, apiKey, settings }) {
+  return {
+    name: 'recaptcha-enterprise',
+    csp: { scriptSrc: ['https://www.google.com', 'https://www.gstatic.com'], frameSrc: ['https://www.google.com', 'https://recaptcha.google.com'] },
+    isConfigured() {
+      return Boolean(siteKey && projectId && apiKey);
+    },
+    clientConfig(form) {
+      return { provider: 'recaptcha-enterprise', siteKey, action: settings(form).action };
+    },
+    async verify(token, { form, ip }) {
+      const expected = settings(form);
+      const response = await axios.post(
+        `https://recaptchaenterprise.googleapis.com/v1/projects/${encodeURIComponent(projectId)}/assessments`,
+        { event: { token, siteKey, expectedAction: expected.action, userIpAddress: ip } },
+        { params: { key: apiKey }, timeout: VERIFY_TIMEOUT_MS }
+      );
+      const tokenProperties = response.data.tokenProperties || {};
+      const riskAnalysis = response.data.riskAnalysis || {};
+      return judge(
+        { valid: tokenProperties.valid === true, score: riskAnalysis.score, action: tokenProperties.action, reason: tokenProperties.invalidReason },
+        expected
+      );
+    },
+  };
+}
+
+// reCAPTCHA v3, Turnstile and hCaptcha share the classic siteverify API: a form-encoded POST of the
+// secret and the token, answered with { success, score?, action?, 'error-codes' }.
+function createSiteverifyVerifier({ name, verifyUrl, siteKey, secretKey, extraParams = {}, useScore, csp, settings }) {
+  return {
+    name,
+    csp,
+    isConfigured() {
+      return Boolean(siteKey && secretKey);
+    },
+    clientConfig(form) {
+      return { provider: name, siteKey, action: settings(form).action };
+    },
+    async verify(token, { form, ip }) {
+      const params = new URLSearchParams({ secret: secretKey, response: token, ...extraParams });
+      if (ip) params.set('remoteip', ip);
+      const response = await axios.post(verifyUrl, params, { timeout: VERIFY_TIMEOUT_MS });
+      const data = response.data || {};
+      return judge(
+        {
+          valid: data.success === true,
+          score: useScore ? data.score : undefined,
+          action: data.action,
+          reason: (data['error-codes'] || []).join(','),
+        },
+        settings(form)
+      );
+    },
+  };
+}
+
+// Self-hosted proof of work: the server hands out signed challenges and the browser searches for a nonce
+// whose SHA-256 starts with `difficulty` zero bits. Costs a real visitor a second or two of CPU and a
+// bulk sender the same for every message, with no third party involved. Each challenge is accepted once.
+function createProofOfWorkVerifier({ secret, settings }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const used = new Map(); // challenge -> expiry, until it has expired anyway
+  const sign = (payload) => crypto.createHmac('sha256', key).update(payload).digest('hex');
+
+  function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+  }
+
+  return {
+    name: 'pow',
+    csp: {},
+    isConfigured() {
+      return true;
+    },
+    clientConfig(form) {
+      return { provider: 'pow', challengeUrl: `/api/captcha/challenge?form=${encodeURIComponent(form)}` };
+    },
+    // { challenge, difficulty, expiresAt } for the browser to solve.
+    issueChallenge(form) {
+      const { powDifficulty } = settings(form);
+      const expiresAt = Date.now() + POW_CHALLENGE_TTL_MS;
+      const payload = [form, powDifficulty, expiresAt, crypto.randomBytes(12).toString('hex')].join('.');
+      return { challenge: `${payload}.${sign(payload)}`, difficulty: powDifficulty, expiresAt: new Date(expiresAt).toISOString() };
+    },
+    async verify(token, { form }) {
+      const now = Date.now();
+      for (const [challenge, expiresAt] of used) {
+        if (expiresAt < now) used.delete(challenge);
+      }
+      const separator = String(token).lastIndexOf(':');
+      const challenge = String(token).slice(0, separator);
+      const nonce = String(token).slice(separator + 1);
+      const parts = challenge.split('.');
+      if (separator === -1 || parts.length !== 5 || !nonce) return failed('malformed-token');
+      const [challengeForm, difficultyText, expiresText, , signature] = parts;
+      const expected = Buffer.from(sign(parts.slice(0, 4).join('.')));
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+        return failed('bad-signature');
+      }
+      const difficulty = parseInt(difficultyText, 10);
+      const expiresAt = parseInt(expiresText, 10);
+      if (challengeForm !== form) return failed('form-mismatch');
+      if (expiresAt < now) return failed('expired');
+      if (used.has(challenge)) return failed('reused');
+      if (difficulty < settings(form).powDifficulty) return failed('too-easy');
+      const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+      if (leadingZeroBits(digest) < difficulty) return failed('wrong-answer');
+      used.set(challenge, expiresAt);
+      return { ok: true, score: null, action: null, reason: null };
+    },
+  };
+}
+
+// For local development and demos: accepts any token except "stub-fail", so the contact flow can be
+// exercised end to end without a CAPTCHA account. "stub-low" passes the token check with a 0.1 score,
+// to try the score threshold.
+function createStubVerifier({ settings }) {
+  return {
+    name: 'stub',
+    csp: {},
+    isConfigured() {
+      return true;
+    },
+    clientConfig(form) {
+      return { provider: 'stub', token: 'stub-pass', action: settings(form).action };
+    },
+    async verify(token, { form }) {
+      if (token === 'stub-fail') return failed('stub-fail');
+      return judge({ valid: true, score: token === 'stub-low' ? 0.1 : 0.9 }, settings(form));
+    },
+  };
+}
+
+function createCaptchaVerifier(name, env = process.env) {
+  const settings = formSettings(env);
+  switch (String(name || 'recaptcha-enterprise').toLowerCase()) {
+    case 'recaptcha-enterprise':
+      return createRecaptchaEnterpriseVerifier({
+        siteKey: env.RECAPTCHA_SITE_KEY || '',
+        projectId: env.RECAPTCHA_PROJECT_ID || '',
+        apiKey: env.RECAPTCHA_API_KEY || '',
+        settings,
+      });
+    case 'recaptcha-v3':
+      return createSiteverifyVerifier({
+        name: 'recaptcha-v3',
+        verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+        siteKey: env.RECAPTCHA_SITE_KEY || '',
+        secretKey: env.RECAPTCHA_SECRET_KEY || '',
+        useScore: true,
+        csp: { scriptSrc: ['https://www.google.com', 'https://www.gstatic.com'], frameSrc: ['https://www.google.com'] },
+        settings,
+      });
+    case 'turnstile':
+      return createSiteverifyVerifier({
+        name: 'turnstile',
+        verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+        siteKey: env.TURNSTILE_SITE_KEY || '',
+        secretKey: env.TURNSTILE_SECRET_KEY || '',
+        useScore: false,
+        csp: { scriptSrc: ['https://challenges.cloudflare.com'], frameSrc: ['https://challenges.cloudflare.com'] },
+        settings,
+      });
+    case 'hcaptcha':
+      return createSiteverifyVerifier({
+        name: 'hcaptcha',
+        verifyUrl: 'https://api.hcaptcha.com/siteverify',
+        siteKey: env.HCAPTCHA_SITE_KEY || '',
+        secretKey: env.HCAPTCHA_SECRET_KEY || '',
+        extraParams: { sitekey: env.HCAPTCHA_SITE_KEY || '' },
+        // hCaptcha Enterprise scores run the other way (higher is riskier), so only the token is checked.
+        useScore: false,
+        csp: {
+          scriptSrc: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+          frameSrc: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+          connectSrc: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+        },
+        settings,
+      });
+    case 'pow':
+      return createProofOfWorkVerifier({ secret: env.CAPTCHA_POW_SECRET || '', settings });
+    case 'stub':
+      if (env.NODE_ENV === 'production') throw new Error('CAPTCHA_PROVIDER=stub accepts every visitor and cannot be used in production.');
+      return createStubVerifier({ settings });
+    default:
+      throw new Error(`Unknown CAPTCHA provider "${name}". Use ${PROVIDERS.join(', ')}.`);
+  }
+}
+
+// CAPTCHA_PROVIDER picks the verifier; reCAPTCHA Enterprise stays the default.
+function createCaptchaVerifierFromEnv(env = process.env) {
+  return createCaptchaVerifier(env.CAPTCHA_PROVIDER || 'recaptcha-enterprise', env);
+}
+
+module.exports = {
+  CAPTCHA_PROVIDERS: PROVIDERS,
+  createCaptchaVerifier,
+  createCaptchaVerifierFromEnv,
+  formAction,
+  formSettings,
+};
@@ -0,0 +1,101 @@
+// Kinds of contact form submission. Besides name, email and message, each type has its own fields,
+// which are validated here, kept with the submission in the inbox and filled into its emails. A type's
+// emails use the `<template>-notification` and `<template>-confirmation` templates in emails/, and go
+// to MAIL_TO_<TYPE> (falling back to MAIL_TO).
+//
+// Field kinds:
+//   text     free text up to maxLength characters
+//   choice   one key of `options`
+//   choices  one or more keys of `options` (checkboxes)
+
+const CONTACT_TYPES = {
+  general: {
+    label: 'General message',
+    template: 'contact',
+    messageRequired: true,
+    fields: {},
+  },
+  volunteer: {
+    label: 'Volunteer sign-up',
+    template: 'volunteer',
+    messageRequired: false,
+    fields: {
+      skills: {
+        label: 'Skills',
+        kind: 'choices',
+        options: {
+          outreach: 'Outreach',
+          events: 'Event planning',
+          content: 'Content and writing',
+          design: 'Design',
+          partnerships: 'School and community partnerships',
+          other: 'Something else',
+        },
+      },
+      availability: { label: 'Availability', kind: 'text', maxLength: 500 },
+    },
+  },
+  workshop: {
+    label: 'Workshop or speaker request',
+    template: 'workshop',
+    messageRequired: false,
+    fields: {
+      organization: { label: 'Organisation', kind: 'text', maxLength: 200 },
+      audienceAge: {
+        label: 'Audience age group',
+        kind: 'choice',
+        options: {
+          'under-13': 'Under 13',
+          '13-17': '13 to 17',
+          '18-24': '18 to 24',
+          adults: 'Adults',
+          mixed: 'Mixed ages',
+        },
+      },
+      preferredDates: { label: 'Preferred dates', kind: 'text', maxLength: 300 },
+      format: { label: 'Format', kind: 'choice', options: { 'in-person': 'In person', virtual: 'Virtual' } },
+    },
+  },
+};
+
+const TYPE_NAMES = Object.keys(CONTACT_TYPES);
+
+// Checks the type's fields in a request body. Every field is required. Returns `{ error }` with a
+// message for the visitor, or `{ fields, values, details }`: `fields` as submitted (option keys), `values`
+// with option labels for the email templates, and `details` as [{ label, value }] for the inbox.
+function validateContactFields(type, body = {}) {
+  const definition = typeof type === 'string' && Object.hasOwn(CONTACT_TYPES, type) ? CONTACT_TYPES[type] : null;
+  if (!definition) return { error: 'Please choose what your message is about.' };
+  const fields = {};
+  const values = {};
+  const details = [];
+  for (const [key, field] of Object.entries(definition.fields)) {
+    const name = field.label.toLowerCase();
+    const raw = body[key];
+    if (field.kind === 'text') {
+      const text = typeof raw === 'string' ? raw.trim() : '';
+      if (!text) return { error: `Please fill in ${name}.` };
+      if (text.length > field.maxLength) return { error: `${field.label} must be at most ${field.maxLength} characters.` };
+      fields[key] = text;
+      values[key] = text;
+    } else if (field.kind === 'choice') {
+      if (typeof raw !== 'string' || !Object.hasOwn(field.options, raw)) return { error: `Please choose ${name}.` };
+      fields[key] = raw;
+      values[key] = field.options[raw];
+    } else {
+      const picked = [...new Set((Array.isArray(raw) ? raw : [raw]).filter((item) => typeof item === 'string' && item))];
+      if (!picked.length) return { error: `Please choose at least one of the ${name}.` };
+      if (picked.some((item) => !Object.hasOwn(field.options, item))) return { error: `Please choose ${name} from the list.` };
+      fields[key] = picked;
+      values[key] = picked.map((item) => field.options[item]).join(', ');
+    }
+    details.push({ label: field.label, value: values[key] });
+  }
+  return { fields, values, details };
+}
+
+module.exports = {
+  CONTACT_TYPES,
+  CONTACT_TYPE_NAMES: TYPE_NAMES,
+  validateContactFields,
+};
@@ -0,0 +1,86 @@
+// Crisis detection for chat messages that describe self-harm or suicidal intent. Matching messages get a
+// fixed safe-messaging reply and support lines for the visitor's region instead of a model answer.
+// The reply, patterns and resources come from knowledge/crisis.md, built into rag/crisis.json.
+
+// Used when rag/crisis.json has not been built, so detection never depends on a build step.
+const DEFAULT_CONFIG = {
+  message:
+    "I'm really sorry you're going through this. You don't have to face it alone. If you are in immediate " +
+    'danger, please call your local emergency number now. You can also talk to a trained counselor at any ' +
+    'time using the support lines below.',
+  patterns: [
+    '\\b(suicide|suicidal)\\b',
+    '\\b(kill|hurt|harm|cut) myself\\b',
+    '\\bself[- ]?harm',
+    '\\b(end|take) my (own )?life\\b',
+    '\\bwant to die\\b',
+  ],
+  resources: {
+    US: [{ name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', url: 'https://988lifeline.org' }],
+    default: [
+      { name: 'Find a Helpline', contact: 'Free, confidential support lines by country', url: 'https://findahelpline.com' },
+    ],
+  },
+};
+
+function normalizeRegion(value) {
+  const region = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(region) ? region : '';
+}
+
+function validateResources(resources) {
+  if (!resources || typeof resources !== 'object' || !Array.isArray(resources.default) || !resources.default.length) {
+    throw new Error('Crisis resources need a non-empty `default` list.');
+  }
+  for (const [region, list] of Object.entries(resources)) {
+    if (!Array.isArray(list)) throw new Error(`Crisis resources for ${region} must be a list.`);
+    for (const item of list) {
+      if (!item || !item.name || !item.contact) throw new Error(`Each crisis resource for ${region} needs a name and contact.`);
+    }
+  }
+}
+
+function createCrisisPolicy(config = DEFAULT_CONFIG, { defaultRegion = 'US' } = {}) {
+  const message = String(config.message || '').trim();
+  if (!message) throw new Error('The crisis response message is empty.');
+  const patterns = (Array.isArray(config.patterns) ? config.patterns : []).map((source) => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      throw new Error(`Invalid crisis pattern: ${error.message}`);
+    }
+  });
+  if (!patterns.length) throw new Error('The crisis policy needs at least one pattern.');
+  validateResources(config.resources);
+  const fallbackRegion = normalizeRegion(defaultRegion);
+
+  // A visitor from a region without its own list gets the international `default` list; the configured
+  // default region only applies when the visitor's region is unknown.
+  function resolveRegion(requested) {
+    const region = normalizeRegion(requested) || fallbackRegion;
+    return config.resources[region] ? region : 'default';
+  }
+
+  return {
+    isCrisis(text) {
+      return patterns.some((pattern) => pattern.test(String(text || '')));
+    },
+    // `{ message, region, resources }` for the requested region (an ISO 3166 code such as GB).
+    response(requestedRegion) {
+      const region = resolveRegion(requestedRegion);
+      return {
+        message,
+        region,
+        resources: config.resources[region].map((item) => ({
+          name: String(item.name),
+          contact: String(item.contact),
+          url: item.url ? String(item.url) : undefined,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createCrisisPolicy,
+};
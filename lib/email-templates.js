@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+
+// File-based email templates, so the wording can be edited without touching code. The directory holds:
+//
+//   branding.json              values every template can use as {{brand.name}}, {{brand.color}}, ...
+//   layout.html, layout.txt    shared wrapper; the rendered template goes where {{{content}}} is
+//   <locale>/<name>.html       HTML body
+//   <locale>/<name>.txt        plain-text body, with `subject` (and optionally `from_name`) in frontmatter
+//
+// {{name}} inserts a value escaped for the part it is in: HTML-escaped with line breaks kept in .html
+// files, as is in .txt files. {{{name}}} inserts it unescaped and is only meant for {{{content}}} in the
+// layouts. {{#if name}}...{{/if}} keeps its contents only when the value is not empty (blocks do not
+// nest). An unknown variable is an error, so a typo shows up in the preview rather than in an inbox.
+// A locale only needs the templates it translates; the rest come from the default locale.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;',
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (m) => HTML_ESCAPES[m]);
+}
+
+const ESCAPERS = {
+  html: (value) => escapeHtml(value).replace(/\r?\n/g, '<br>'),
+  text: (value) => value,
+  // Header lines: no line breaks.
+  header: (value) => value.replace(/\s+/g, ' ').trim(),
+};
+
+function lookup(data, name, label) {
+  let value = data;
+  for (const key of name.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      throw new Error(`Unknown variable "${name}" in ${label}.`);
+    }
+    value = value[key];
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function fill(template, data, { escape, label }) {
+  return template
+    .replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, name, inner) => (lookup(data, name, label) ? inner : ''))
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, raw, escaped) =>
+      raw ? lookup(data, raw, label) : ESCAPERS[escape](lookup(data, escaped, label))
+    );
+}
+
+function readText(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n') : null;
+}
+
+// Reads every template once; throws when the default locale is missing a part, so a broken edit stops
+// the server at startup instead of failing a visitor's submission.
+function createEmailTemplates(dir, { defaultLocale = 'en' } = {}) {
+  const brandingText = readText(path.join(dir, 'branding.json'));
+  let brand;
+  try {
+    brand = brandingText ? JSON.parse(brandingText) : {};
+  } catch (error) {
+    throw new Error(`Failed to load ${path.join(dir, 'branding.json')}: ${error.message}`);
+  }
+  const layouts = { html: readText(path.join(dir, 'layout.html')) || '{{{content}}}', text: readText(path.join(dir, 'layout.txt')) || '{{{content}}}' };
+
+  // templates[locale][name] = { html, text, subject, fromName }
+  const templates = {};
+  const localeDirs = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+  for (const locale of localeDirs) {
+    templates[locale] = {};
+    for (const file of fs.readdirSync(path.join(dir, locale)).sort()) {
+      const match = /^(.+)\.(html|txt)$/.exec(file);
+      if (!match) continue;
+      const [, name, ext] = match;
+      const label = `${locale}/${file}`;
+      const entry = templates[locale][name] || (templates[locale][name] = {});
+      const content = readText(path.join(dir, locale, file));
+      if (ext === 'html') {
+        entry.html = content;
+        continue;
+      }
+      const { meta, body } = parseFrontmatter(content, label);
+      if (!meta.subject) throw new Error(`${label} needs a subject in its frontmatter.`);
+      Object.assign(entry, { text: body, subject: String(meta.subject), fromName: meta.from_name ? String(meta.from_name) : null });
+    }
+  }
+
+  const defaults = templates[defaultLocale];
+  if (!defaults) throw new Error(`No email templates for the default locale "${defaultLocale}" in ${dir}.`);
+  for (const [locale, byName] of Object.entries(templates)) {
+    for (const [name, entry] of Object.entries(byName)) {
+      if (!entry.html || entry.text === undefined) {
+        throw new Error(`Email template ${locale}/${name} needs both ${name}.html and ${name}.txt.`);
+      }
+      if (!defaults[name]) throw new Error(`Email template ${locale}/${name} has no ${defaultLocale} version to fall back to.`);
+    }
+  }
+
+  return {
+    brand,
+    defaultLocale,
+    locales: Object.keys(templates),
+    names: Object.keys(defaults).sort(),
+
+    has(name, locale = defaultLocale) {
+      return Boolean(templates[locale]?.[name]);
+    },
+
+    // Returns { subject, fromName, html, text, locale } for `name` in `locale`, or in the default locale
+    // when that one has no translation. `data` holds the template's variables; `brand` is added.
+    render(name, data = {}, { locale = defaultLocale } = {}) {
+      const usedLocale = templates[locale]?.[name] ? locale : defaultLocale;
+      const template = templates[usedLocale][name];
+      if (!template) throw new Error(`Unknown email template "${name}".`);
+      const values = { ...data, brand, locale: usedLocale };
+      const label = `${usedLocale}/${name}`;
+      const subject = fill(template.subject, values, { escape: 'header', label: `${label}.txt subject` });
+      const fromName = fill(template.fromName || '{{brand.name}}', values, { escape: 'header', label: `${label}.txt from_name` });
+      const content = {
+        html: fill(template.html, values, { escape: 'html', label: `${label}.html` }),
+        text: fill(template.text, values, { escape: 'text', label: `${label}.txt` }).trim(),
+      };
+      const layoutValues = { brand, locale: usedLocale, subject };
+      return {
+        subject,
+        fromName,
+        html: fill(layouts.html, { ...layoutValues, content: content.html }, { escape: 'html', label: 'layout.html' }),
+        text: `${fill(layouts.text, { ...layoutValues, content: content.text }, { escape: 'text', label: 'layout.txt' }).trim()}\n`,
+        locale: usedLocale,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createEmailTemplates,
+  escapeHtml,
+};
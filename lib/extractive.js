@@ -0,0 +1,54 @@
+const { tokenize, splitSentences } = require('./text');
+
+// Builds an answer without a language model by picking the retrieved sentences that share the most
+// terms with the question. Sentences keep the [Source N] tag of the context item they came from, so
+// the answer cites sources the same way generated answers do.
+
+const DEFAULT_MAX_SENTENCES = 3;
+const MIN_SENTENCE_CHARS = 25;
+
+function scoreSentence(sentence, questionTokens) {
+  const tokens = new Set(tokenize(sentence));
+  if (!tokens.size) return 0;
+  let overlap = 0;
+  for (const token of questionTokens) {
+    if (tokens.has(token)) overlap += 1;
+  }
+  return overlap / Math.max(1, questionTokens.size);
+}
+
+function buildExtractiveAnswer(question, contextItems, { maxSentences = DEFAULT_MAX_SENTENCES } = {}) {
+  const questionTokens = new Set(tokenize(question));
+  const candidates = [];
+  const seen = new Set();
+
+  contextItems.forEach((item, sourceIndex) => {
+    splitSentences(item.doc.content).forEach((sentence, position) => {
+      const text = sentence.replace(/^[-*•]\s*/, '');
+      const key = text.toLowerCase();
+      if (text.length < MIN_SENTENCE_CHARS || seen.has(key)) return;
+      seen.add(key);
+      // Earlier sources and earlier sentences break ties, since retrieval already ranked the chunks.
+      const score = scoreSentence(text, questionTokens) - sourceIndex * 0.01 - position * 0.001;
+      candidates.push({ text, sourceIndex, position, score });
+    });
+  });
+
+  if (!candidates.length) return null;
+
+  const relevant = candidates.filter((c) => c.score > 0);
+  const picked = (relevant.length ? relevant : candidates)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.sourceIndex - b.sourceIndex || a.position - b.position);
+
+  const lines = picked.map((c) => {
+    const sentence = /[.!?]$/.test(c.text) ? c.text : `${c.text}.`;
+    return `- ${sentence} [Source ${c.sourceIndex + 1}]`;
+  });
+  return `Here is what our trusted sources say:\n\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  buildExtractiveAnswer,
+};
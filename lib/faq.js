@@ -0,0 +1,108 @@
+const { canonicalTerms } = require('./retrieval');
+const { normalizeVector, dot } = require('./vector-store');
+
+// FAQ matching against each FAQ's hand-listed prompts, lexically (overlap of normalised terms) and, when
+// prompt embeddings are available, semantically. A confident match answers directly; a near miss is
+// offered as a "Did you mean…?" suggestion.
+
+const FAQ_MATCH_THRESHOLD = 0.7;
+const FAQ_SUGGEST_THRESHOLD = 0.4;
+const DEFAULT_CONFIDENT_SIMILARITY = 0.75;
+const DEFAULT_SUGGEST_SIMILARITY = 0.55;
+const MAX_SUGGESTIONS = 3;
+
+// Id of a prompt's vector in rag/embeddings.bin.
+function faqPromptId(faq, promptIndex) {
+  return `faq:${faq.id}:${promptIndex}`;
+}
+
+function promptOverlapScore(questionTerms, prompt) {
+  const promptTerms = new Set(canonicalTerms(prompt));
+  if (!promptTerms.size || !questionTerms.size) return 0;
+  let overlap = 0;
+  for (const term of questionTerms) {
+    if (promptTerms.has(term)) overlap += 1;
+  }
+  return overlap / Math.max(questionTerms.size, promptTerms.size);
+}
+
+// Best lexical score per FAQ for a question, highest first: [{ faq, score }].
+function scoreFaqs(question, faqs) {
+  const questionTerms = new Set(canonicalTerms(question));
+  if (!questionTerms.size) return [];
+  const scored = [];
+  for (const faq of faqs) {
+    const prompts = Array.isArray(faq.prompts) ? faq.prompts : [];
+    let best = 0;
+    for (const prompt of prompts) {
+      best = Math.max(best, promptOverlapScore(questionTerms, prompt));
+    }
+    if (best > 0) scored.push({ faq, score: best });
+  }
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+// Best cosine similarity per FAQ id. `faqVectors` is [{ faq, vector }] with unit-length vectors.
+function similarityByFaq(queryVector, faqVectors) {
+  const best = new Map();
+  if (!queryVector || !faqVectors.length) return best;
+  const query = normalizeVector(queryVector);
+  for (const { faq, vector } of faqVectors) {
+    if (vector.length !== query.length) continue;
+    const score = dot(query, vector);
+    if (score > (best.get(faq.id) || 0)) best.set(faq.id, score);
+  }
+  return best;
+}
+
+// Returns `{ match, suggestions }`: `match` is a FAQ to answer with directly, or null; `suggestions` are
+// near-miss FAQs (only when there is no match). Without `queryVector` only lexical scores are used.
+function matchFaqs(
+  question,
+  faqs,
+  {
+    queryVector = null,
+    faqVectors = [],
+    confidentSimilarity = DEFAULT_CONFIDENT_SIMILARITY,
+    suggestSimilarity = DEFAULT_SUGGEST_SIMILARITY,
+  } = {}
+) {
+  const lexical = new Map(scoreFaqs(question, faqs).map((item) => [item.faq.id, item.score]));
+  const semantic = similarityByFaq(queryVector, faqVectors);
+
+  // Each score is scaled by its confident threshold, so 1 means "confident" for either measure.
+  const candidates = faqs
+    .map((faq) => {
+      const lexicalScore = lexical.get(faq.id) || 0;
+      const similarity = semantic.get(faq.id) || 0;
+      return {
+        faq,
+        confidence: Math.max(lexicalScore / FAQ_MATCH_THRESHOLD, similarity / confidentSimilarity),
+        nearMiss: lexicalScore >= FAQ_SUGGEST_THRESHOLD || similarity >= suggestSimilarity,
+      };
+    })
+    .filter((candidate) => candidate.confidence >= 1 || candidate.nearMiss)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  if (candidates.length && candidates[0].confidence >= 1) {
+    return { match: candidates[0].faq, suggestions: [] };
+  }
+  return { match: null, suggestions: candidates.slice(0, MAX_SUGGESTIONS).map((candidate) => candidate.faq) };
+}
+
+// The question shown for a FAQ in suggestions: its `question` field, else its first prompt as a sentence.
+function faqDisplayQuestion(faq) {
+  if (faq.question) return String(faq.question);
+  const prompt = String((faq.prompts || [])[0] || '').trim();
+  if (!prompt) return '';
+  const sentence = prompt.charAt(0).toUpperCase() + prompt.slice(1);
+  return /[?.!]$/.test(sentence) ? sentence : `${sentence}?`;
+}
+
+module.exports = {
+  FAQ_MATCH_THRESHOLD,
+  faqPromptId,
+  scoreFaqs,
+  matchFaqs,
+  faqDisplayQuestion,
+};
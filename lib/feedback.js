@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Answer feedback and the review queue. Recent answers are kept in memory so a rating can be attached
+// to them later; only rated answers are written to disk. A thumbs-down opens a review item that an
+// editor resolves by purging the cached answer, promoting a corrected answer to the FAQs, or dismissing it.
+
+const RATINGS = new Set(['up', 'down']);
+const REVIEW_ACTIONS = new Set(['purge-cache', 'promote', 'dismiss']);
+const MAX_COMMENT_LENGTH = 1000;
+
+function loadEntries(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return [];
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.warn(`[WARN] Failed to load ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+// `answerTtlMs` is how long an answer can still be rated; `maxAnswers` caps how many are remembered.
+function createFeedbackStore(filePath, { answerTtlMs = 30 * 60 * 1000, maxAnswers = 2000 } = {}) {
+  const answers = new Map();
+  const entries = loadEntries(filePath);
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), 'utf8');
+    } catch (error) {
+      console.warn('[WARN] Failed to persist answer feedback:', error.message);
+    }
+  }
+
+  function pruneAnswers() {
+    const now = Date.now();
+    for (const [id, answer] of answers) {
+      if (now - answer.answeredAt > answerTtlMs) answers.delete(id);
+    }
+    while (answers.size > maxAnswers) {
+      answers.delete(answers.keys().next().value);
+    }
+  }
+
+  return {
+    // Remembers an answer for rating and returns its id. `record` holds the question, answer, sources,
+    // retrieval scores and the path that produced it (blocked, faq, cache, llm, extractive, no-context).
+    rememberAnswer(record) {
+      const answerId = crypto.randomUUID();
+      answers.set(answerId, { ...record, answerId, answeredAt: Date.now() });
+      pruneAnswers();
+      return answerId;
+    },
+
+    // Stores or updates the rating for an answer. Returns the entry, or null when the answer id is
+    // unknown or expired. Changing a rating to thumbs-up withdraws an open review item.
+    submit(answerId, { rating, comment }) {
+      if (!RATINGS.has(rating)) throw new Error('Rating must be "up" or "down".');
+      const text = String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH);
+      const now = new Date().toISOString();
+      let entry = entries.find((item) => item.answerId === answerId);
+      if (!entry) {
+        const answer = answers.get(answerId);
+        if (!answer || Date.now() - answer.answeredAt > answerTtlMs) return null;
+        const { answeredAt, ...record } = answer;
+        entry = { id: crypto.randomUUID(), ...record, answeredAt: new Date(answeredAt).toISOString(), createdAt: now };
+        entries.push(entry);
+      }
+      entry.rating = rating;
+      entry.comment = text || entry.comment || '';
+      entry.updatedAt = now;
+      if (rating === 'down' && !entry.review) entry.review = { status: 'open' };
+      if (rating === 'up' && entry.review?.status === 'open') delete entry.review;
+      save();
+      return entry;
+    },
+
+    get(id) {
+      return entries.find((item) => item.id === id) || null;
+    },
+
+    // Rated answers, newest first, optionally only those with a review in `status` (open or resolved).
+    list({ status } = {}) {
+      return entries
+        .filter((item) => !status || item.review?.status === status)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+
+    resolve(id, action, details = {}) {
+      if (!REVIEW_ACTIONS.has(action)) throw new Error(`Unknown review action "${action}".`);
+      const entry = entries.find((item) => item.id === id);
+      if (!entry || !entry.review) return null;
+      entry.review = { status: 'resolved', action, ...details, resolvedAt: new Date().toISOString() };
+      save();
+      return entry;
+    },
+  };
+}
+
+module.exports = {
+  createFeedbackStore,
+};
@@ -0,0 +1,114 @@
+const yaml = require('js-yaml');
+
+// YAML frontmatter for knowledge/*.md files.
+//
+// Recognised keys (all optional except title in practice):
+//   title                 string
+//   source_url            string, the primary source for the file
+//   sources               list of URLs or { title, url } objects; source_url defaults to the first
+//   tags                  list, or a comma-separated string
+//   reviewed_by           list of names, or a single name
+//   reviewed_at           date of the last clinical review (YYYY-MM-DD)
+//   review_interval_days  days until the next review is due (default KB_REVIEW_INTERVAL_DAYS)
+//   audience              e.g. general, teens, clinicians
+//   language              BCP 47 tag, e.g. en
+//   medical               false for non-clinical pages that need no review schedule (default true)
+
+const DEFAULT_REVIEW_INTERVAL_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseFrontmatter(text, fileLabel = 'file') {
+  const normalized = String(text).replace(/\r\n/g, '\n');
+  // The block may be empty (`---` straight after `---`) and may end the file.
+  const match = /^---\n(?:([\s\S]*?)\n)?---(?:\n|$)/.exec(normalized);
+  if (!match) return { meta: {}, body: normalized };
+  const raw = match[1] || '';
+  const body = normalized.slice(match[0].length);
+  let meta;
+  try {
+    meta = yaml.load(raw) || {};
+  } catch (error) {
+    throw new Error(`Invalid frontmatter in ${fileLabel}: ${error.message}`);
+  }
+  if (typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new Error(`Frontmatter in ${fileLabel} must be a mapping of keys to values.`);
+  }
+  return { meta, body };
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map((v) => v.trim()).filter(Boolean);
+  return [value];
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns the frontmatter in one shape regardless of how the editor wrote it. Problems that make a
+// value unusable are collected in `errors` rather than thrown, so callers can report every file.
+function normalizeMeta(meta, { defaultReviewIntervalDays = DEFAULT_REVIEW_INTERVAL_DAYS } = {}) {
+  const errors = [];
+
+  const sources = toList(meta.sources)
+    .map((source) => (typeof source === 'string' ? { title: '', url: source } : source))
+    .filter((source) => {
+      if (source && typeof source.url === 'string' && source.url) return true;
+      errors.push('each entry in sources needs a url');
+      return false;
+    })
+    .map((source) => ({ title: String(source.title || ''), url: source.url }));
+  const sourceUrl = meta.source_url ? String(meta.source_url) : sources[0]?.url || '';
+  if (sourceUrl && !sources.some((source) => source.url === sourceUrl)) {
+    sources.unshift({ title: meta.title ? String(meta.title) : '', url: sourceUrl });
+  }
+
+  const reviewedAt = toIsoDate(meta.reviewed_at);
+  if (meta.reviewed_at && !reviewedAt) errors.push(`reviewed_at "${meta.reviewed_at}" is not a date`);
+
+  let reviewIntervalDays = defaultReviewIntervalDays;
+  if (meta.review_interval_days !== undefined) {
+    const parsed = Number(meta.review_interval_days);
+    if (Number.isInteger(parsed) && parsed > 0) reviewIntervalDays = parsed;
+    else errors.push('review_interval_days must be a positive whole number');
+  }
+
+  return {
+    title: meta.title ? String(meta.title) : '',
+    sourceUrl,
+    sources,
+    tags: toList(meta.tags).map(String),
+    reviewedBy: toList(meta.reviewed_by).map(String),
+    reviewedAt,
+    reviewIntervalDays,
+    audience: meta.audience ? String(meta.audience) : '',
+    language: meta.language ? String(meta.language) : '',
+    medical: meta.medical !== false,
+    errors,
+  };
+}
+
+// `status` is ok, stale (past its due date) or unreviewed (medical content without reviewed_at).
+function reviewStatus(normalizedMeta, now = new Date()) {
+  if (!normalizedMeta.medical) return { status: 'ok', dueAt: null };
+  if (!normalizedMeta.reviewedAt) return { status: 'unreviewed', dueAt: null };
+  const due = new Date(Date.parse(normalizedMeta.reviewedAt) + normalizedMeta.reviewIntervalDays * DAY_MS);
+  return { status: due < now ? 'stale' : 'ok', dueAt: due.toISOString().slice(0, 10) };
+}
+
+function stringifyFrontmatter(meta, body) {
+  const header = yaml.dump(meta, { lineWidth: 120, noRefs: true }).trimEnd();
+  return `---\n${header}\n---\n\n${String(body || '').trim()}\n`;
+}
+
+module.exports = {
+  parseFrontmatter,
+  stringifyFrontmatter,
+  normalizeMeta,
+  reviewStatus,
+};
@@ -0,0 +1,145 @@
+// Guardrail policy: input rules run on the question before retrieval, output rules on the answer before
+// it is returned or cached. Rules come from the frontmatter of knowledge/guardrails.md, built into
+// rag/guardrails.json; the markdown body becomes the system prompt.
+//
+// Rule fields:
+//   id           name used in logs
+//   description  what the rule is for
+//   patterns     regular expressions (case-insensitive); the rule fires when any matches
+//   check        output only: `pattern` (default) or `citations`, which needs no patterns and fires when
+//                the answer has no [Source N] tag or cites a source that was not supplied
+//   action       `block` replaces the whole answer with `response`; `rewrite` (output only) removes the
+//                offending sentences, adding `response` after the rest, or removes invalid citation tags
+//   response     text used in place of, or after, what the rule removed
+
+const crypto = require('crypto');
+
+const DEFAULT_SYSTEM_PROMPT =
+  'You are an educational assistant for Project CYSTEM about PCOS awareness. ' +
+  'Do not provide medical diagnosis, prescriptions, or dosage advice. ' +
+  'If asked for personalized treatment, refuse briefly and recommend consulting a licensed clinician. ' +
+  'Use only the supplied sources. If sources are insufficient, say you do not have enough trusted information. ' +
+  'Keep responses under 180 words and include source tags like [Source 1].';
+
+const DEFAULT_BLOCK_RESPONSE =
+  'I can share general educational information, but I cannot provide diagnosis, prescriptions, or dosage advice. Please consult a licensed clinician for personal medical guidance.';
+
+// Used when rag/guardrails.json has not been built: the checks the server always had.
+const DEFAULT_CONFIG = {
+  input_rules: [
+    {
+      id: 'medical-advice',
+      description: 'Dosing, prescription and diagnosis requests',
+      patterns: ['\\b(dose|dosage|mg|prescribe|prescription|medication plan|treat me|diagnose me)\\b', '\\bhow much\\b.*\\b(mg|dose)\\b'],
+      action: 'block',
+    },
+  ],
+  output_rules: [],
+};
+
+const SOURCE_TAG_PATTERN = /\[Source (\d+)\]/g;
+
+function compileRule(rule, stage, index) {
+  const label = `${stage} rule ${rule?.id || `#${index}`}`;
+  if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error(`Guardrail ${label} needs an id.`);
+  const check = stage === 'output' && rule.check === 'citations' ? 'citations' : 'pattern';
+  const action = rule.action || 'block';
+  const allowedActions = stage === 'input' ? ['block'] : ['block', 'rewrite'];
+  if (!allowedActions.includes(action)) throw new Error(`Guardrail ${label} has unsupported action "${action}".`);
+  const patterns = (Array.isArray(rule.patterns) ? rule.patterns : []).map((source) => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      throw new Error(`Guardrail ${label} has an invalid pattern: ${error.message}`);
+    }
+  });
+  if (check === 'pattern' && !patterns.length) throw new Error(`Guardrail ${label} needs at least one pattern.`);
+  return {
+    id: rule.id,
+    description: String(rule.description || ''),
+    check,
+    action,
+    patterns,
+    response: rule.response ? String(rule.response).trim() : DEFAULT_BLOCK_RESPONSE,
+  };
+}
+
+function splitAnswerSentences(text) {
+  return String(text).match(/[^.!?\n]+(?:[.!?]+(?:\s*\[Source \d+\])*|\n|$)\s*/g) || [];
+}
+
+// 'missing' when the answer cites nothing, 'invalid' when it cites a source number that was not supplied,
+// otherwise null.
+function citationProblem(answer, sourceCount) {
+  const cited = Array.from(String(answer).matchAll(SOURCE_TAG_PATTERN), (match) => Number(match[1]));
+  if (!cited.length) return 'missing';
+  return cited.some((n) => n < 1 || n > sourceCount) ? 'invalid' : null;
+}
+
+function createGuardrailPolicy(config = DEFAULT_CONFIG) {
+  const inputRules = (config.input_rules || []).map((rule, index) => compileRule(rule, 'input', index));
+  const outputRules = (config.output_rules || []).map((rule, index) => compileRule(rule, 'output', index));
+  const systemPrompt = String(config.system_prompt || '').trim() || DEFAULT_SYSTEM_PROMPT;
+  // Cached answers record the policy they were checked against.
+  const version = crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+
+  // Returns `{ action: 'allow' }` or `{ action: 'block', rule, response }` for the first rule that fires.
+  function checkInput(question) {
+    const rule = inputRules.find((candidate) => candidate.patterns.some((pattern) => pattern.test(question)));
+    return rule ? { action: 'block', rule: rule.id, response: rule.response } : { action: 'allow' };
+  }
+
+  // Applies output rules in order. Returns `{ action, answer, rules }`, where `action` is allow, rewrite
+  // or block, `answer` is the text to send and `rules` lists the ids of the rules that fired.
+  function checkOutput(answer, { sourceCount = 0 } = {}) {
+    let text = String(answer || '');
+    const fired = [];
+    for (const rule of outputRules) {
+      if (rule.check === 'citations') {
+        // Answers without sources (the no-data reply, FAQ answers) have nothing to cite.
+        if (!sourceCount) continue;
+        const problem = citationProblem(text, sourceCount);
+        if (!problem) continue;
+        fired.push(rule.id);
+        if (rule.action === 'rewrite' && problem === 'invalid') {
+          text = text.replace(/\s*\[Source (\d+)\]/g, (tag, n) => (Number(n) >= 1 && Number(n) <= sourceCount ? tag : ''));
+          if (!citationProblem(text, sourceCount)) continue;
+        }
+        return { action: 'block', answer: rule.response, rules: fired };
+      }
+
+      if (!rule.patterns.some((pattern) => pattern.test(text))) continue;
+      fired.push(rule.id);
+      if (rule.action === 'block') return { action: 'block', answer: rule.response, rules: fired };
+      const kept = splitAnswerSentences(text).filter((sentence) => !rule.patterns.some((pattern) => pattern.test(sentence)));
+      if (!kept.length) return { action: 'block', answer: rule.response, rules: fired };
+      text = `${kept.join('').trim()}\n\n${rule.response}`;
+    }
+    if (!fired.length) return { action: 'allow', answer: text, rules: fired };
+    return { action: 'rewrite', answer: text.replace(/[ \t]{2,}/g, ' '), rules: fired };
+  }
+
+  // True when a partial streamed answer already matches a blocking output pattern, so the caller can stop
+  // forwarding tokens before the rest of the offending text reaches the client.
+  function outputWouldBlock(partialAnswer) {
+    return outputRules.some(
+      (rule) => rule.check === 'pattern' && rule.action === 'block' && rule.patterns.some((pattern) => pattern.test(partialAnswer))
+    );
+  }
+
+  return {
+    version,
+    systemPrompt,
+    inputRuleCount: inputRules.length,
+    outputRuleCount: outputRules.length,
+    checkInput,
+    checkOutput,
+    outputWouldBlock,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  citationProblem,
+  createGuardrailPolicy,
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Contact inbox: every validated contact form submission, saved before any email about it is sent, so a
+// mail outage never loses a message. Staff move submissions through new, in-progress, replied or spam
+// and leave internal notes for each other. Each submission has a type (see lib/contact-types.js);
+// submissions from before types existed count as general.
+
+const STATUSES = ['new', 'in-progress', 'replied', 'spam'];
+const MAX_NOTE_LENGTH = 2000;
+const MAX_AUTHOR_LENGTH = 80;
+
+function loadSubmissions(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return [];
+    const submissions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(submissions) ? submissions : [];
+  } catch (error) {
+    // Starting empty would overwrite the saved messages on the next submission.
+    throw new Error(`Failed to load ${filePath}: ${error.message}`);
+  }
+}
+
+function cleanAuthor(author) {
+  return String(author || '').trim().slice(0, MAX_AUTHOR_LENGTH) || 'staff';
+}
+
+function matchesSearch(submission, words) {
+  const text = [
+    submission.name,
+    submission.email,
+    submission.message,
+    ...(submission.details || []).map((detail) => detail.value),
+    ...submission.notes.map((note) => note.text),
+  ]
+    .join('\n')
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
+
+function createContactInbox(filePath) {
+  const submissions = loadSubmissions(filePath);
+
+  // Synchronous and atomic (a temporary file renamed over the old one): when save() returns, the
+  // submission is on disk. Errors are thrown so the caller knows it was not saved.
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(submissions, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function find(id) {
+    return submissions.find((item) => item.id === id) || null;
+  }
+
+  return {
+    // Saves a submission with status "new" and returns it. `fields` are the type's own fields and
+    // `details` their labelled values for display. Throws when it cannot be written to disk.
+    add({ type = 'general', name, email, message, fields = {}, details = [], ip }) {
+      const now = new Date().toISOString();
+      const submission = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        status: 'new',
+        type,
+        name,
+        email,
+        message,
+        fields,
+        details,
+        ip: ip || null,
+        notification: { status: 'pending' },
+        notes: [],
+        history: [],
+      };
+      submissions.push(submission);
+      try {
+        save();
+      } catch (error) {
+        submissions.pop();
+        throw error;
+      }
+      return submission;
+    },
+
+    // Records whether the staff notification email went out: `status` is sent or failed.
+    setNotification(id, { status, error }) {
+      const submission = find(id);
+      if (!submission) return null;
+      submission.notification = { status, at: new Date().toISOString() };
+      if (error) submission.notification.error = String(error).slice(0, 500);
+      save();
+      return submission;
+    },
+
+    get: find,
+
+    // Newest first. `status` and `type` filter, `q` keeps submissions whose name, email, message, fields
+    // or notes contain every word of it. Returns `{ items, total, counts, typeCounts }`, with counts per
+    // status and per type for the whole inbox.
+    list({ status, type, q, limit = 50, offset = 0 } = {}) {
+      const words = String(q || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean);
+      const matching = submissions
+        .filter((item) => !status || item.status === status)
+        .filter((item) => !type || (item.type || 'general') === type)
+        .filter((item) => !words.length || matchesSearch(item, words))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const counts = Object.fromEntries(STATUSES.map((name) => [name, 0]));
+      const typeCounts = {};
+      for (const item of submissions) {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+        typeCounts[item.type || 'general'] = (typeCounts[item.type || 'general'] || 0) + 1;
+      }
+      return { items: matching.slice(offset, offset + limit), total: matching.length, counts, typeCounts };
+    },
+
+    // Returns the updated submission, or null when the id is unknown. The change is kept in `history`.
+    setStatus(id, status, { author } = {}) {
+      if (!STATUSES.includes(status)) throw new Error(`Status must be one of ${STATUSES.join(', ')}.`);
+      const submission = find(id);
+      if (!submission) return null;
+      if (submission.status === status) return submission;
+      const now = new Date().toISOString();
+      submission.history.push({ at: now, author: cleanAuthor(author), from: submission.status, to: status });
+      submission.status = status;
+      submission.updatedAt = now;
+      save();
+      return submission;
+    },
+
+    // Internal notes are for staff only and never emailed. Returns the updated submission, or null when
+    // the id is unknown.
+    addNote(id, { text, author }) {
+      const submission = find(id);
+      if (!submission) return null;
+      const now = new Date().toISOString();
+      submission.notes.push({
+        id: crypto.randomUUID(),
+        createdAt: now,
+        author: cleanAuthor(author),
+        text: String(text).trim().slice(0, MAX_NOTE_LENGTH),
+      });
+      submission.updatedAt = now;
+      save();
+      return submission;
+    },
+  };
+}
+
+module.exports = {
+  CONTACT_STATUSES: STATUSES,
+  createContactInbox,
+};
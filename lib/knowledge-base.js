@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCrisisPolicy } = require('./crisis');
+const { faqPromptId } = require('./faq');
+const { createGuardrailPolicy } = require('./guardrails');
+const { createLexicalIndex } = require('./retrieval');
+const { embeddingHash, readVectorStore } = require('./vector-store');
+
+// Loads rag/documents.json, rag/faqs.json, rag/embeddings.bin and the guardrail and crisis policies into
+// one immutable snapshot. The server swaps snapshots as a whole, so a request never mixes documents from one build with
+// vectors from another.
+
+// Identifies the document set independently of the embedding model. rag/embeddings.bin records the
+// version it was built for, which is how stale vectors are detected.
+function knowledgeBaseVersion(documents) {
+  const fingerprint = documents.map((doc) => `${doc.id}\n${doc.title || ''}\n${doc.content || ''}`).join('\n\n');
+  return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 12);
+}
+
+function readJsonArray(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  let value;
+  try {
+    value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(value)) throw new Error(`${path.basename(filePath)} must contain an array.`);
+  return value;
+}
+
+function validateDocuments(documents) {
+  const seen = new Set();
+  documents.forEach((doc, index) => {
+    if (!doc || typeof doc.id !== 'string' || !doc.id) throw new Error(`documents.json entry #${index} has no id.`);
+    if (seen.has(doc.id)) throw new Error(`documents.json has duplicate id "${doc.id}".`);
+    seen.add(doc.id);
+    if (typeof doc.content !== 'string' || !doc.content.trim()) {
+      throw new Error(`documents.json entry "${doc.id}" has no content.`);
+    }
+  });
+}
+
+function validateFaqs(faqs) {
+  faqs.forEach((faq, index) => {
+    const name = faq?.id || `#${index}`;
+    if (!faq || !Array.isArray(faq.prompts) || !faq.prompts.length) {
+      throw new Error(`faqs.json entry ${name} has no prompts.`);
+    }
+    if (typeof faq.answer !== 'string' || !faq.answer.trim()) throw new Error(`faqs.json entry ${name} has no answer.`);
+  });
+}
+
+// Falls back to the built-in policy when the rules have not been built; invalid rules fail the load.
+function loadGuardrails(filePath) {
+  if (!fs.existsSync(filePath)) return createGuardrailPolicy();
+  try {
+    return createGuardrailPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`guardrails.json is invalid: ${error.message}`);
+  }
+}
+
+function loadCrisisPolicy(filePath, crisisRegion) {
+  if (!fs.existsSync(filePath)) return createCrisisPolicy(undefined, { defaultRegion: crisisRegion });
+  try {
+    return createCrisisPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')), { defaultRegion: crisisRegion });
+  } catch (error) {
+    throw new Error(`crisis.json is invalid: ${error.message}`);
+  }
+}
+
+// Returns `{ store, documentsCurrent, problem, mismatch }`. A store that cannot be used disables vector
+// search rather than failing the load; `mismatch` marks a model or provider change, which strict mode
+// treats as fatal. `documentsCurrent` is false when the documents changed after the store was built.
+function loadVectorStore(storePath, { embeddingProviderName, embeddingModel, version }) {
+  const unusable = (problem, mismatch = false) => ({ store: null, documentsCurrent: false, problem, mismatch });
+  if (!fs.existsSync(storePath)) return unusable(null);
+  let store;
+  try {
+    store = readVectorStore(storePath);
+  } catch (error) {
+    return unusable(`Failed to load ${storePath}: ${error.message}`);
+  }
+  if (store.model !== embeddingModel || (store.provider && store.provider !== embeddingProviderName)) {
+    const builtWith = `${store.provider || 'unknown'}/${store.model}`;
+    return unusable(
+      `rag/embeddings.bin was built with ${builtWith} but queries use ${embeddingProviderName}/${embeddingModel}; rerun npm run build:embeddings.`,
+      true
+    );
+  }
+  if (!store.size) return unusable(null);
+  if (store.kbVersion && store.kbVersion !== version) {
+    return {
+      store,
+      documentsCurrent: false,
+      problem: `rag/embeddings.bin was built for knowledge base ${store.kbVersion}, not ${version}; rerun npm run build:embeddings.`,
+      mismatch: false,
+    };
+  }
+  return { store, documentsCurrent: true, problem: null, mismatch: false };
+}
+
+// Prompt vectors for semantic FAQ matching: [{ faq, vector }]. A prompt whose stored hash does not match
+// its current text was edited after the build and is left out until embeddings are rebuilt.
+function collectFaqVectors(faqs, store) {
+  if (!store) return [];
+  const hashById = new Map(store.ids.map((id, row) => [id, store.hashes[row]]));
+  const vectors = [];
+  for (const faq of faqs) {
+    faq.prompts.forEach((prompt, index) => {
+      const id = faqPromptId(faq, index);
+      if (hashById.get(id) !== embeddingHash(store.provider, store.model, String(prompt))) return;
+      vectors.push({ faq, vector: store.getVector(id) });
+    });
+  }
+  return vectors;
+}
+
+// Throws if documents.json, faqs.json, guardrails.json or crisis.json is unusable, so callers can keep serving the
+// previous snapshot.
+function loadKnowledgeBase(ragDir, { embeddingProviderName, embeddingModel, crisisRegion }) {
+  const documents = readJsonArray(path.join(ragDir, 'documents.json'));
+  const faqs = readJsonArray(path.join(ragDir, 'faqs.json'));
+  validateDocuments(documents);
+  validateFaqs(faqs);
+  const guardrails = loadGuardrails(path.join(ragDir, 'guardrails.json'));
+  const crisis = loadCrisisPolicy(path.join(ragDir, 'crisis.json'), crisisRegion);
+
+  const version = documents.length ? knowledgeBaseVersion(documents) : null;
+  const vectors = loadVectorStore(path.join(ragDir, 'embeddings.bin'), { embeddingProviderName, embeddingModel, version });
+  const vectorStore = vectors.documentsCurrent ? vectors.store : null;
+  return {
+    version,
+    loadedAt: new Date().toISOString(),
+    documents,
+    faqs,
+    guardrails,
+    crisis,
+    vectorStore,
+    // Documents with a vector; the store also holds FAQ prompt vectors.
+    embeddingCount: vectorStore ? documents.filter((doc) => vectorStore.has(doc.id)).length : 0,
+    faqVectors: collectFaqVectors(faqs, vectors.store),
+    vectorProblem: vectors.problem,
+    vectorMismatch: vectors.mismatch,
+    lexicalIndex: createLexicalIndex(documents),
+  };
+}
+
+function emptyKnowledgeBase({ crisisRegion } = {}) {
+  return {
+    version: null,
+    loadedAt: null,
+    documents: [],
+    faqs: [],
+    guardrails: createGuardrailPolicy(),
+    crisis: createCrisisPolicy(undefined, { defaultRegion: crisisRegion }),
+    vectorStore: null,
+    embeddingCount: 0,
+    faqVectors: [],
+    vectorProblem: null,
+    vectorMismatch: false,
+    lexicalIndex: createLexicalIndex([]),
+  };
+}
+
+module.exports = {
+  knowledgeBaseVersion,
+  loadKnowledgeBase,
+  emptyKnowledgeBase,
+};
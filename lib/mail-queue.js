@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outbound email queue. Messages are saved to disk before they are handed to SMTP and sent in the
+// background, one at a time, over the caller's (pooled) transport. Temporary failures are retried with
+// exponential backoff; permanent ones, and messages out of attempts, move to the dead letters, where an
+// admin can retry them. Queued messages survive a restart.
+//
+// Message statuses: queued (waiting for its next attempt), sending, sent and dead.
+
+const STATUSES = ['queued', 'sending', 'sent', 'dead'];
+const PERMANENT_CODES = new Set(['EENVELOPE', 'EMESSAGE']);
+
+function loadMessages(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return [];
+    const messages = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(messages) ? messages : [];
+  } catch (error) {
+    // Starting empty would drop the queued messages on the next save.
+    throw new Error(`Failed to load ${filePath}: ${error.message}`);
+  }
+}
+
+// SMTP 5xx replies (unknown mailbox, rejected sender, failed login) will not succeed on a later attempt
+// without someone fixing something first; 4xx replies and connection errors may. nodemailer labels any
+// refused envelope or message EENVELOPE/EMESSAGE, so the reply code decides when there is one.
+function isPermanentMailError(error) {
+  const responseCode = Number(error?.responseCode);
+  if (responseCode) return responseCode >= 500 && responseCode < 600;
+  return PERMANENT_CODES.has(error?.code);
+}
+
+function describeError(error) {
+  const code = error.responseCode || error.code;
+  return String(code ? `${code}: ${error.message}` : error.message).slice(0, 500);
+}
+
+// Listing view of a message, without its body.
+function summarize(message) {
+  const { mail, ...rest } = message;
+  return { ...rest, to: mail.to, subject: mail.subject };
+}
+
+// `transport` is a nodemailer transport (anything with sendMail and close). `onStatus(message)` is called
+// after every delivery attempt.
+function createMailQueue(
+  filePath,
+  { transport, maxAttempts = 8, baseDelayMs = 30 * 1000, maxDelayMs = 60 * 60 * 1000, keepSentMs = 7 * 24 * 60 * 60 * 1000, onStatus = () => {} }
+) {
+  const messages = loadMessages(filePath);
+  // A message that was being sent when the process stopped may or may not have gone out. Sending it
+  // again risks a duplicate, which beats losing it.
+  for (const message of messages) {
+    if (message.status === 'sending') message.status = 'queued';
+  }
+  let timer = null;
+  let draining = null;
+  let stopped = false;
+
+  // Synchronous and atomic, like the contact inbox: when save() returns, the queue is on disk.
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(messages, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function saveQuietly() {
+    try {
+      save();
+    } catch (error) {
+      console.warn('[WARN] Failed to persist the mail queue:', error.message);
+    }
+  }
+
+  function pruneSent() {
+    const cutoff = Date.now() - keepSentMs;
+    for (let i = messages.length - 1; i >= 0; i -= 1) {
+      if (messages[i].status === 'sent' && Date.parse(messages[i].sentAt) < cutoff) messages.splice(i, 1);
+    }
+  }
+
+  // Exponential backoff with jitter: attempt n waits about base * 2^(n-1), capped at maxDelayMs.
+  function retryDelayMs(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  function nextDue() {
+    const now = Date.now();
+    return messages.find((message) => message.status === 'queued' && Date.parse(message.nextAttemptAt) <= now) || null;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped) return;
+    const times = messages.filter((message) => message.status === 'queued').map((message) => Date.parse(message.nextAttemptAt));
+    if (!times.length) return;
+    timer = setTimeout(kick, Math.max(0, Math.min(...times) - Date.now()));
+    if (timer.unref) timer.unref();
+  }
+
+  async function deliver(message) {
+    message.status = 'sending';
+    message.attempts += 1;
+    message.updatedAt = new Date().toISOString();
+    saveQuietly();
+    try {
+      const info = await transport.sendMail(message.mail);
+      message.status = 'sent';
+      message.sentAt = new Date().toISOString();
+      message.messageId = info?.messageId || null;
+      console.log(`[MAIL] Sent ${message.kind} ${message.id} after ${message.attempts} attempt(s)`);
+    } catch (error) {
+      message.lastError = describeError(error);
+      if (isPermanentMailError(error) || message.attempts >= maxAttempts) {
+        message.status = 'dead';
+        console.error(`[MAIL] ${message.kind} ${message.id} moved to dead letters after ${message.attempts} attempt(s): ${message.lastError}`);
+      } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + retryDelayMs(message.attempts)).toISOString();
+        console.warn(
+          `[MAIL] ${message.kind} ${message.id} failed (${message.lastError}), attempt ${message.attempts}/${maxAttempts}, next at ${message.nextAttemptAt}`
+        );
+      }
+    }
+    message.updatedAt = new Date().toISOString();
+    pruneSent();
+    saveQuietly();
+    try {
+      onStatus(message);
+    } catch (error) {
+      console.warn('[WARN] Mail status callback failed:', error.message);
+    }
+  }
+
+  async function drain() {
+    let message = nextDue();
+    while (message && !stopped) {
+      await deliver(message);
+      message = nextDue();
+    }
+    schedule();
+  }
+
+  function kick() {
+    if (stopped || draining) return;
+    draining = drain().finally(() => {
+      draining = null;
+    });
+  }
+
+  return {
+    // Saves `mail` (nodemailer message options) and starts sending it. `kind` labels it in logs and
+    // listings, and `meta` is kept with it (e.g. the contact submission id). Throws when it cannot be
+    // saved.
+    enqueue(mail, { kind = 'mail', meta = {} } = {}) {
+      const now = new Date().toISOString();
+      const message = {
+        id: crypto.randomUUID(),
+        kind,
+        ...meta,
+        status: 'queued',
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now,
+        mail,
+      };
+      messages.push(message);
+      try {
+        save();
+      } catch (error) {
+        messages.pop();
+        throw error;
+      }
+      kick();
+      return summarize(message);
+    },
+
+    // Newest first, optionally only one status, without message bodies.
+    list({ status } = {}) {
+      return messages
+        .filter((message) => !status || message.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarize);
+    },
+
+    // Sends a dead or waiting message again straight away, with a fresh set of attempts. Returns null when
+    // the id is unknown, or the message was already sent or is being sent.
+    retry(id) {
+      const message = messages.find((item) => item.id === id);
+      if (!message || !['dead', 'queued'].includes(message.status)) return null;
+      Object.assign(message, { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+      save();
+      kick();
+      return summarize(message);
+    },
+
+    stats() {
+      const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+      for (const message of messages) counts[message.status] += 1;
+      const waiting = messages.filter((message) => message.status === 'queued');
+      const oldestQueuedAt = waiting.length ? waiting.map((message) => message.createdAt).sort()[0] : null;
+      return { ...counts, oldestQueuedAt };
+    },
+
+    // Sends whatever is due, then keeps retrying on schedule.
+    start() {
+      stopped = false;
+      kick();
+    },
+
+    // Lets the message being sent finish, then closes the transport. Queued messages stay on disk.
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (draining) await draining;
+      transport.close();
+    },
+  };
+}
+
+module.exports = {
+  MAIL_STATUSES: STATUSES,
+  createMailQueue,
+  isPermanentMailError,
+};
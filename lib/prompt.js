@@ -0,0 +1,49 @@
+// The prompts sent to the chat model. The answer prompt is shared by the server and the offline eval
+// (scripts/eval-chatbot.js), so recorded model responses stay valid for exactly the prompts they answered.
+
+// Part of the answer cache key; bump it when buildAnswerMessages changes.
+const CHAT_PROMPT_VERSION = 1;
+
+function buildContextText(items) {
+  return items
+    .map((item, index) => {
+      const doc = item.doc;
+      return `Source ${index + 1}: ${doc.title}\nURL: ${doc.url}\nExcerpt: ${doc.content}`;
+    })
+    .join('\n\n');
+}
+
+// `history` holds earlier `{ role, content }` turns for follow-up questions.
+function buildAnswerMessages(question, contextItems, { systemPrompt, history = [] }) {
+  const contextText = buildContextText(contextItems);
+  const userPrompt = `Question: ${question}\n\nTrusted sources:\n${contextText || 'No relevant sources found.'}`;
+  return [
+    { role: 'system', content: systemPrompt },
+    ...history.map((turn) => ({ role: turn.role, content: turn.content })),
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+// Asks for a follow-up question rewritten to stand alone, so it can be retrieved for without the
+// conversation. `history` holds the earlier `{ role, content }` turns.
+function buildRewriteMessages(question, history) {
+  const transcript = history
+    .map((turn) => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n');
+  return [
+    {
+      role: 'system',
+      content:
+        'Rewrite the follow-up question as a single standalone question using the conversation for context. ' +
+        'Reply with the rewritten question only.',
+    },
+    { role: 'user', content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}` },
+  ];
+}
+
+module.exports = {
+  CHAT_PROMPT_VERSION,
+  buildContextText,
+  buildAnswerMessages,
+  buildRewriteMessages,
+};
@@ -0,0 +1,218 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Chat completion and embedding backends. Every provider exposes the same shape:
+//   name, isConfigured()
+//   complete({ model, messages, temperature, maxTokens, timeout, onToken, signal }) -> { text, usage }
+//   embed(inputs, { model, timeout, onUsage }) -> number[][] (one vector per input, same order)
+// `usage` is the provider's token accounting ({ prompt_tokens, completion_tokens, total_tokens }) or null;
+// embed passes it to `onUsage` when the response includes it.
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+// Reads an OpenAI-style `stream: true` response body, forwarding each content delta to onToken.
+function readCompletionStream(stream, onToken) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let text = '';
+    let usage = null;
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+        try {
+          const parsed = JSON.parse(payload);
+          if (parsed.usage) usage = parsed.usage;
+          const delta = parsed.choices?.[0]?.delta?.content;
+          if (typeof delta !== 'string' || !delta) continue;
+          // Hold back leading whitespace so the streamed text matches the trimmed final answer.
+          const piece = text ? delta : delta.trimStart();
+          if (!piece) continue;
+          text += piece;
+          onToken(piece);
+        } catch (error) {
+          console.warn('[WARN] Skipping malformed completion stream line:', error.message);
+        }
+      }
+    });
+    stream.on('end', () => resolve({ text, usage }));
+    stream.on('error', reject);
+  });
+}
+
+// OpenAI itself and any server speaking its REST dialect (Ollama, llama.cpp server, vLLM, LM Studio).
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, requireApiKey }) {
+  const root = String(baseUrl || '').replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  return {
+    name,
+    isConfigured() {
+      return Boolean(root) && (!requireApiKey || Boolean(apiKey));
+    },
+    async complete({ model, messages, temperature = 0.2, maxTokens, timeout = 20000, onToken, signal }) {
+      const body = { model, temperature, messages, stream: Boolean(onToken) };
+      if (maxTokens) body.max_tokens = maxTokens;
+      if (onToken) body.stream_options = { include_usage: true };
+      const response = await axios.post(`${root}/chat/completions`, body, {
+        headers,
+        timeout,
+        responseType: onToken ? 'stream' : 'json',
+        signal,
+      });
+      if (onToken) {
+        const streamed = await readCompletionStream(response.data, onToken);
+        return { text: streamed.text.trim(), usage: streamed.usage };
+      }
+      return {
+        text: response.data?.choices?.[0]?.message?.content?.trim() || '',
+        usage: response.data?.usage || null,
+      };
+    },
+    async embed(inputs, { model, timeout = 12000, onUsage } = {}) {
+      const response = await axios.post(`${root}/embeddings`, { model, input: inputs }, { headers, timeout });
+      if (onUsage && response.data?.usage) onUsage(response.data.usage);
+      const items = response.data?.data;
+      if (!Array.isArray(items) || items.length !== inputs.length) {
+        throw new Error('Embedding API returned unexpected batch response shape.');
+      }
+      return items.map((item, index) => {
+        if (!Array.isArray(item?.embedding)) {
+          throw new Error(`Embedding response missing vector for input ${index}.`);
+        }
+        return item.embedding;
+      });
+    },
+  };
+}
+
+function mockTokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t.length > 2);
+}
+
+// Hashed bag-of-words vectors: identical text gives identical vectors and shared words raise cosine
+// similarity, which is enough to exercise retrieval end to end without a model.
+function mockEmbedding(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+  for (const token of mockTokens(text)) {
+    const digest = crypto.createHash('md5').update(token).digest();
+    const index = digest.readUInt16BE(0) % MOCK_EMBEDDING_DIMENSIONS;
+    vector[index] += digest[2] % 2 === 0 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map((v) => v / norm) : vector;
+}
+
+// Answers from the first sentence of each supplied excerpt, tagged with its source number. A follow-up
+// rewrite (lib/prompt.js buildRewriteMessages) gets the conversation's last user turn joined to the
+// follow-up; other prompts get their final line back without its label.
+function mockCompletionText(messages) {
+  const lastUser = [...(messages || [])].reverse().find((m) => m.role === 'user');
+  const content = String(lastUser?.content || '');
+  const followUp = /^Follow-up question: (.+)$/m.exec(content);
+  if (followUp) {
+    const userTurns = content.match(/^User: .+$/gm) || [];
+    const previous = userTurns.length ? userTurns[userTurns.length - 1].slice('User: '.length) : '';
+    return previous ? `${previous} ${followUp[1]}` : followUp[1];
+  }
+  const excerpts = [];
+  const pattern = /^Excerpt: (.+)$/gm;
+  let match = pattern.exec(content);
+  while (match) {
+    excerpts.push(match[1]);
+    match = pattern.exec(content);
+  }
+  if (excerpts.length) {
+    return excerpts
+      .map((excerpt, index) => {
+        const sentence = (excerpt.match(/^.*?[.!?](\s|$)/) || [excerpt])[0].trim();
+        return `${sentence} [Source ${index + 1}]`;
+      })
+      .join(' ');
+  }
+  const lastLine = content.trim().split('\n').pop() || '';
+  return lastLine.replace(/^[A-Za-z -]+:\s*/, '').trim();
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    isConfigured() {
+      return true;
+    },
+    async complete({ messages, onToken }) {
+      const text = mockCompletionText(messages);
+      if (onToken) {
+        text.split(/(?<=\s)/).forEach((piece) => onToken(piece));
+      }
+      const promptTokens = Math.ceil(JSON.stringify(messages || []).length / 4);
+      const completionTokens = Math.ceil(text.length / 4);
+      return {
+        text,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+    async embed(inputs, { onUsage } = {}) {
+      if (onUsage) {
+        const promptTokens = Math.ceil(inputs.join('').length / 4);
+        onUsage({ prompt_tokens: promptTokens, total_tokens: promptTokens });
+      }
+      return inputs.map((input) => mockEmbedding(input));
+    },
+  };
+}
+
+function createProvider(name, env = process.env) {
+  switch (String(name || 'openai').toLowerCase()) {
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: env.OPENAI_BASE_URL || OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY || '',
+        requireApiKey: true,
+      });
+    case 'local':
+      return createOpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: env.CHATBOT_LOCAL_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+        apiKey: env.CHATBOT_LOCAL_API_KEY || '',
+        requireApiKey: false,
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown provider "${name}". Use openai, local or mock.`);
+  }
+}
+
+// CHATBOT_PROVIDER picks the chat backend; CHATBOT_EMBEDDING_PROVIDER defaults to the same backend.
+function createProvidersFromEnv(env = process.env) {
+  const chatName = env.CHATBOT_PROVIDER || 'openai';
+  return {
+    chat: createProvider(chatName, env),
+    embedding: createProvider(env.CHATBOT_EMBEDDING_PROVIDER || chatName, env),
+  };
+}
+
+module.exports = {
+  createProvider,
+  createProvidersFromEnv,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+};
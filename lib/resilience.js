@@ -0,0 +1,162 @@
+// Retries and circuit breaking around the chat and embedding providers from lib/providers.js.
+
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+// Rate limits, server errors and dropped connections are worth another try; other 4xx errors are not.
+function isRetryableError(error) {
+  if (error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED' || error?.code === 'CIRCUIT_OPEN') return false;
+  const status = error?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error?.code);
+}
+
+// Full jitter: a random delay up to the exponential cap. A Retry-After header, when present, wins.
+function retryDelayMs(attempt, { baseDelayMs, maxDelayMs }, error) {
+  const retryAfter = Number(error?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error('Aborted'));
+      },
+      { once: true }
+    );
+  });
+}
+
+// Calls `fn(attempt)` up to `retries + 1` times while `shouldRetry(error)` allows it.
+async function withRetries(fn, { retries = 2, baseDelayMs = 500, maxDelayMs = 8000, signal, shouldRetry = isRetryableError } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+      const delay = retryDelayMs(attempt, { baseDelayMs, maxDelayMs }, error);
+      console.warn(
+        `[WARN] Provider call failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Opens after `failureThreshold` failed calls in a row and rejects calls for `cooldownMs`. Then one trial
+// call is let through (half-open): success closes the breaker, failure opens it again.
+function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 60000 }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function open() {
+    if (state !== 'open') console.warn(`[WARN] Circuit breaker ${name} opened after ${failures} failure(s)`);
+    state = 'open';
+    openedAt = Date.now();
+    trialInFlight = false;
+  }
+
+  return {
+    name,
+    isOpen() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) state = 'half-open';
+      return state === 'open' || (state === 'half-open' && trialInFlight);
+    },
+    // Returns false when the call must not be made.
+    tryAcquire() {
+      if (this.isOpen()) return false;
+      if (state === 'half-open') trialInFlight = true;
+      return true;
+    },
+    recordSuccess() {
+      if (state !== 'closed') console.log(`[CHATBOT] Circuit breaker ${name} closed`);
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+    // For calls that ended without an outcome, such as a visitor stopping the answer.
+    release() {
+      trialInFlight = false;
+    },
+    recordFailure() {
+      failures += 1;
+      if (state === 'half-open' || failures >= failureThreshold) open();
+    },
+    status() {
+      this.isOpen();
+      return {
+        state,
+        failures,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : undefined,
+      };
+    },
+  };
+}
+
+function circuitOpenError(breaker) {
+  const error = new Error(`${breaker.name} is unavailable (circuit open).`);
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+// Wraps a provider so calls are retried, pass through `breaker`, and report token usage to
+// `onUsage(kind, usage, model)` with kind "chat" or "embedding". Streamed completions are only retried
+// before the first token, so a visitor never sees text twice. Aborted calls do not count as failures.
+function createResilientProvider(provider, { breaker, retry = {}, onUsage = () => {} }) {
+  return {
+    name: provider.name,
+    isConfigured: () => provider.isConfigured(),
+    async complete(options) {
+      if (!breaker.tryAcquire()) throw circuitOpenError(breaker);
+      let streamed = false;
+      const onToken = options.onToken
+        ? (text) => {
+            streamed = true;
+            options.onToken(text);
+          }
+        : undefined;
+      try {
+        const result = await withRetries(() => provider.complete({ ...options, onToken }), {
+          ...retry,
+          signal: options.signal,
+          shouldRetry: (error) => !streamed && isRetryableError(error),
+        });
+        breaker.recordSuccess();
+        if (result.usage) onUsage('chat', result.usage, options.model);
+        return result;
+      } catch (error) {
+        if (options.signal?.aborted) breaker.release();
+        else breaker.recordFailure();
+        throw error;
+      }
+    },
+    async embed(inputs, options = {}) {
+      if (!breaker.tryAcquire()) throw circuitOpenError(breaker);
+      try {
+        const vectors = await withRetries(
+          () => provider.embed(inputs, { ...options, onUsage: (usage) => onUsage('embedding', usage, options.model) }),
+          retry
+        );
+        breaker.recordSuccess();
+        return vectors;
+      } catch (error) {
+        breaker.recordFailure();
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  isRetryableError,
+  withRetries,
+  createCircuitBreaker,
+  createResilientProvider,
+};
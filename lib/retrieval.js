@@ -0,0 +1,264 @@
+const { normalizeText } = require('./text');
+const { normalizeVector, dot } = require('./vector-store');
+
+// Lexical (BM25) and embedding retrieval over rag/documents.json, combined with reciprocal rank fusion.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+const STOPWORDS = new Set(
+  (
+    'a about above after again all also am an and any are as at be because been before being below between both ' +
+    'but by can could did do does doing down during each few for from further had has have having he her here ' +
+    'hers herself him himself his how i if in into is it its itself just me more most my myself no nor not now of ' +
+    'off on once only or other our ours out over own same she should so some such than that the their theirs them ' +
+    'themselves then there these they this those through to too under until up very was we were what when where ' +
+    'which while who whom why will with would you your yours yourself tell know get got im ive dont'
+  ).split(' ')
+);
+
+// Phrases that mean the same thing in PCOS questions. Any phrase adds the group's concept term, so
+// "irregular periods" and "menstrual cycle changes" share a match even without a common word.
+const SYNONYM_GROUPS = [
+  ['pcos', 'polycystic ovary syndrome', 'polycystic ovarian syndrome', 'polycystic ovaries'],
+  ['overview', 'what is pcos', 'define pcos', 'definition of pcos', 'pcos meaning'],
+  ['period', 'menstrual cycle', 'menstruation', 'menses', 'menstrual'],
+  ['hirsutism', 'hair growth', 'excess hair', 'facial hair', 'unwanted hair', 'body hair'],
+  ['hair loss', 'hair thinning', 'thinning hair', 'alopecia'],
+  ['androgen', 'testosterone', 'male hormone'],
+  ['acne', 'pimple', 'breakout', 'oily skin'],
+  ['fertility', 'infertility', 'conceive', 'conception', 'pregnant', 'pregnancy', 'ovulation'],
+  ['blood sugar', 'glucose', 'insulin resistance', 'prediabetes', 'diabetes'],
+  ['weight', 'obesity', 'overweight', 'bmi', 'weight gain', 'weight loss'],
+  ['exercise', 'physical activity', 'workout', 'movement'],
+  ['diet', 'nutrition', 'eating', 'food'],
+  ['mental health', 'anxiety', 'depression', 'mood', 'emotional well being', 'stress'],
+  ['diagnosis', 'diagnose', 'test', 'ultrasound', 'blood test', 'rotterdam'],
+  ['treatment', 'therapy', 'medication', 'medicine', 'manage', 'management'],
+  ['teen', 'teenager', 'adolescent', 'adolescence', 'young people', 'student'],
+  ['symptom', 'sign', 'warning sign'],
+];
+
+// Light suffix stripping. It only needs to map a word and its inflections to the same stem, not to
+// produce dictionary words.
+function stem(word) {
+  if (word.length <= 4 || /^\d+$/.test(word)) return word;
+  const rules = [
+    [/ational$/, 'ate'],
+    [/ization$/, 'ize'],
+    [/fulness$/, 'ful'],
+    [/ousness$/, 'ous'],
+    [/iveness$/, 'ive'],
+    [/ments?$/, ''],
+    [/ness$/, ''],
+    [/sis$/, 's'],
+    [/ies$/, 'y'],
+    [/ied$/, 'y'],
+    [/ing$/, ''],
+    [/edly$/, ''],
+    [/ed$/, ''],
+    [/ly$/, ''],
+    [/(ss|sh|ch|x|z)es$/, '$1'],
+    [/([^su])s$/, '$1'],
+  ];
+  let stemmed = word;
+  const rule = rules.find(([pattern]) => pattern.test(word));
+  if (rule) {
+    const stripped = word.replace(rule[0], rule[1]);
+    if (stripped.length >= 3) stemmed = stripped;
+  }
+  // A final silent e goes too, so "manage", "managed" and "management" share a stem.
+  return stemmed.length > 4 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+function stemSequence(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(Boolean)
+    .map(stem);
+}
+
+const synonymPhrases = SYNONYM_GROUPS.map((group) => ({
+  concept: `~${group[0]}`,
+  phrases: group.map((phrase) => stemSequence(phrase)),
+}));
+
+function containsPhrase(sequence, phrase) {
+  for (let i = 0; i + phrase.length <= sequence.length; i += 1) {
+    let match = true;
+    for (let j = 0; j < phrase.length; j += 1) {
+      if (sequence[i + j] !== phrase[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return true;
+  }
+  return false;
+}
+
+// Turns text into index terms: stemmed, stopwords removed, plus one concept term per synonym group
+// mentioned.
+function analyze(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const sequence = words.map(stem);
+  const terms = [];
+  words.forEach((word, index) => {
+    if (word.length > 1 && !STOPWORDS.has(word)) terms.push(sequence[index]);
+  });
+  for (const group of synonymPhrases) {
+    if (group.phrases.some((phrase) => containsPhrase(sequence, phrase))) {
+      terms.push(group.concept);
+    }
+  }
+  return terms;
+}
+
+// Like analyze, but the words of a synonym phrase are replaced by the group's concept term, so
+// "polycystic ovary syndrome" and "pcos" both become one `~pcos` term. Suited to short texts such as
+// FAQ prompts, where the extra terms analyze keeps would dilute overlap scores.
+function canonicalTerms(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const sequence = words.map(stem);
+  const covered = new Array(sequence.length).fill(false);
+  const terms = new Set();
+  for (const group of synonymPhrases) {
+    for (const phrase of group.phrases) {
+      for (let i = 0; i + phrase.length <= sequence.length; i += 1) {
+        if (!phrase.every((part, j) => sequence[i + j] === part)) continue;
+        terms.add(group.concept);
+        for (let j = 0; j < phrase.length; j += 1) covered[i + j] = true;
+      }
+    }
+  }
+  words.forEach((word, index) => {
+    if (!covered[index] && word.length > 1 && !STOPWORDS.has(word)) terms.add(sequence[index]);
+  });
+  return Array.from(terms);
+}
+
+function documentText(doc) {
+  return [doc.title, doc.content].filter(Boolean).join('\n');
+}
+
+function createLexicalIndex(documents) {
+  const entries = documents.map((doc) => {
+    const terms = analyze(documentText(doc));
+    const frequencies = new Map();
+    for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    return { doc, length: terms.length, frequencies };
+  });
+  const documentFrequency = new Map();
+  for (const entry of entries) {
+    for (const term of entry.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const totalLength = entries.reduce((sum, entry) => sum + entry.length, 0);
+  const averageLength = entries.length ? totalLength / entries.length : 0;
+
+  function idf(term) {
+    const n = documentFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - n + 0.5) / (n + 0.5));
+  }
+
+  return {
+    size: entries.length,
+    search(query, limit) {
+      const queryTerms = Array.from(new Set(analyze(query)));
+      if (!queryTerms.length) return [];
+      const scored = [];
+      for (const entry of entries) {
+        let score = 0;
+        for (const term of queryTerms) {
+          const tf = entry.frequencies.get(term);
+          if (!tf) continue;
+          const norm = 1 - BM25_B + BM25_B * (entry.length / (averageLength || 1));
+          score += idf(term) * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+        }
+        if (score > 0) scored.push({ doc: entry.doc, score });
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+  };
+}
+
+// `vectorStore` is a store from lib/vector-store.js, whose vectors are already unit length.
+function rankByEmbedding(queryVector, documents, vectorStore, limit) {
+  if (queryVector.length !== vectorStore.dimensions) {
+    throw new Error(`Query embedding has ${queryVector.length} dimensions, store has ${vectorStore.dimensions}.`);
+  }
+  const query = normalizeVector(queryVector);
+  const scored = [];
+  for (const doc of documents) {
+    const vector = vectorStore.getVector(doc.id);
+    if (!vector) continue;
+    const score = dot(query, vector);
+    if (score > 0) scored.push({ doc, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Merges ranked lists by summing 1 / (k + rank). Each fused item keeps the per-retriever scores under
+// `scores` (e.g. { lexical: 3.1, vector: 0.62 }) for logging and analytics.
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  for (const [name, items] of Object.entries(rankings)) {
+    items.forEach((item, index) => {
+      const entry = fused.get(item.doc.id) || { doc: item.doc, score: 0, scores: {} };
+      entry.score += 1 / (k + index + 1);
+      entry.scores[name] = item.score;
+      fused.set(item.doc.id, entry);
+    });
+  }
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+// Keeps the best chunk per heading section (file plus anchor) so neighbouring, overlapping parts of
+// one section do not crowd out other sources.
+function diversifyBySection(items, limit) {
+  const seenSections = new Set();
+  const picked = [];
+  for (const item of items) {
+    const key = item.doc.section ? `${item.doc.section}#${item.doc.anchor || ''}` : item.doc.id;
+    if (seenSections.has(key)) continue;
+    seenSections.add(key);
+    picked.push(item);
+    if (picked.length >= limit) break;
+  }
+  return picked;
+}
+
+// Hybrid retrieval over a knowledge base snapshot from lib/knowledge-base.js: BM25 and embedding rankings
+// are fused with reciprocal rank fusion, then limited to one chunk per section. Matches below
+// `minLexicalScore` or `minSimilarity` are dropped, so weak matches count as "no context". Either ranking
+// may be empty; if both are, the question has no usable context.
+function retrieveContext(kb, question, queryEmbedding, { limit, minLexicalScore, minSimilarity }) {
+  if (!kb.documents.length) return [];
+  const candidatePool = limit * 4;
+  const rankings = {
+    lexical: kb.lexicalIndex.search(question, candidatePool).filter((item) => item.score >= minLexicalScore),
+  };
+  if (queryEmbedding && kb.vectorStore) {
+    try {
+      rankings.vector = rankByEmbedding(queryEmbedding, kb.documents, kb.vectorStore, candidatePool).filter(
+        (item) => item.score >= minSimilarity
+      );
+    } catch (error) {
+      console.warn('[WARN] Embedding retrieval failed, using keyword search only:', error.message);
+    }
+  }
+  return diversifyBySection(reciprocalRankFusion(rankings), limit);
+}
+
+module.exports = {
+  analyze,
+  canonicalTerms,
+  stem,
+  createLexicalIndex,
+  rankByEmbedding,
+  reciprocalRankFusion,
+  diversifyBySection,
+  retrieveContext,
+};
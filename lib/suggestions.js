@@ -0,0 +1,90 @@
+const { FAQ_MATCH_THRESHOLD, scoreFaqs, faqDisplayQuestion } = require('./faq');
+const { canonicalTerms } = require('./retrieval');
+
+// Follow-up and starter questions for the chat widget. Follow-ups come from FAQs and knowledge-base
+// sections that share tags or terms with the answer; starters are FAQs marked `starter: true`.
+
+const DEFAULT_FOLLOW_UPS = 3;
+const DEFAULT_STARTERS = 4;
+
+function normalizeTag(tag) {
+  return String(tag || '').trim().toLowerCase();
+}
+
+// Tags found on every document (such as "pcos") say nothing about what is related.
+function informativeTags(documents, tags) {
+  return new Set(
+    Array.from(tags).filter((tag) => !documents.length || !documents.every((doc) => (doc.tags || []).map(normalizeTag).includes(tag)))
+  );
+}
+
+function starterQuestions(kb, limit = DEFAULT_STARTERS) {
+  const ordered = [...kb.faqs.filter((faq) => faq.starter), ...kb.faqs.filter((faq) => !faq.starter)];
+  return ordered
+    .slice(0, limit)
+    .map((faq) => ({ question: faqDisplayQuestion(faq), faqId: faq.id }))
+    .filter((item) => item.question);
+}
+
+// Returns up to `limit` questions related to an answer: [{ question, faqId? }]. `contextItems` are the
+// retrieved chunks the answer used, and `faq` the FAQ it came from, if any.
+function suggestFollowUps(kb, { question, contextItems = [], faq = null, limit = DEFAULT_FOLLOW_UPS }) {
+  const contextDocs = contextItems.map((item) => item.doc);
+  const rawTags = new Set([...contextDocs, ...(faq ? [faq] : [])].flatMap((item) => (item.tags || []).map(normalizeTag)));
+  const tags = informativeTags(kb.documents, rawTags);
+  const topicTerms = new Set(
+    canonicalTerms([question, ...tags, ...contextDocs.map((doc) => doc.heading || doc.page_title || '')].join(' '))
+  );
+  topicTerms.delete('~pcos');
+
+  // FAQs the question already matches would only repeat the answer.
+  const answered = new Set(scoreFaqs(question, kb.faqs).filter((item) => item.score >= FAQ_MATCH_THRESHOLD).map((item) => item.faq.id));
+  if (faq) answered.add(faq.id);
+
+  const candidates = [];
+  for (const candidate of kb.faqs) {
+    if (answered.has(candidate.id)) continue;
+    const tagHits = (candidate.tags || []).map(normalizeTag).filter((tag) => tags.has(tag)).length;
+    const terms = canonicalTerms([...(candidate.prompts || []), ...(candidate.tags || [])].join(' '));
+    const termHits = terms.filter((term) => topicTerms.has(term)).length;
+    const score = tagHits * 2 + termHits;
+    if (score > 0) candidates.push({ question: faqDisplayQuestion(candidate), faqId: candidate.id, score });
+  }
+
+  // Other sections, on the same page or pages that share tags or terms with the answer's sources.
+  const sectionKey = (doc) => (doc.section ? `${doc.section}#${doc.anchor || ''}` : doc.id);
+  const usedSections = new Set(contextDocs.map(sectionKey));
+  const seenSections = new Set();
+  for (const doc of kb.documents) {
+    const key = sectionKey(doc);
+    if (usedSections.has(key) || seenSections.has(key)) continue;
+    seenSections.add(key);
+    const topic = doc.heading || doc.page_title || doc.title;
+    const sharedTags = (doc.tags || []).map(normalizeTag).filter((tag) => tags.has(tag)).length;
+    const termHits = canonicalTerms([topic, ...(doc.tags || [])].join(' ')).filter((term) => topicTerms.has(term)).length;
+    const score = sharedTags * 2 + termHits;
+    if (topic && score > 0) candidates.push({ question: `What should I know about ${topic}?`, score });
+  }
+
+  const picked = [];
+  const seenQuestions = new Set([String(question).trim().toLowerCase()]);
+  const add = (item) => {
+    const key = item.question.toLowerCase();
+    if (picked.length >= limit || !item.question || seenQuestions.has(key)) return;
+    seenQuestions.add(key);
+    picked.push(item.faqId ? { question: item.question, faqId: item.faqId } : { question: item.question });
+  };
+  candidates.sort((a, b) => b.score - a.score).forEach(add);
+  // Too few related questions: fill up with starters so there is always somewhere to go next.
+  if (picked.length < 2) {
+    starterQuestions(kb, kb.faqs.length)
+      .filter((item) => !answered.has(item.faqId))
+      .forEach(add);
+  }
+  return picked;
+}
+
+module.exports = {
+  starterQuestions,
+  suggestFollowUps,
+};
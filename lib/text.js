@@ -0,0 +1,29 @@
+// Text normalisation shared by FAQ matching, retrieval and answer extraction.
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(value) {
+  return normalizeText(value).split(' ').filter((t) => t.length > 2);
+}
+
+// Splits prose into sentences, keeping terminal punctuation. Line breaks also end a sentence so
+// list items stay separate.
+function splitSentences(text) {
+  return String(text || '')
+    .split(/\n+/)
+    .flatMap((line) => line.match(/[^.!?]+(?:[.!?]+|$)/g) || [])
+    .map((sentence) => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  splitSentences,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Token and cost accounting from provider usage reports, per UTC day and month, with optional ceilings.
+// Costs are estimates from configured per-million-token prices; with no prices set they stay at 0.
+
+const KEEP_DAYS = 62;
+const KEEP_MONTHS = 24;
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, embeddingTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function loadData(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return { days: {}, months: {} };
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { days: data.days || {}, months: data.months || {} };
+  } catch (error) {
+    console.warn(`[WARN] Failed to load ${filePath}:`, error.message);
+    return { days: {}, months: {} };
+  }
+}
+
+function pruneOldest(periods, keep) {
+  const keys = Object.keys(periods).sort();
+  keys.slice(0, Math.max(0, keys.length - keep)).forEach((key) => delete periods[key]);
+}
+
+// `limits` holds dailyTokens, monthlyTokens, dailyCost and monthlyCost (0 means no limit); `prices` holds
+// USD per million tokens for input, output and embedding.
+function createUsageLedger(filePath, { limits = {}, prices = {}, flushDelayMs = 5000 } = {}) {
+  const data = loadData(filePath);
+  let flushTimer = null;
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.warn('[WARN] Failed to persist token usage:', error.message);
+    }
+  }
+
+  function periodKeys(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  function current() {
+    const { day, month } = periodKeys();
+    return { day: data.days[day] || emptyTotals(), month: data.months[month] || emptyTotals() };
+  }
+
+  return {
+    // `kind` is "chat" or "embedding"; `usage` is the provider's { prompt_tokens, completion_tokens, total_tokens }.
+    record(kind, usage) {
+      const promptTokens = Number(usage.prompt_tokens) || 0;
+      const completionTokens = Number(usage.completion_tokens) || 0;
+      const inputPrice = kind === 'embedding' ? prices.embedding || 0 : prices.input || 0;
+      const cost = (promptTokens * inputPrice + completionTokens * (prices.output || 0)) / 1e6;
+      const { day, month } = periodKeys();
+      for (const [periods, key] of [
+        [data.days, day],
+        [data.months, month],
+      ]) {
+        const totals = periods[key] || emptyTotals();
+        totals.requests += 1;
+        if (kind === 'embedding') totals.embeddingTokens += promptTokens;
+        else totals.promptTokens += promptTokens;
+        totals.completionTokens += completionTokens;
+        totals.totalTokens += Number(usage.total_tokens) || promptTokens + completionTokens;
+        totals.cost = Number((totals.cost + cost).toFixed(6));
+        periods[key] = totals;
+      }
+      pruneOldest(data.days, KEEP_DAYS);
+      pruneOldest(data.months, KEEP_MONTHS);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushDelayMs);
+        if (flushTimer.unref) flushTimer.unref();
+      }
+    },
+
+    // The first ceiling reached, as a sentence, or null while spending is within every limit.
+    exceededLimit() {
+      const { day, month } = current();
+      if (limits.dailyTokens && day.totalTokens >= limits.dailyTokens) return `daily token limit of ${limits.dailyTokens} reached`;
+      if (limits.monthlyTokens && month.totalTokens >= limits.monthlyTokens) {
+        return `monthly token limit of ${limits.monthlyTokens} reached`;
+      }
+      if (limits.dailyCost && day.cost >= limits.dailyCost) return `daily cost limit of $${limits.dailyCost} reached`;
+      if (limits.monthlyCost && month.cost >= limits.monthlyCost) return `monthly cost limit of $${limits.monthlyCost} reached`;
+      return null;
+    },
+
+    summary() {
+      const { day, month } = current();
+      return { today: day, month, limits };
+    },
+
+    flush,
+  };
+}
+
+module.exports = {
+  createUsageLedger,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Binary embedding store (rag/embeddings.bin).
+//
+// Layout, little-endian:
+//   bytes 0-3   magic "CYVS"
+//   bytes 4-7   uint32 format version
+//   bytes 8-11  uint32 header length N
+//   bytes 12..  N bytes of UTF-8 JSON header, space-padded so the vectors start 4-byte aligned:
+//               { model, provider, dimensions, count, kbVersion, createdAt, ids: [], hashes: [] }
+//   then        count * dimensions float32 values, each vector normalised to unit length
+//
+// Because vectors are stored normalised, cosine similarity against a normalised query is a dot product.
+
+const MAGIC = 'CYVS';
+const FORMAT_VERSION = 1;
+const PREFIX_BYTES = 12;
+
+function normalizeVector(vector) {
+  const out = new Float32Array(vector.length);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i += 1) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (!norm) return out;
+  for (let i = 0; i < vector.length; i += 1) out[i] = vector[i] / norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+}
+
+// The text embedded for a document, and the hash stored with its vector. The provider and model are
+// part of the hash, so switching either invalidates every stored vector.
+function embeddingInput(doc) {
+  return `${doc.title || ''}\n${doc.content || ''}`;
+}
+
+function embeddingHash(provider, model, inputText) {
+  return crypto.createHash('sha256').update(`${provider}\n${model}\n${inputText}`).digest('hex');
+}
+
+function encodeVectorStore({ model, provider, kbVersion, items }) {
+  const dimensions = items.length ? items[0].embedding.length : 0;
+  for (const item of items) {
+    if (item.embedding.length !== dimensions) {
+      throw new Error(`Embedding for ${item.id} has ${item.embedding.length} dimensions, expected ${dimensions}.`);
+    }
+  }
+  const header = {
+    model,
+    provider,
+    dimensions,
+    count: items.length,
+    kbVersion,
+    createdAt: new Date().toISOString(),
+    ids: items.map((item) => item.id),
+    hashes: items.map((item) => item.hash),
+  };
+  let headerText = JSON.stringify(header);
+  const unpadded = PREFIX_BYTES + Buffer.byteLength(headerText, 'utf8');
+  headerText += ' '.repeat((4 - (unpadded % 4)) % 4);
+  const headerBytes = Buffer.from(headerText, 'utf8');
+
+  const prefix = Buffer.alloc(PREFIX_BYTES);
+  prefix.write(MAGIC, 0, 'ascii');
+  prefix.writeUInt32LE(FORMAT_VERSION, 4);
+  prefix.writeUInt32LE(headerBytes.length, 8);
+
+  const vectors = Buffer.alloc(items.length * dimensions * 4);
+  items.forEach((item, row) => {
+    const normalized = normalizeVector(item.embedding);
+    for (let i = 0; i < dimensions; i += 1) {
+      vectors.writeFloatLE(normalized[i], (row * dimensions + i) * 4);
+    }
+  });
+  return Buffer.concat([prefix, headerBytes, vectors]);
+}
+
+function decodeVectorStore(buffer) {
+  if (buffer.length < PREFIX_BYTES || buffer.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('Not an embeddings store (bad magic bytes).');
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported embeddings store version ${version}.`);
+  }
+  const headerLength = buffer.readUInt32LE(8);
+  const header = JSON.parse(buffer.toString('utf8', PREFIX_BYTES, PREFIX_BYTES + headerLength));
+  const offset = PREFIX_BYTES + headerLength;
+  const expectedBytes = header.count * header.dimensions * 4;
+  if (buffer.length - offset !== expectedBytes) {
+    throw new Error(`Embeddings store is truncated: expected ${expectedBytes} vector bytes.`);
+  }
+  // Copy into a fresh, aligned ArrayBuffer; Buffer slices of small files may share an unaligned pool.
+  const vectors = new Float32Array(header.count * header.dimensions);
+  for (let i = 0; i < vectors.length; i += 1) vectors[i] = buffer.readFloatLE(offset + i * 4);
+
+  const rowById = new Map(header.ids.map((id, row) => [id, row]));
+  return {
+    model: header.model,
+    provider: header.provider || null,
+    dimensions: header.dimensions,
+    kbVersion: header.kbVersion || null,
+    createdAt: header.createdAt || null,
+    ids: header.ids,
+    hashes: header.hashes || [],
+    size: header.count,
+    has(id) {
+      return rowById.has(id);
+    },
+    getVector(id) {
+      const row = rowById.get(id);
+      if (row === undefined) return null;
+      return vectors.subarray(row * header.dimensions, (row + 1) * header.dimensions);
+    },
+  };
+}
+
+function readVectorStore(filePath) {
+  return decodeVectorStore(fs.readFileSync(filePath));
+}
+
+// Writes to a temporary file first so readers never see a half-written store.
+function writeVectorStore(filePath, payload) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, encodeVectorStore(payload));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  embeddingInput,
+  embeddingHash,
+  normalizeVector,
+  dot,
+  encodeVectorStore,
+  decodeVectorStore,
+  readVectorStore,
+  writeVectorStore,
+};
@@ -0,0 +1,165 @@
+// CAPTCHA tokens for the site's forms. Asks the server which provider is in use (/api/captcha/config),
+// loads that provider's script, and returns a token for the form to send as `captcha-token`. Providers:
+// reCAPTCHA Enterprise and v3, Cloudflare Turnstile, hCaptcha, the server's own proof-of-work challenge,
+// and a stub for local development.
+(() => {
+  const configs = {};
+  const scripts = {};
+
+  const unavailable = () => new Error('The spam check is not available. Please try again later.');
+
+  const loadScript = (src) => {
+    if (!scripts[src]) {
+      scripts[src] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => {
+          delete scripts[src];
+          reject(new Error('The spam check failed to load. Please try again later.'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return scripts[src];
+  };
+
+  const getConfig = (form) => {
+    if (!configs[form]) {
+      configs[form] = fetch(`/api/captcha/config?form=${encodeURIComponent(form)}`)
+        .then((response) => {
+          if (!response.ok) throw unavailable();
+          return response.json();
+        })
+        .catch((error) => {
+          delete configs[form];
+          throw error;
+        });
+    }
+    return configs[form];
+  };
+
+  const leadingZeroBits = (bytes) => {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+  };
+
+  // Finds a nonce whose SHA-256 with the challenge starts with `difficulty` zero bits.
+  const solveChallenge = async (challenge, difficulty) => {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('The spam check needs a secure (https) connection.');
+    }
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce += 1) {
+      const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+      if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return `${challenge}:${nonce}`;
+    }
+  };
+
+  // Each provider: script (loaded up front by preload) and getToken(config, container).
+  const providers = {
+    'recaptcha-enterprise': {
+      script: (config) => `https://www.google.com/recaptcha/enterprise.js?render=${encodeURIComponent(config.siteKey)}`,
+      getToken: async (config) => {
+        if (!window.grecaptcha || !window.grecaptcha.enterprise) throw unavailable();
+        await new Promise((resolve) => window.grecaptcha.enterprise.ready(resolve));
+        return window.grecaptcha.enterprise.execute(config.siteKey, { action: config.action });
+      },
+    },
+    'recaptcha-v3': {
+      script: (config) => `https://www.google.com/recaptcha/api.js?render=${encodeURIComponent(config.siteKey)}`,
+      getToken: async (config) => {
+        if (!window.grecaptcha || typeof window.grecaptcha.execute !== 'function') throw unavailable();
+        await new Promise((resolve) => window.grecaptcha.ready(resolve));
+        return window.grecaptcha.execute(config.siteKey, { action: config.action });
+      },
+    },
+    // Turnstile only shows its widget when it needs the visitor to interact.
+    turnstile: {
+      script: () => 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+      getToken: (config, container) =>
+        new Promise((resolve, reject) => {
+          if (!window.turnstile) throw unavailable();
+          const widgetId = window.turnstile.render(container, {
+            sitekey: config.siteKey,
+            action: config.action,
+            appearance: 'interaction-only',
+            callback: (token) => {
+              resolve(token);
+              setTimeout(() => window.turnstile.remove(widgetId), 0);
+            },
+            'error-callback': () => {
+              reject(unavailable());
+              setTimeout(() => window.turnstile.remove(widgetId), 0);
+            },
+          });
+        }),
+    },
+    // Invisible hCaptcha opens a challenge only when it is unsure about the visitor.
+    hcaptcha: {
+      script: () => 'https://js.hcaptcha.com/1/api.js?render=explicit',
+      getToken: async (config, container) => {
+        if (!window.hcaptcha) throw unavailable();
+        const widgetId = window.hcaptcha.render(container, { sitekey: config.siteKey, size: 'invisible' });
+        try {
+          const { response } = await window.hcaptcha.execute(widgetId, { async: true });
+          return response;
+        } finally {
+          window.hcaptcha.remove(widgetId);
+        }
+      },
+    },
+    pow: {
+      getToken: async (config) => {
+        const response = await fetch(config.challengeUrl, { cache: 'no-store' });
+        if (!response.ok) throw unavailable();
+        const { challenge, difficulty } = await response.json();
+        return solveChallenge(challenge, difficulty);
+      },
+    },
+    stub: {
+      getToken: async (config) => config.token,
+    },
+  };
+
+  const providerFor = async (form) => {
+    const config = await getConfig(form);
+    const provider = providers[config.provider];
+    if (!provider) throw unavailable();
+    if (provider.script) await loadScript(provider.script(config));
+    return { config, provider };
+  };
+
+  // Widgets that may need to show something render into `container`; without one they get a div at the
+  // end of the page.
+  const fallbackContainer = () => {
+    let container = document.getElementById('captchaWidget');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'captchaWidget';
+      document.body.appendChild(container);
+    }
+    return container;
+  };
+
+  window.CystemCaptcha = {
+    // Loads the provider's script ahead of the first submission; reCAPTCHA scores better when it has
+    // watched the page for a while.
+    preload: (form) => providerFor(form).then(() => undefined),
+
+    getToken: async (form, { container } = {}) => {
+      const { config, provider } = await providerFor(form);
+      const token = await provider.getToken(config, container || fallbackContainer());
+      if (!token) throw unavailable();
+      return token;
+    },
+  };
+})();
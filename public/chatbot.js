@@ -5,14 +5,211 @@ document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('chatForm');
   const input = document.getElementById('chatInput');
   const messages = document.getElementById('chatMessages');
+  const stopBtn = document.getElementById('chatStop');
+  const crisisPanel = document.getElementById('chatCrisis');
 
   if (!launcher || !panel || !closeBtn || !form || !input || !messages) return;
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  const SESSION_STORAGE_KEY = 'cystemChatSessionId';
+  let sessionId = null;
+  try {
+    sessionId = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+  } catch (error) {
+    sessionId = null;
+  }
+
+  // The server picks crisis support lines for this region, e.g. GB for en-GB.
+  const regionMatch = /-([a-z]{2})\b/i.exec(navigator.language || '');
+  const visitorRegion = regionMatch ? regionMatch[1].toUpperCase() : '';
+
+  const rememberSession = (id) => {
+    if (!id || id === sessionId) return;
+    sessionId = id;
+    try {
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    } catch (error) {
+      // Storage can be unavailable (private mode); the session still lasts for this page view.
+    }
+  };
 
   const setOpen = (open) => {
     panel.classList.toggle('is-open', open);
     panel.setAttribute('aria-hidden', open ? 'false' : 'true');
     launcher.setAttribute('aria-expanded', open ? 'true' : 'false');
-    if (open) input.focus();
+    if (open) {
+      input.focus();
+      loadStarterQuestions();
+    }
+  };
+
+  const renderSources = (bubble, sources) => {
+    if (!Array.isArray(sources) || !sources.length) return;
+    const sourceWrap = document.createElement('div');
+    sourceWrap.className = 'chat-sources';
+    sources.forEach((source, index) => {
+      const link = document.createElement('a');
+      link.href = source.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = `Source ${index + 1}: ${source.title}`;
+      if (source.reviewed_at) {
+        const reviewed = document.createElement('span');
+        reviewed.className = 'chat-source-reviewed';
+        reviewed.textContent = ` (last reviewed ${source.reviewed_at})`;
+        link.appendChild(reviewed);
+      }
+      sourceWrap.appendChild(link);
+    });
+    bubble.appendChild(sourceWrap);
+  };
+
+  // Question chips ("Did you mean…?", related and starter questions); choosing one asks that question.
+  const renderQuestionChips = (bubble, labelText, questions) => {
+    if (!Array.isArray(questions) || !questions.length) return;
+    const wrap = document.createElement('div');
+    wrap.className = 'chat-suggestions';
+    const label = document.createElement('span');
+    label.textContent = labelText;
+    wrap.appendChild(label);
+    questions.forEach((item) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chat-suggestion';
+      button.textContent = item.question;
+      button.addEventListener('click', () => {
+        if (activeRequest) return;
+        input.value = item.question;
+        form.requestSubmit();
+      });
+      wrap.appendChild(button);
+    });
+    bubble.appendChild(wrap);
+  };
+
+  // Starter questions go under the greeting the first time the panel opens.
+  let startersLoaded = false;
+  const loadStarterQuestions = async () => {
+    if (startersLoaded) return;
+    startersLoaded = true;
+    const greeting = messages.querySelector('.chat-bubble.bot');
+    if (!greeting) return;
+    try {
+      const response = await fetch('/api/chat/starters');
+      if (!response.ok) return;
+      const result = await response.json();
+      renderQuestionChips(greeting, 'Try asking:', result.questions);
+    } catch (error) {
+      // Starters are optional; the text box still works without them.
+    }
+  };
+
+  const sendFeedback = async (answerId, rating, comment) => {
+    const response = await fetch('/api/chat/feedback', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ answerId, rating, comment }),
+    });
+    if (!response.ok) throw new Error('Feedback was not saved.');
+  };
+
+  // Thumbs up/down under an answer, then an optional comment. Re-rating replaces the earlier rating.
+  const renderFeedback = (bubble, answerId) => {
+    if (!answerId) return;
+    const wrap = document.createElement('div');
+    wrap.className = 'chat-feedback';
+    const label = document.createElement('span');
+    label.textContent = 'Was this helpful?';
+    wrap.appendChild(label);
+
+    const status = document.createElement('span');
+    status.className = 'chat-feedback-status';
+    status.setAttribute('role', 'status');
+
+    const commentForm = document.createElement('form');
+    commentForm.className = 'chat-feedback-comment';
+    commentForm.hidden = true;
+    const commentInput = document.createElement('input');
+    commentInput.type = 'text';
+    commentInput.maxLength = 1000;
+    commentInput.placeholder = 'What was wrong or missing? (optional)';
+    commentInput.setAttribute('aria-label', 'Feedback comment');
+    const commentSubmit = document.createElement('button');
+    commentSubmit.type = 'submit';
+    commentSubmit.textContent = 'Send';
+    commentForm.append(commentInput, commentSubmit);
+
+    let rating = null;
+    const buttons = [
+      ['up', '👍', 'Helpful'],
+      ['down', '👎', 'Not helpful'],
+    ].map(([value, icon, title]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chat-feedback-button';
+      button.textContent = icon;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', async () => {
+        rating = value;
+        buttons.forEach((other) => other.setAttribute('aria-pressed', other === button ? 'true' : 'false'));
+        try {
+          await sendFeedback(answerId, rating);
+          status.textContent = 'Thanks for the feedback.';
+          commentForm.hidden = false;
+        } catch (error) {
+          status.textContent = 'Feedback could not be sent.';
+        }
+      });
+      wrap.appendChild(button);
+      return button;
+    });
+
+    commentForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const comment = commentInput.value.trim();
+      if (!rating || !comment) return;
+      try {
+        await sendFeedback(answerId, rating, comment);
+        commentForm.hidden = true;
+        status.textContent = 'Thanks, your comment was sent.';
+      } catch (error) {
+        status.textContent = 'Feedback could not be sent.';
+      }
+    });
+
+    wrap.append(status, commentForm);
+    bubble.appendChild(wrap);
+  };
+
+  // Crisis resources stay pinned above the conversation for the rest of the page view.
+  const renderCrisis = (crisis) => {
+    if (!crisisPanel || !crisis || !Array.isArray(crisis.resources)) return;
+    crisisPanel.textContent = '';
+    const heading = document.createElement('strong');
+    heading.textContent = 'Support is available right now';
+    crisisPanel.appendChild(heading);
+    const list = document.createElement('ul');
+    crisis.resources.forEach((resource) => {
+      const item = document.createElement('li');
+      if (resource.url) {
+        const link = document.createElement('a');
+        link.href = resource.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = resource.name;
+        item.appendChild(link);
+      } else {
+        item.appendChild(document.createTextNode(resource.name));
+      }
+      item.appendChild(document.createTextNode(`: ${resource.contact}`));
+      list.appendChild(item);
+    });
+    crisisPanel.appendChild(list);
+    crisisPanel.hidden = false;
   };
 
   const appendBubble = (text, role, sources = []) => {
@@ -20,59 +217,116 @@ document.addEventListener('DOMContentLoaded', () => {
     bubble.className = `chat-bubble ${role}`;
     bubble.textContent = text;
 
-    if (role === 'bot' && Array.isArray(sources) && sources.length) {
-      const sourceWrap = document.createElement('div');
-      sourceWrap.className = 'chat-sources';
-      sources.forEach((source, index) => {
-        const link = document.createElement('a');
-        link.href = source.url;
-        link.target = '_blank';
-        link.rel = 'noopener noreferrer';
-        link.textContent = `Source ${index + 1}: ${source.title}`;
-        sourceWrap.appendChild(link);
-      });
-      bubble.appendChild(sourceWrap);
-    }
+    if (role === 'bot') renderSources(bubble, sources);
 
     messages.appendChild(bubble);
     messages.scrollTop = messages.scrollHeight;
+    return bubble;
+  };
+
+  // Parses `event:`/`data:` blocks from the /api/chat/stream response and hands each one to onEvent.
+  const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        let eventName = 'message';
+        let data = '';
+        block.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (data) onEvent(eventName, JSON.parse(data));
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+  };
+
+  let activeRequest = null;
+
+  const setStreaming = (streaming) => {
+    if (submitBtn) submitBtn.hidden = streaming;
+    if (stopBtn) stopBtn.hidden = !streaming;
   };
 
   launcher.addEventListener('click', () => setOpen(!panel.classList.contains('is-open')));
   closeBtn.addEventListener('click', () => setOpen(false));
+  if (stopBtn) {
+    stopBtn.addEventListener('click', () => {
+      if (activeRequest) activeRequest.abort();
+    });
+  }
 
   form.addEventListener('submit', async (event) => {
     event.preventDefault();
     const question = input.value.trim();
-    if (!question) return;
+    if (!question || activeRequest) return;
 
     appendBubble(question, 'user');
     input.value = '';
 
-    const loadingBubble = document.createElement('div');
-    loadingBubble.className = 'chat-bubble bot';
-    loadingBubble.textContent = 'Thinking...';
-    messages.appendChild(loadingBubble);
-    messages.scrollTop = messages.scrollHeight;
+    const bubble = appendBubble('Thinking...', 'bot');
+    const textNode = bubble.firstChild;
+    let answerText = '';
+    const controller = new AbortController();
+    activeRequest = controller;
+    setStreaming(true);
 
     try {
-      const response = await fetch('/api/chat', {
+      const response = await fetch('/api/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ question }),
+        body: JSON.stringify({ question, sessionId, region: visitorRegion }),
+        signal: controller.signal,
       });
-      const result = await response.json();
-      loadingBubble.remove();
-      if (!response.ok) {
-        appendBubble(result.error || 'Chat is temporarily unavailable.', 'bot');
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        const result = await response.json();
+        textNode.data = result.error || 'Chat is temporarily unavailable.';
         return;
       }
-      appendBubble(result.answer || 'No answer returned.', 'bot', result.sources || []);
+
+      await readEventStream(response, (eventName, data) => {
+        if (eventName === 'token') {
+          answerText += data.text || '';
+          textNode.data = answerText;
+        } else if (eventName === 'sources') {
+          renderSources(bubble, data.sources);
+        } else if (eventName === 'done') {
+          rememberSession(data.sessionId);
+          textNode.data = data.answer || answerText || 'No answer returned.';
+          const suggestions = Array.isArray(data.suggestions) ? data.suggestions : [];
+          const suggested = new Set(suggestions.map((item) => item.question));
+          renderQuestionChips(bubble, 'Did you mean:', suggestions);
+          renderQuestionChips(bubble, 'Related questions:', (data.followUps || []).filter((item) => !suggested.has(item.question)));
+          renderFeedback(bubble, data.answerId);
+          if (data.crisis) {
+            bubble.classList.add('crisis');
+            renderCrisis(data.crisis);
+          }
+        } else if (eventName === 'error') {
+          textNode.data = data.error || 'Chat is temporarily unavailable.';
+        }
+        messages.scrollTop = messages.scrollHeight;
+      });
     } catch (error) {
-      loadingBubble.remove();
-      appendBubble('Network error. Please try again.', 'bot');
+      if (error.name === 'AbortError') {
+        textNode.data = answerText ? `${answerText}\n\n(Stopped.)` : 'Stopped.';
+      } else {
+        textNode.data = 'Network error. Please try again.';
+      }
+    } finally {
+      activeRequest = null;
+      setStreaming(false);
     }
   });
 });
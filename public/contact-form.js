@@ -1,6 +1,5 @@
 // Contact Form Handler
 document.addEventListener('DOMContentLoaded', () => {
-  const RECAPTCHA_ACTION = 'CONTACT_FORM_SUBMIT';
   const contactForm = document.getElementById('contactForm');
   const statusDiv = document.getElementById('formStatus');
   const modalBackdrop = document.getElementById('contactModal');
@@ -9,6 +8,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (!contactForm) return;
 
+  const typeSelect = document.getElementById('contactType');
+  const messageInput = contactForm.querySelector('[name="message"]');
+  const messageLabel = messageInput ? contactForm.querySelector(`label[for="${messageInput.id}"]`) : null;
+
+  // Which CAPTCHA settings apply (see public/captcha.js): volunteer and workshop requests have their own.
+  const captchaFormFor = (type) => (type && type !== 'general' ? type : contactForm.dataset.captchaForm || 'contact');
+  if (window.CystemCaptcha) {
+    window.CystemCaptcha.preload(captchaFormFor('general')).catch((error) => console.warn('CAPTCHA preload failed:', error));
+  }
+
+  // Shows the fields of the chosen request type. Fields of the other types are disabled, so the browser
+  // neither validates nor sends them. The message is optional for volunteer and workshop requests.
+  const applyType = () => {
+    const type = typeSelect ? typeSelect.value : 'general';
+    contactForm.querySelectorAll('fieldset[data-contact-type]').forEach((fieldset) => {
+      const active = fieldset.dataset.contactType === type;
+      fieldset.hidden = !active;
+      fieldset.disabled = !active;
+    });
+    if (messageInput) messageInput.required = type === 'general';
+    if (messageLabel) messageLabel.textContent = type === 'general' ? 'Message' : 'Anything else? (optional)';
+  };
+
+  if (typeSelect) {
+    typeSelect.addEventListener('change', applyType);
+    applyType();
+  }
+
   const closeModal = () => {
     if (!modalBackdrop) return;
     modalBackdrop.classList.remove('is-open');
@@ -27,6 +54,17 @@ document.addEventListener('DOMContentLoaded', () => {
     openModalBtn.addEventListener('click', openModal);
   }
 
+  // "Volunteer Interest", "Request a Speaker" and similar links open the form for their request type.
+  document.querySelectorAll('a[data-contact-type], button[data-contact-type]').forEach((link) => {
+    link.addEventListener('click', (e) => {
+      if (!typeSelect || !modalBackdrop) return;
+      e.preventDefault();
+      typeSelect.value = link.dataset.contactType;
+      applyType();
+      openModal();
+    });
+  });
+
   if (closeModalBtn) {
     closeModalBtn.addEventListener('click', closeModal);
   }
@@ -45,31 +83,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  const getRecaptchaToken = async (siteKey) => {
-    if (typeof grecaptcha === 'undefined') {
-      throw new Error('reCAPTCHA failed to load. Please try again later.');
-    }
-
-    if (grecaptcha.enterprise && typeof grecaptcha.enterprise.execute === 'function') {
-      await new Promise((resolve) => grecaptcha.enterprise.ready(resolve));
-      return grecaptcha.enterprise.execute(siteKey, { action: RECAPTCHA_ACTION });
-    }
-
-    if (typeof grecaptcha.execute === 'function') {
-      await new Promise((resolve) => grecaptcha.ready(resolve));
-      return grecaptcha.execute(siteKey, { action: RECAPTCHA_ACTION });
-    }
-
-    throw new Error('reCAPTCHA is not available. Please try again later.');
-  };
-
   contactForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    const siteKey = contactForm.dataset.recaptchaSiteKey;
-    if (!siteKey) {
+    if (!window.CystemCaptcha) {
       statusDiv.className = 'form-status error';
-      statusDiv.textContent = 'reCAPTCHA is not configured. Please try again later.';
+      statusDiv.textContent = 'The spam check failed to load. Please try again later.';
+      return;
+    }
+
+    const type = typeSelect ? typeSelect.value : 'general';
+    const skills = contactForm.querySelectorAll('fieldset:not([disabled]) input[name="skills"]');
+    if (skills.length && !Array.from(skills).some((input) => input.checked)) {
+      statusDiv.className = 'form-status error';
+      statusDiv.textContent = 'Please choose at least one way you would like to help.';
       return;
     }
 
@@ -84,12 +111,19 @@ document.addEventListener('DOMContentLoaded', () => {
     statusDiv.textContent = 'Sending your message...';
 
     try {
-      // Get reCAPTCHA token
-      const token = await getRecaptchaToken(siteKey);
+      // Get a CAPTCHA token
+      const token = await window.CystemCaptcha.getToken(captchaFormFor(type), {
+        container: contactForm.querySelector('.captcha-widget'),
+      });
 
-      // Prepare form data
+      // Prepare form data; fields that repeat (checkboxes) are sent as arrays
       const formData = new FormData(contactForm);
-      formData.append('g-recaptcha-response', token);
+      formData.append('captcha-token', token);
+      const payload = {};
+      formData.forEach((value, key) => {
+        if (key in payload) payload[key] = [].concat(payload[key], value);
+        else payload[key] = contactForm.querySelectorAll(`[name="${key}"][type="checkbox"]`).length ? [value] : value;
+      });
 
       // Send form data to server
       const response = await fetch('/contact', {
@@ -97,7 +131,7 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(Object.fromEntries(formData)),
+        body: JSON.stringify(payload),
       });
 
       const result = await response.json();
@@ -107,6 +141,7 @@ document.addEventListener('DOMContentLoaded', () => {
         statusDiv.className = 'form-status success';
         statusDiv.textContent = '✓ ' + result.message;
         contactForm.reset();
+        applyType();
 
         // Clear status message after 5 seconds
         setTimeout(() => {
@@ -0,0 +1,260 @@
+// Contact inbox page for staff. Talks to /api/admin/inbox with the admin token, which is kept in
+// sessionStorage for this tab only.
+document.addEventListener('DOMContentLoaded', () => {
+  const loginForm = document.getElementById('inboxLogin');
+  const tokenInput = document.getElementById('inboxToken');
+  const authorInput = document.getElementById('inboxAuthor');
+  const statusDiv = document.getElementById('inboxStatus');
+  const app = document.getElementById('inboxApp');
+  const filtersForm = document.getElementById('inboxFilters');
+  const statusFilter = document.getElementById('inboxStatusFilter');
+  const typeFilter = document.getElementById('inboxTypeFilter');
+  const searchInput = document.getElementById('inboxSearch');
+  const signOutBtn = document.getElementById('inboxSignOut');
+  const summary = document.getElementById('inboxSummary');
+  const list = document.getElementById('inboxList');
+  const moreBtn = document.getElementById('inboxMore');
+  const detail = document.getElementById('inboxDetail');
+
+  if (!loginForm || !app || !list || !detail) return;
+
+  const TOKEN_KEY = 'cystemAdminToken';
+  const AUTHOR_KEY = 'cystemStaffName';
+  const PAGE_SIZE = 50;
+  const STATUS_LABELS = { new: 'New', 'in-progress': 'In progress', replied: 'Replied', spam: 'Spam' };
+  const TYPE_LABELS = { general: 'General', volunteer: 'Volunteer', workshop: 'Workshop' };
+
+  const storage = {
+    get: (store, key) => {
+      try {
+        return window[store].getItem(key) || '';
+      } catch (error) {
+        return '';
+      }
+    },
+    set: (store, key, value) => {
+      try {
+        if (value) window[store].setItem(key, value);
+        else window[store].removeItem(key);
+      } catch (error) {
+        // Storage can be unavailable (private mode); the page then asks again after a reload.
+      }
+    },
+  };
+
+  let token = storage.get('sessionStorage', TOKEN_KEY);
+  let items = [];
+  let total = 0;
+  let selectedId = null;
+  authorInput.value = storage.get('localStorage', AUTHOR_KEY);
+
+  const showStatus = (text) => {
+    statusDiv.textContent = text || '';
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+  const element = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const signOut = (message) => {
+    token = '';
+    storage.set('sessionStorage', TOKEN_KEY, '');
+    app.hidden = true;
+    loginForm.hidden = false;
+    showStatus(message);
+  };
+
+  const api = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...(options.headers || {}) },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      signOut('That token was not accepted.');
+      throw new Error('signed-out');
+    }
+    if (!response.ok) throw new Error(data.error || 'Request failed.');
+    return data;
+  };
+
+  const replaceItem = (updated) => {
+    items = items.map((item) => (item.id === updated.id ? updated : item));
+    renderList();
+    renderDetail(updated);
+  };
+
+  const renderList = () => {
+    list.replaceChildren();
+    items.forEach((item) => {
+      const li = document.createElement('li');
+      const button = element('button', 'inbox-item');
+      button.type = 'button';
+      button.setAttribute('aria-current', item.id === selectedId ? 'true' : 'false');
+      const title = element('strong', '', `${item.name} `);
+      const badge = element('span', 'inbox-badge', STATUS_LABELS[item.status] || item.status);
+      const type = item.type || 'general';
+      const typeBadge = element('span', 'inbox-badge', TYPE_LABELS[type] || type);
+      const meta = element('small', '', ` ${formatDate(item.createdAt)} · ${item.email}`);
+      const summaryText = item.message || (item.details || []).map((detail) => detail.value).join(' · ');
+      const preview = element('div', '', summaryText.length > 120 ? `${summaryText.slice(0, 120)}…` : summaryText);
+      button.append(title, badge, ' ', typeBadge, meta, preview);
+      button.addEventListener('click', () => {
+        selectedId = item.id;
+        renderList();
+        renderDetail(item);
+      });
+      li.appendChild(button);
+      list.appendChild(li);
+    });
+    moreBtn.hidden = items.length >= total;
+  };
+
+  const renderDetail = (item) => {
+    detail.replaceChildren();
+    detail.hidden = !item;
+    if (!item) return;
+
+    const heading = element('h2', '', item.name);
+    const contact = element('p', 'inbox-meta');
+    const mailLink = element('a', '', item.email);
+    mailLink.href = `mailto:${item.email}`;
+    const type = item.type || 'general';
+    contact.append(mailLink, ` · ${TYPE_LABELS[type] || type} · received ${formatDate(item.createdAt)}`);
+    const notification = item.notification || {};
+    const mailBadge = element(
+      'span',
+      `inbox-badge${['failed', 'dead'].includes(notification.status) ? ' is-failed' : ''}`,
+      `notification email: ${notification.status || 'unknown'}`
+    );
+    if (notification.error) mailBadge.title = notification.error;
+    const details = element('dl', 'inbox-details');
+    (item.details || []).forEach((detail) => details.append(element('dt', '', detail.label), element('dd', '', detail.value)));
+    details.hidden = !details.children.length;
+    const message = element('div', 'inbox-message', item.message || 'No message.');
+
+    const actions = element('div', 'inbox-actions');
+    Object.entries(STATUS_LABELS).forEach(([status, label]) => {
+      const button = element('button', 'secondary', label);
+      button.type = 'button';
+      button.setAttribute('aria-pressed', item.status === status ? 'true' : 'false');
+      button.addEventListener('click', async () => {
+        if (item.status === status) return;
+        try {
+          const data = await api(`/api/admin/inbox/${encodeURIComponent(item.id)}/status`, {
+            method: 'POST',
+            body: JSON.stringify({ status, author: authorInput.value.trim() }),
+          });
+          replaceItem(data.item);
+          showStatus('');
+        } catch (error) {
+          if (error.message !== 'signed-out') showStatus(error.message);
+        }
+      });
+      actions.appendChild(button);
+    });
+
+    const notesHeading = element('h3', '', 'Internal notes');
+    const notes = element('ul', 'inbox-notes');
+    if (!item.notes.length) notes.appendChild(element('li', 'inbox-meta', 'No notes yet.'));
+    item.notes.forEach((note) => {
+      const li = element('li');
+      li.append(element('div', 'inbox-meta', `${note.author} · ${formatDate(note.createdAt)}`), note.text);
+      notes.appendChild(li);
+    });
+
+    const noteForm = element('form', 'inbox-note-form');
+    const noteLabel = element('label', '', 'Add a note (staff only, never emailed)');
+    const noteInput = element('textarea');
+    noteInput.rows = 3;
+    noteInput.maxLength = 2000;
+    noteInput.required = true;
+    noteLabel.appendChild(noteInput);
+    const noteBtn = element('button', '', 'Add note');
+    noteBtn.type = 'submit';
+    noteForm.append(noteLabel, noteBtn);
+    noteForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const text = noteInput.value.trim();
+      if (!text) return;
+      noteBtn.disabled = true;
+      try {
+        const data = await api(`/api/admin/inbox/${encodeURIComponent(item.id)}/notes`, {
+          method: 'POST',
+          body: JSON.stringify({ text, author: authorInput.value.trim() }),
+        });
+        replaceItem(data.item);
+        showStatus('');
+      } catch (error) {
+        if (error.message !== 'signed-out') showStatus(error.message);
+        noteBtn.disabled = false;
+      }
+    });
+
+    detail.append(heading, contact, mailBadge, details, message, actions, notesHeading, notes, noteForm);
+
+    if (item.history.length) {
+      const historyHeading = element('h3', '', 'History');
+      const history = element('ul', 'inbox-notes');
+      item.history.forEach((change) => {
+        const from = STATUS_LABELS[change.from] || change.from;
+        const to = STATUS_LABELS[change.to] || change.to;
+        history.appendChild(element('li', 'inbox-meta', `${formatDate(change.at)} · ${change.author}: ${from} → ${to}`));
+      });
+      detail.append(historyHeading, history);
+    }
+  };
+
+  const load = async ({ append = false } = {}) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(append ? items.length : 0) });
+    if (statusFilter.value) params.set('status', statusFilter.value);
+    if (typeFilter.value) params.set('type', typeFilter.value);
+    if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+    try {
+      const data = await api(`/api/admin/inbox?${params}`);
+      items = append ? items.concat(data.items) : data.items;
+      total = data.total;
+      const counts = Object.entries(data.counts)
+        .map(([status, count]) => `${STATUS_LABELS[status] || status}: ${count}`)
+        .join(' · ');
+      const typeCounts = Object.entries(data.typeCounts || {})
+        .map(([type, count]) => `${TYPE_LABELS[type] || type}: ${count}`)
+        .join(' · ');
+      summary.textContent = `${total} matching · ${counts}${typeCounts ? ` · ${typeCounts}` : ''}`;
+      loginForm.hidden = true;
+      app.hidden = false;
+      showStatus('');
+      renderList();
+      renderDetail(items.find((item) => item.id === selectedId) || null);
+    } catch (error) {
+      if (error.message !== 'signed-out') showStatus(error.message);
+    }
+  };
+
+  loginForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    token = tokenInput.value.trim();
+    tokenInput.value = '';
+    storage.set('sessionStorage', TOKEN_KEY, token);
+    storage.set('localStorage', AUTHOR_KEY, authorInput.value.trim());
+    load();
+  });
+
+  authorInput.addEventListener('change', () => storage.set('localStorage', AUTHOR_KEY, authorInput.value.trim()));
+
+  filtersForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    load();
+  });
+  statusFilter.addEventListener('change', () => load());
+  typeFilter.addEventListener('change', () => load());
+  moreBtn.addEventListener('click', () => load({ append: true }));
+  signOutBtn.addEventListener('click', () => signOut(''));
+
+  if (token) load();
+});
@@ -1,15 +1,24 @@
 const fs = require('fs');
 const path = require('path');
+const { parseFrontmatter, normalizeMeta, reviewStatus } = require('../lib/frontmatter');
+const { createCrisisPolicy } = require('../lib/crisis');
+const { createGuardrailPolicy } = require('../lib/guardrails');
 
 const ROOT = path.join(__dirname, '..');
 const KNOWLEDGE_DIR = path.join(ROOT, 'knowledge');
 const RAG_DIR = path.join(ROOT, 'rag');
 const OUTPUT_DOCS = path.join(RAG_DIR, 'documents.json');
 const OUTPUT_FAQS = path.join(RAG_DIR, 'faqs.json');
-const OUTPUT_GUARDRAILS = path.join(RAG_DIR, 'guardrails.txt');
+const OUTPUT_GUARDRAILS = path.join(RAG_DIR, 'guardrails.json');
+const OUTPUT_CRISIS = path.join(RAG_DIR, 'crisis.json');
+// Markdown files that configure the chatbot rather than hold topic content.
+const POLICY_FILES = new Set(['guardrails.md', 'crisis.md']);
 
 const MAX_CHARS = parseInt(process.env.KB_CHUNK_MAX_CHARS || '1800', 10);
 const OVERLAP_CHARS = parseInt(process.env.KB_CHUNK_OVERLAP_CHARS || '260', 10);
+const REVIEW_INTERVAL_DAYS = parseInt(process.env.KB_REVIEW_INTERVAL_DAYS || '365', 10);
+// `fail` stops the build when a medical topic is unreviewed or past its review date; `warn` only reports.
+const STALE_POLICY = process.env.KB_STALE_POLICY === 'fail' ? 'fail' : 'warn';
 
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -22,25 +31,9 @@ function slugify(value) {
     .replace(/^-+|-+$/g, '');
 }
 
-function parseFrontmatter(text) {
-  if (!text.startsWith('---\n')) return { meta: {}, body: text };
-  const end = text.indexOf('\n---\n', 4);
-  if (end === -1) return { meta: {}, body: text };
-  const raw = text.slice(4, end).trim();
-  const body = text.slice(end + 5);
-  const meta = {};
-  for (const line of raw.split('\n')) {
-    const idx = line.indexOf(':');
-    if (idx === -1) continue;
-    const key = line.slice(0, idx).trim();
-    const value = line.slice(idx + 1).trim();
-    meta[key] = value;
-  }
-  return { meta, body };
-}
-
 function stripMarkdown(text) {
   return text
+    .replace(/<!--[\s\S]*?-->/g, ' ')
     .replace(/```[\s\S]*?```/g, ' ')
     .replace(/`[^`]+`/g, ' ')
     .replace(/!\[[^\]]*]\([^)]*\)/g, ' ')
@@ -106,6 +99,53 @@ function chunkText(text, maxChars, overlapChars) {
   return chunks.map((c) => c.trim()).filter(Boolean);
 }
 
+// Splits a markdown body at its headings. Each section carries the heading path above it (h1..h6) and
+// an optional `<!-- source_url: ... -->` comment that overrides the file's source_url for that section
+// and its subsections. Text before the first heading forms a section with an empty path.
+function splitSections(body) {
+  const sections = [];
+  const stack = [];
+  let current = { headings: [], sourceUrl: '', lines: [] };
+  let inFence = false;
+
+  const sourceUrlFor = (level) => {
+    for (let i = stack.length - 1; i >= 0; i -= 1) {
+      if (stack[i].level < level && stack[i].sourceUrl) return stack[i].sourceUrl;
+    }
+    return '';
+  };
+
+  for (const line of body.replace(/\r/g, '').split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const heading = inFence ? null : line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      const level = heading[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      const entry = { level, text: stripMarkdown(heading[2]), sourceUrl: '' };
+      stack.push(entry);
+      current = { headings: stack.map((h) => h.text), sourceUrl: sourceUrlFor(level), lines: [], entry };
+      continue;
+    }
+    const override = line.match(/^\s*<!--\s*source_url:\s*(\S+)\s*-->\s*$/);
+    if (override) {
+      current.sourceUrl = override[1];
+      if (current.entry) current.entry.sourceUrl = override[1];
+      continue;
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map((section) => ({
+      headings: section.headings,
+      sourceUrl: section.sourceUrl,
+      text: stripMarkdown(section.lines.join('\n')),
+    }))
+    .filter((section) => section.text);
+}
+
 function estimateTokens(text) {
   return Math.ceil(String(text || '').length / 4);
 }
@@ -117,39 +157,65 @@ function buildDocuments() {
 
   const files = fs
     .readdirSync(KNOWLEDGE_DIR)
-    .filter((f) => f.endsWith('.md') && f !== 'guardrails.md')
+    .filter((f) => f.endsWith('.md') && !POLICY_FILES.has(f))
     .sort();
 
   const documents = [];
+  const reviewProblems = [];
   for (const file of files) {
     const fullPath = path.join(KNOWLEDGE_DIR, file);
-    const { meta, body } = parseFrontmatter(fs.readFileSync(fullPath, 'utf8'));
-    const cleanBody = stripMarkdown(body);
-    if (!cleanBody) continue;
+    const { meta: rawMeta, body } = parseFrontmatter(fs.readFileSync(fullPath, 'utf8'), `knowledge/${file}`);
+    const meta = normalizeMeta(rawMeta, { defaultReviewIntervalDays: REVIEW_INTERVAL_DAYS });
+    if (meta.errors.length) {
+      throw new Error(`Invalid frontmatter in knowledge/${file}: ${meta.errors.join('; ')}`);
+    }
+    const review = reviewStatus(meta);
+    if (review.status === 'stale') {
+      reviewProblems.push(`knowledge/${file}: review was due ${review.dueAt} (last reviewed ${meta.reviewedAt})`);
+    } else if (review.status === 'unreviewed') {
+      reviewProblems.push(`knowledge/${file}: no reviewed_at date`);
+    }
 
-    const title = meta.title || file.replace(/\.md$/i, '').replace(/_/g, ' ');
-    const sourceUrl = meta.source_url || '';
-    const tags = meta.tags
-      ? meta.tags.split(',').map((t) => t.trim()).filter(Boolean)
-      : [];
+    const sections = splitSections(body);
+    if (!sections.length) continue;
 
-    const chunks = chunkText(cleanBody, MAX_CHARS, OVERLAP_CHARS);
+    const title = meta.title || file.replace(/\.md$/i, '').replace(/_/g, ' ');
+    const sourceUrl = meta.sourceUrl;
+    const tags = meta.tags;
     const baseId = slugify(file.replace(/\.md$/i, ''));
 
-    chunks.forEach((chunk, index) => {
-      documents.push({
-        id: `${baseId}-${index + 1}`,
-        title: chunks.length > 1 ? `${title} (Part ${index + 1})` : title,
-        url: sourceUrl,
-        content: chunk,
-        section: file.replace(/\.md$/i, ''),
-        tags,
-        token_estimate: estimateTokens(chunk),
+    let counter = 0;
+    for (const section of sections) {
+      // A leading h1 that repeats the frontmatter title adds nothing to the path.
+      const headings = section.headings[0] === title ? section.headings.slice(1) : section.headings;
+      const heading = headings.join(' › ');
+      const sectionTitle = heading ? `${title} › ${heading}` : title;
+      const chunks = chunkText(section.text, MAX_CHARS, OVERLAP_CHARS);
+
+      chunks.forEach((chunk, index) => {
+        counter += 1;
+        documents.push({
+          id: `${baseId}-${counter}`,
+          title: chunks.length > 1 ? `${sectionTitle} (Part ${index + 1})` : sectionTitle,
+          page_title: title,
+          heading,
+          anchor: slugify(heading),
+          url: section.sourceUrl || sourceUrl,
+          content: chunk,
+          section: file.replace(/\.md$/i, ''),
+          tags,
+          sources: meta.sources,
+          reviewed_at: meta.reviewedAt,
+          reviewed_by: meta.reviewedBy,
+          audience: meta.audience || undefined,
+          language: meta.language || undefined,
+          token_estimate: estimateTokens(chunk),
+        });
       });
-    });
+    }
   }
 
-  return documents;
+  return { documents, reviewProblems };
 }
 
 function validateFaqs(faqs) {
@@ -174,27 +240,100 @@ function buildFaqs() {
   return faqs;
 }
 
+// The frontmatter holds the input and output rules (see lib/guardrails.js); the body is the system prompt.
 function buildGuardrails() {
   const guardrailsPath = path.join(KNOWLEDGE_DIR, 'guardrails.md');
-  if (!fs.existsSync(guardrailsPath)) return '';
+  if (!fs.existsSync(guardrailsPath)) return null;
   const raw = fs.readFileSync(guardrailsPath, 'utf8');
-  const { body } = parseFrontmatter(raw);
-  return stripMarkdown(body);
+  const { meta, body } = parseFrontmatter(raw, 'knowledge/guardrails.md');
+  const config = {
+    system_prompt: stripMarkdown(body),
+    input_rules: meta.input_rules || [],
+    output_rules: meta.output_rules || [],
+  };
+  try {
+    createGuardrailPolicy(config);
+  } catch (error) {
+    throw new Error(`Invalid knowledge/guardrails.md: ${error.message}`);
+  }
+  return config;
+}
+
+// The body is the fixed safe-messaging reply; the frontmatter holds the patterns and regional resources.
+// Returns `{ config, reviewProblem }`, or null when there is no crisis file. Unlike a topic page, the
+// reply is sent word for word, so a missing or overdue review always stops the build.
+function buildCrisis() {
+  const crisisPath = path.join(KNOWLEDGE_DIR, 'crisis.md');
+  if (!fs.existsSync(crisisPath)) return null;
+  const { meta: rawMeta, body } = parseFrontmatter(fs.readFileSync(crisisPath, 'utf8'), 'knowledge/crisis.md');
+  const meta = normalizeMeta(rawMeta, { defaultReviewIntervalDays: REVIEW_INTERVAL_DAYS });
+  const config = {
+    // Paragraphs are kept; line breaks inside a paragraph are only source formatting.
+    message: stripMarkdown(body).replace(/([^\n])\n(?!\n)/g, '$1 '),
+    patterns: rawMeta.patterns || [],
+    resources: rawMeta.resources || {},
+    reviewed_at: meta.reviewedAt,
+    reviewed_by: meta.reviewedBy,
+  };
+  try {
+    createCrisisPolicy(config);
+  } catch (error) {
+    throw new Error(`Invalid knowledge/crisis.md: ${error.message}`);
+  }
+  const review = reviewStatus(meta);
+  let reviewProblem = null;
+  if (review.status === 'stale') {
+    reviewProblem = `knowledge/crisis.md: review was due ${review.dueAt} (last reviewed ${meta.reviewedAt})`;
+  } else if (review.status === 'unreviewed') {
+    reviewProblem = 'knowledge/crisis.md: no reviewed_at date';
+  }
+  return { config, reviewProblem };
 }
 
 function main() {
   ensureDir(RAG_DIR);
-  const documents = buildDocuments();
+  const { documents, reviewProblems } = buildDocuments();
+  const crisis = buildCrisis();
+  if (crisis?.reviewProblem) {
+    console.error(`[ERROR] Clinical review needed: ${crisis.reviewProblem}`);
+    throw new Error('knowledge/crisis.md must have a current clinical review (reviewed_at within review_interval_days).');
+  }
+  if (reviewProblems.length) {
+    const label = STALE_POLICY === 'fail' ? 'ERROR' : 'WARN';
+    for (const problem of reviewProblems) console.warn(`[${label}] Clinical review needed: ${problem}`);
+    if (STALE_POLICY === 'fail') {
+      throw new Error(`${reviewProblems.length} knowledge file(s) need clinical review (KB_STALE_POLICY=fail).`);
+    }
+  }
   const faqs = buildFaqs();
   const guardrails = buildGuardrails();
 
   fs.writeFileSync(OUTPUT_DOCS, JSON.stringify(documents, null, 2), 'utf8');
   fs.writeFileSync(OUTPUT_FAQS, JSON.stringify(faqs, null, 2), 'utf8');
-  fs.writeFileSync(OUTPUT_GUARDRAILS, guardrails, 'utf8');
+  if (guardrails) fs.writeFileSync(OUTPUT_GUARDRAILS, JSON.stringify(guardrails, null, 2), 'utf8');
+  if (crisis) fs.writeFileSync(OUTPUT_CRISIS, JSON.stringify(crisis.config, null, 2), 'utf8');
 
   console.log(`Built ${documents.length} chunks -> ${OUTPUT_DOCS}`);
   console.log(`Built ${faqs.length} FAQs -> ${OUTPUT_FAQS}`);
-  console.log(`Wrote guardrails -> ${OUTPUT_GUARDRAILS}`);
+  if (guardrails) {
+    console.log(`Built ${guardrails.input_rules.length} input and ${guardrails.output_rules.length} output guardrails -> ${OUTPUT_GUARDRAILS}`);
+  }
+  if (crisis) console.log(`Built crisis response (${Object.keys(crisis.config.resources).length} regions) -> ${OUTPUT_CRISIS}`);
 }
 
-main();
+module.exports = {
+  buildDocuments,
+  buildFaqs,
+  buildGuardrails,
+  buildCrisis,
+  POLICY_FILES,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
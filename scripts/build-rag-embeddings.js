@@ -1,41 +1,53 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const crypto = require('crypto');
+const { faqPromptId } = require('../lib/faq');
+const { knowledgeBaseVersion } = require('../lib/knowledge-base');
+const { createProvidersFromEnv } = require('../lib/providers');
+const { embeddingInput, embeddingHash, readVectorStore, writeVectorStore } = require('../lib/vector-store');
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const embeddingProvider = createProvidersFromEnv().embedding;
 const MODEL = process.env.CHATBOT_EMBEDDING_MODEL || 'text-embedding-3-small';
 const BATCH_SIZE = Math.max(1, parseInt(process.env.KB_EMBED_BATCH_SIZE || '20', 10));
 const ROOT = path.join(__dirname, '..');
 const docsPath = path.join(ROOT, 'rag', 'documents.json');
-const outPath = path.join(ROOT, 'rag', 'embeddings.json');
+const faqsPath = path.join(ROOT, 'rag', 'faqs.json');
+const outPath = path.join(ROOT, 'rag', 'embeddings.bin');
 
-function contentHash(text) {
-  return crypto.createHash('sha256').update(text).digest('hex');
+function loadExistingVectors() {
+  const existingMap = new Map();
+  if (!fs.existsSync(outPath)) return existingMap;
+  try {
+    const store = readVectorStore(outPath);
+    store.ids.forEach((id, row) => {
+      existingMap.set(id, { hash: store.hashes[row], embedding: Array.from(store.getVector(id)) });
+    });
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${outPath}: ${error.message}`);
+  }
+  return existingMap;
 }
 
-async function getEmbeddings(inputs) {
-  const response = await axios.post(
-    'https://api.openai.com/v1/embeddings',
-    {
-      model: MODEL,
-      input: inputs,
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 20000,
-    }
+// FAQ prompts are embedded one vector per prompt, so matching a question is a dot product per prompt.
+function loadFaqPromptEntries() {
+  if (!fs.existsSync(faqsPath)) return [];
+  const faqs = JSON.parse(fs.readFileSync(faqsPath, 'utf8'));
+  if (!Array.isArray(faqs)) throw new Error('rag/faqs.json must contain an array.');
+  return faqs.flatMap((faq) =>
+    (Array.isArray(faq.prompts) ? faq.prompts : []).map((prompt, index) => ({
+      id: faqPromptId(faq, index),
+      inputText: String(prompt),
+    }))
   );
-  return response.data?.data || [];
+}
+
+async function getEmbeddings(inputs) {
+  return embeddingProvider.embed(inputs, { model: MODEL, timeout: 20000 });
 }
 
 async function main() {
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is required.');
+  if (!embeddingProvider.isConfigured()) {
+    throw new Error(`The ${embeddingProvider.name} embedding provider is not configured (check OPENAI_API_KEY).`);
   }
   if (!fs.existsSync(docsPath)) {
     throw new Error(`Missing file: ${docsPath}`);
@@ -46,51 +58,41 @@ async function main() {
     throw new Error('rag/documents.json must contain at least one document.');
   }
 
-  const existing = fs.existsSync(outPath) ? JSON.parse(fs.readFileSync(outPath, 'utf8')) : { model: MODEL, items: [] };
-  const existingMap = new Map();
-  if (Array.isArray(existing.items)) {
-    for (const item of existing.items) {
-      if (item && typeof item.id === 'string' && Array.isArray(item.embedding)) {
-        existingMap.set(item.id, item);
-      }
-    }
-  }
+  const existingMap = loadExistingVectors();
+  const entries = [...docs.map((doc) => ({ id: doc.id, inputText: embeddingInput(doc) })), ...loadFaqPromptEntries()];
 
   const pendingDocs = [];
   const items = [];
-  for (const doc of docs) {
-    const inputText = `${doc.title || ''}\n${doc.content || ''}`;
-    const hash = contentHash(inputText);
-    const cached = existingMap.get(doc.id);
+  for (const { id, inputText } of entries) {
+    const hash = embeddingHash(embeddingProvider.name, MODEL, inputText);
+    const cached = existingMap.get(id);
     if (cached && cached.hash === hash && Array.isArray(cached.embedding)) {
-      items.push({ id: doc.id, hash, embedding: cached.embedding });
+      items.push({ id, hash, embedding: cached.embedding });
       continue;
     }
-    pendingDocs.push({ id: doc.id, inputText, hash });
+    pendingDocs.push({ id, inputText, hash });
   }
 
   for (let i = 0; i < pendingDocs.length; i += BATCH_SIZE) {
     const batch = pendingDocs.slice(i, i + BATCH_SIZE);
-    const responseItems = await getEmbeddings(batch.map((d) => d.inputText));
-    if (!Array.isArray(responseItems) || responseItems.length !== batch.length) {
-      throw new Error('Embedding API returned unexpected batch response shape.');
-    }
+    const vectors = await getEmbeddings(batch.map((d) => d.inputText));
     for (let j = 0; j < batch.length; j += 1) {
-      const embedding = responseItems[j]?.embedding;
+      const embedding = vectors[j];
       if (!Array.isArray(embedding)) {
-        throw new Error(`Failed to get embedding for doc id=${batch[j].id}`);
+        throw new Error(`Failed to get embedding for id=${batch[j].id}`);
       }
       items.push({ id: batch[j].id, hash: batch[j].hash, embedding });
       console.log(`Embedded: ${batch[j].id}`);
     }
   }
 
-  // Preserve ordering by documents file.
+  // Preserve ordering: documents first, then FAQ prompts.
   const byId = new Map(items.map((item) => [item.id, item]));
-  const orderedItems = docs.map((doc) => byId.get(doc.id)).filter(Boolean);
+  const orderedItems = entries.map((entry) => byId.get(entry.id)).filter(Boolean);
 
-  fs.writeFileSync(outPath, JSON.stringify({ model: MODEL, items: orderedItems }, null, 2), 'utf8');
-  console.log(`Saved embeddings -> ${outPath}`);
+  const kbVersion = knowledgeBaseVersion(docs);
+  writeVectorStore(outPath, { model: MODEL, provider: embeddingProvider.name, kbVersion, items: orderedItems });
+  console.log(`Saved ${orderedItems.length} embeddings (${embeddingProvider.name}/${MODEL}, kb ${kbVersion}) -> ${outPath}`);
 }
 
 main().catch((error) => {
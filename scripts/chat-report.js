@@ -0,0 +1,103 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { buildAnalyticsReport } = require('../lib/analytics');
+
+// Prints the chat analytics report: how answers were produced, frequent and unanswered questions,
+// retrieval scores, and the topics visitors ask about that knowledge/ does not cover.
+//
+//   npm run report:chat                   readable report
+//   npm run report:chat -- --json         the same report as /api/admin/analytics
+//   npm run report:chat -- --min-count 5  only show questions asked at least 5 times
+
+const ROOT = path.join(__dirname, '..');
+const ANALYTICS_FILE = process.env.CHATBOT_ANALYTICS_FILE || path.join(ROOT, 'data', 'analytics.json');
+const DOCUMENTS_FILE = path.join(ROOT, 'rag', 'documents.json');
+
+function readJson(filePath, label) {
+  if (!fs.existsSync(filePath)) throw new Error(`Missing ${label}: ${filePath}`);
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function percent(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+function printHistogram(title, buckets) {
+  const total = buckets.reduce((sum, item) => sum + item.count, 0);
+  console.log(`\n${title}`);
+  if (!total) {
+    console.log('  (no data)');
+    return;
+  }
+  for (const { bucket, count } of buckets) {
+    const bar = '#'.repeat(Math.round((count / total) * 40));
+    console.log(`  ${bucket.padStart(8)}  ${String(count).padStart(5)}  ${bar}`);
+  }
+}
+
+function printReport(report) {
+  console.log(`Chat analytics since ${report.since} (last update ${report.updatedAt || 'never'})`);
+  console.log(`${report.totalAnswers} answer(s); questions asked fewer than ${report.minCount} times are not listed.`);
+
+  console.log('\nAnswer paths');
+  for (const item of report.paths) {
+    console.log(`  ${item.path.padEnd(12)} ${String(item.count).padStart(6)}  ${percent(item.share)}`);
+  }
+
+  console.log('\nMost frequent questions');
+  if (!report.topQuestions.length) console.log('  (none)');
+  for (const item of report.topQuestions) {
+    const paths = Object.entries(item.paths)
+      .map(([name, count]) => `${name}=${count}`)
+      .join(', ');
+    console.log(`  ${String(item.count).padStart(5)}  ${item.question}  (${paths})`);
+  }
+
+  console.log('\nUnanswered questions ("not enough trusted information")');
+  if (!report.unansweredQuestions.length) console.log('  (none)');
+  for (const item of report.unansweredQuestions) {
+    console.log(`  ${String(item.unanswered).padStart(5)}  ${item.question}`);
+  }
+
+  printHistogram('Best keyword (BM25) score per retrieved answer', report.scores.lexical);
+  printHistogram('Best embedding similarity per retrieved answer', report.scores.vector);
+  console.log(`  Nothing retrieved: ${report.scores.noResults}`);
+
+  console.log('\nTopics to write about (no knowledge file mentions them)');
+  if (!report.contentGaps.missing.length) console.log('  (none)');
+  for (const gap of report.contentGaps.missing) {
+    const examples = gap.examples.length ? `  e.g. "${gap.examples.join('", "')}"` : '';
+    console.log(`  ${String(gap.unanswered).padStart(5)}  ${gap.topic}${examples}`);
+  }
+
+  console.log('\nTopics covered but not found for these questions (expand the section or add synonyms)');
+  if (!report.contentGaps.weak.length) console.log('  (none)');
+  for (const gap of report.contentGaps.weak) {
+    const examples = gap.examples.length ? `  e.g. "${gap.examples.join('", "')}"` : '';
+    console.log(`  ${String(gap.unanswered).padStart(5)}  ${gap.topic}${examples}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const minCountIndex = args.indexOf('--min-count');
+  const minCount = minCountIndex !== -1 ? parseInt(args[minCountIndex + 1], 10) : parseInt(process.env.CHATBOT_ANALYTICS_MIN_COUNT || '3', 10);
+  if (!Number.isInteger(minCount) || minCount < 1) throw new Error('--min-count needs a positive number.');
+
+  const data = readJson(ANALYTICS_FILE, 'analytics data (is the chatbot running with traffic?)');
+  const documents = fs.existsSync(DOCUMENTS_FILE) ? readJson(DOCUMENTS_FILE, 'rag/documents.json') : [];
+  const report = buildAnalyticsReport(data, documents, { minCount });
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
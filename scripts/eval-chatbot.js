@@ -0,0 +1,406 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadKnowledgeBase } = require('../lib/knowledge-base');
+const { retrieveContext } = require('../lib/retrieval');
+const { buildAnswerMessages } = require('../lib/prompt');
+const { citationProblem } = require('../lib/guardrails');
+const { createProvider, createMockProvider } = require('../lib/providers');
+const { withRetries } = require('../lib/resilience');
+const { normalizeText } = require('../lib/text');
+
+// Scores the chatbot against the golden questions in eval/golden.json: retrieval recall@k and MRR over
+// rag/documents.json, then citations, required and forbidden facts and output guardrails in the answers.
+// Runs offline: model responses and query embeddings come from eval/recordings.json when it has been
+// recorded, and prompts without a recording are answered by the mock provider.
+//
+//   npm run eval                       score and compare with eval/baseline.json; exits 1 on a regression,
+//                                      and under CI (CI set) also when there is no baseline
+//   npm run eval -- --save-baseline    score and save the result as the new baseline
+//   npm run eval -- --record           call the configured providers and rewrite eval/recordings.json
+//   npm run eval -- --json             print the full result as JSON
+//
+// Golden entries: { id, question, expectedSources, requiredFacts, forbiddenFacts }. An expected source is a
+// document id or a knowledge file's section (e.g. "fertility"). A fact is a phrase, or a list of phrases
+// any of which will do; phrases are matched on whole words, ignoring case and punctuation.
+
+const ROOT = path.join(__dirname, '..');
+const RAG_DIR = path.join(ROOT, 'rag');
+const EVAL_DIR = path.join(ROOT, 'eval');
+const GOLDEN_FILE = path.join(EVAL_DIR, 'golden.json');
+const BASELINE_FILE = path.join(EVAL_DIR, 'baseline.json');
+const RECORDINGS_FILE = path.join(EVAL_DIR, 'recordings.json');
+
+// Mirrors the server's settings, so a run scores what the chatbot would retrieve and send. Provider settings
+// left unset default to the ones the baseline was scored with, so a plain `npm run eval` replays that run.
+const BASELINE_PROVIDERS = parseProviders(readJson(BASELINE_FILE, null)?.providers);
+const CHAT_PROVIDER = String(process.env.CHATBOT_PROVIDER || BASELINE_PROVIDERS.chat || 'openai').toLowerCase();
+const EMBEDDING_PROVIDER = String(
+  process.env.CHATBOT_EMBEDDING_PROVIDER || (process.env.CHATBOT_PROVIDER ? '' : BASELINE_PROVIDERS.embedding) || CHAT_PROVIDER
+).toLowerCase();
+const CHATBOT_MODEL = process.env.CHATBOT_MODEL || BASELINE_PROVIDERS.chatModel || 'gpt-4o-mini';
+const CHATBOT_EMBEDDING_MODEL = process.env.CHATBOT_EMBEDDING_MODEL || BASELINE_PROVIDERS.embeddingModel || 'text-embedding-3-small';
+const CHATBOT_MAX_OUTPUT_TOKENS = parseInt(process.env.CHATBOT_MAX_OUTPUT_TOKENS || '350', 10);
+const CHATBOT_CONTEXT_CHUNKS = Math.max(1, parseInt(process.env.CHATBOT_CONTEXT_CHUNKS || '2', 10));
+const CHATBOT_MIN_LEXICAL_SCORE = parseFloat(process.env.CHATBOT_MIN_LEXICAL_SCORE || '0.5');
+const CHATBOT_MIN_SIMILARITY = parseFloat(process.env.CHATBOT_MIN_SIMILARITY || '0.25');
+
+const IN_CI = Boolean(process.env.CI) && !['0', 'false'].includes(String(process.env.CI).toLowerCase());
+
+// Ranks beyond this do not count towards MRR.
+const MRR_DEPTH = 10;
+// Metric changes smaller than this are rounding, not regressions.
+const TOLERANCE = 0.0005;
+const METRICS = [
+  { name: 'recallAtK', label: 'Retrieval recall@k', higherIsBetter: true },
+  { name: 'mrr', label: 'Retrieval MRR', higherIsBetter: true },
+  { name: 'citationRate', label: 'Answers with valid citations', higherIsBetter: true },
+  { name: 'requiredFactRecall', label: 'Required facts present', higherIsBetter: true },
+  { name: 'forbiddenFactRate', label: 'Answers with a forbidden fact', higherIsBetter: false },
+  { name: 'guardrailViolationRate', label: 'Answers tripping an output guardrail', higherIsBetter: false },
+  { name: 'passRate', label: 'Questions passing every check', higherIsBetter: true },
+];
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${path.relative(ROOT, filePath)} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
+}
+
+// Reads a report's `providers` label ("chat/model, embedding/model") back into its parts; {} when absent.
+function parseProviders(label) {
+  const match = /^([^/,\s]+)\/(.+), ([^/,\s]+)\/(.+)$/.exec(String(label || ''));
+  if (!match) return {};
+  return { chat: match[1], chatModel: match[2], embedding: match[3], embeddingModel: match[4] };
+}
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function loadGolden() {
+  const golden = readJson(GOLDEN_FILE, null);
+  if (!Array.isArray(golden) || !golden.length) throw new Error('eval/golden.json must contain a non-empty array.');
+  const seen = new Set();
+  golden.forEach((entry, index) => {
+    const label = entry?.id ? `"${entry.id}"` : `#${index}`;
+    if (!entry || typeof entry.id !== 'string' || !entry.id) throw new Error(`Golden entry #${index} has no id.`);
+    if (seen.has(entry.id)) throw new Error(`Golden entry ${label} is duplicated.`);
+    seen.add(entry.id);
+    if (typeof entry.question !== 'string' || !entry.question.trim()) throw new Error(`Golden entry ${label} has no question.`);
+    if (!Array.isArray(entry.expectedSources) || !entry.expectedSources.length) {
+      throw new Error(`Golden entry ${label} needs at least one expected source.`);
+    }
+  });
+  return golden;
+}
+
+function matchesSource(doc, expected) {
+  return doc.id === expected || doc.section === expected;
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${normalizeText(text)} `.includes(` ${normalizeText(phrase)} `);
+}
+
+function containsFact(text, fact) {
+  return (Array.isArray(fact) ? fact : [fact]).some((phrase) => containsPhrase(text, phrase));
+}
+
+function factLabel(fact) {
+  return Array.isArray(fact) ? fact.join(' | ') : fact;
+}
+
+// Recorded responses are keyed by everything that shapes them, so a changed prompt, document or model
+// misses its recording instead of replaying a stale answer.
+function completionKey(messages) {
+  return hashKey({ provider: CHAT_PROVIDER, model: CHATBOT_MODEL, messages });
+}
+
+function embeddingKey(question) {
+  return hashKey({ provider: EMBEDDING_PROVIDER, model: CHATBOT_EMBEDDING_MODEL, question });
+}
+
+// With `record`, calls go to the configured providers and are kept for the next offline run; otherwise
+// they are answered from `recordings`, or by the mock provider when nothing was recorded.
+function createResponder(recordings, { record }) {
+  const mock = createMockProvider();
+  const chat = record ? createProvider(CHAT_PROVIDER) : null;
+  const embedding = record ? createProvider(EMBEDDING_PROVIDER) : null;
+  const recorded = { completions: {}, embeddings: {} };
+
+  return {
+    recorded,
+
+    // Returns `{ vector, origin }`; the vector is null when no embedding can be had offline.
+    async embed(question) {
+      const key = embeddingKey(question);
+      if (record) {
+        const [vector] = await withRetries(() => embedding.embed([question], { model: CHATBOT_EMBEDDING_MODEL, timeout: 12000 }));
+        recorded.embeddings[key] = { question, vector: vector.map((value) => Number(value.toFixed(6))) };
+        return { vector, origin: 'live' };
+      }
+      if (recordings.embeddings?.[key]) return { vector: recordings.embeddings[key].vector, origin: 'recorded' };
+      if (EMBEDDING_PROVIDER === 'mock') return { vector: (await mock.embed([question]))[0], origin: 'mock' };
+      return { vector: null, origin: 'none' };
+    },
+
+    // Returns `{ text, origin }`.
+    async complete(question, messages) {
+      const key = completionKey(messages);
+      if (record) {
+        const { text } = await withRetries(() =>
+          chat.complete({ model: CHATBOT_MODEL, temperature: 0.2, maxTokens: CHATBOT_MAX_OUTPUT_TOKENS, timeout: 20000, messages })
+        );
+        recorded.completions[key] = { question, text };
+        return { text, origin: 'live' };
+      }
+      if (recordings.completions?.[key]) return { text: recordings.completions[key].text, origin: 'recorded' };
+      return { text: (await mock.complete({ messages })).text, origin: 'mock' };
+    },
+  };
+}
+
+async function evaluateQuestion(kb, entry, responder) {
+  const k = CHATBOT_CONTEXT_CHUNKS;
+  const thresholds = { minLexicalScore: CHATBOT_MIN_LEXICAL_SCORE, minSimilarity: CHATBOT_MIN_SIMILARITY };
+  const { vector, origin: embeddingOrigin } = kb.vectorStore ? await responder.embed(entry.question) : { vector: null, origin: 'none' };
+  const contextItems = retrieveContext(kb, entry.question, vector, { limit: k, ...thresholds });
+  const ranked = retrieveContext(kb, entry.question, vector, { limit: Math.max(k, MRR_DEPTH), ...thresholds });
+
+  const expected = entry.expectedSources;
+  const found = expected.filter((source) => contextItems.some((item) => matchesSource(item.doc, source)));
+  const firstHit = ranked.findIndex((item) => expected.some((source) => matchesSource(item.doc, source)));
+
+  const result = {
+    id: entry.id,
+    question: entry.question,
+    retrieved: contextItems.map((item) => item.doc.id),
+    embedding: embeddingOrigin,
+    recallAtK: found.length / expected.length,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    missingSources: expected.filter((source) => !found.includes(source)),
+  };
+
+  // Without context the server sends its fixed "not enough trusted information" reply, which can only
+  // fail the answer checks. A question whose expected sources were not retrieved fails too, whatever
+  // the answer says.
+  if (!contextItems.length) {
+    return {
+      ...result,
+      answer: null,
+      answerOrigin: 'none',
+      citations: 'missing',
+      missingFacts: (entry.requiredFacts || []).map(factLabel),
+      requiredFacts: (entry.requiredFacts || []).length,
+      forbiddenFacts: [],
+      guardrailRules: [],
+      passed: false,
+    };
+  }
+
+  const messages = buildAnswerMessages(entry.question, contextItems, { systemPrompt: kb.guardrails.systemPrompt });
+  const { text, origin } = await responder.complete(entry.question, messages);
+  const decision = kb.guardrails.checkOutput(text, { sourceCount: contextItems.length });
+  // Facts are checked in what the visitor would see, after the guardrails had their say.
+  const missingFacts = (entry.requiredFacts || []).filter((fact) => !containsFact(decision.answer, fact)).map(factLabel);
+  const forbiddenFacts = (entry.forbiddenFacts || []).filter((fact) => containsFact(decision.answer, fact)).map(factLabel);
+  const citations = citationProblem(text, contextItems.length) || 'ok';
+  return {
+    ...result,
+    answer: decision.answer,
+    answerOrigin: origin,
+    citations,
+    missingFacts,
+    requiredFacts: (entry.requiredFacts || []).length,
+    forbiddenFacts,
+    guardrailRules: decision.rules,
+    passed:
+      result.recallAtK > 0 && citations === 'ok' && !missingFacts.length && !forbiddenFacts.length && !decision.rules.length,
+  };
+}
+
+function summarize(results) {
+  const requiredTotal = results.reduce((sum, result) => sum + result.requiredFacts, 0);
+  const requiredMissing = results.reduce((sum, result) => sum + result.missingFacts.length, 0);
+  const share = (predicate) => results.filter(predicate).length / results.length;
+  return {
+    recallAtK: round(mean(results.map((result) => result.recallAtK))),
+    mrr: round(mean(results.map((result) => result.reciprocalRank))),
+    citationRate: round(share((result) => result.citations === 'ok')),
+    requiredFactRecall: round(requiredTotal ? (requiredTotal - requiredMissing) / requiredTotal : 1),
+    forbiddenFactRate: round(share((result) => result.forbiddenFacts.length > 0)),
+    guardrailViolationRate: round(share((result) => result.guardrailRules.length > 0)),
+    passRate: round(share((result) => result.passed)),
+  };
+}
+
+// Lists metric changes and questions that got worse. Returns null without a baseline.
+function compareWithBaseline(baseline, report) {
+  if (!baseline) return null;
+  const metrics = METRICS.map(({ name, label, higherIsBetter }) => {
+    const before = baseline.metrics?.[name];
+    const after = report.metrics[name];
+    if (typeof before !== 'number') return { name, label, before: null, after, delta: null, regressed: false };
+    const delta = round(after - before);
+    return { name, label, before, after, delta, regressed: higherIsBetter ? delta < -TOLERANCE : delta > TOLERANCE };
+  });
+  const questions = [];
+  for (const result of report.results) {
+    const before = baseline.questions?.[result.id];
+    if (!before) continue;
+    const problems = [];
+    if (result.recallAtK < before.recallAtK - TOLERANCE) problems.push(`recall@k ${before.recallAtK} -> ${round(result.recallAtK)}`);
+    if (result.reciprocalRank < before.reciprocalRank - TOLERANCE) {
+      problems.push(`reciprocal rank ${before.reciprocalRank} -> ${round(result.reciprocalRank)}`);
+    }
+    if (before.passed && !result.passed) problems.push('answer checks now fail');
+    if (problems.length) questions.push({ id: result.id, problems });
+  }
+  const notes = [];
+  if (baseline.k !== report.k) notes.push(`the baseline used k=${baseline.k}, this run k=${report.k}`);
+  if (baseline.kbVersion !== report.kbVersion) notes.push(`knowledge base changed (${baseline.kbVersion} -> ${report.kbVersion})`);
+  if (baseline.providers && baseline.providers !== report.providers) {
+    notes.push(`the baseline was scored with ${baseline.providers}, this run with ${report.providers}`);
+  }
+  return { savedAt: baseline.savedAt, metrics, questions, notes, regressed: metrics.some((m) => m.regressed) || questions.length > 0 };
+}
+
+function baselineFrom(report) {
+  return {
+    savedAt: new Date().toISOString(),
+    kbVersion: report.kbVersion,
+    k: report.k,
+    providers: report.providers,
+    metrics: report.metrics,
+    questions: Object.fromEntries(
+      report.results.map((result) => [
+        result.id,
+        { recallAtK: round(result.recallAtK), reciprocalRank: round(result.reciprocalRank), passed: result.passed },
+      ])
+    ),
+  };
+}
+
+function printReport(report) {
+  console.log(`Chatbot eval: ${report.results.length} golden question(s), knowledge base ${report.kbVersion || 'empty'}, k=${report.k}`);
+  console.log(`Answers: ${Object.entries(report.answerOrigins).map(([origin, count]) => `${origin}=${count}`).join(', ')}`);
+  for (const warning of report.warnings) console.warn(`[WARN] ${warning}`);
+
+  console.log('\nQuestions');
+  for (const result of report.results) {
+    const problems = [];
+    if (result.missingSources.length) problems.push(`missing sources: ${result.missingSources.join(', ')}`);
+    if (result.citations !== 'ok') problems.push(`citations ${result.citations}`);
+    if (result.missingFacts.length) problems.push(`missing facts: ${result.missingFacts.join('; ')}`);
+    if (result.forbiddenFacts.length) problems.push(`forbidden facts: ${result.forbiddenFacts.join('; ')}`);
+    if (result.guardrailRules.length) problems.push(`guardrails: ${result.guardrailRules.join(', ')}`);
+    const scores = `recall ${result.recallAtK.toFixed(2)}  rr ${result.reciprocalRank.toFixed(2)}`;
+    console.log(`  ${result.passed ? 'PASS' : 'FAIL'}  ${result.id.padEnd(24)} ${scores}${problems.length ? `  (${problems.join('; ')})` : ''}`);
+  }
+
+  console.log('\nMetrics');
+  const comparison = report.comparison;
+  for (const { name, label } of METRICS) {
+    const change = comparison?.metrics.find((item) => item.name === name);
+    let delta = '';
+    if (change && change.delta !== null) {
+      delta = `  (${change.delta >= 0 ? '+' : ''}${change.delta.toFixed(4)} vs baseline${change.regressed ? ', REGRESSION' : ''})`;
+    }
+    console.log(`  ${label.padEnd(38)} ${report.metrics[name].toFixed(4)}${delta}`);
+  }
+
+  if (report.baselineSaved) {
+    console.log('\nSaved these scores as the new baseline in eval/baseline.json.');
+    return;
+  }
+  if (!comparison) {
+    console.log('\nNo baseline yet; save one with npm run eval -- --save-baseline.');
+    if (IN_CI) console.error('[ERROR] eval/baseline.json is missing, so nothing could be checked for regressions.');
+    return;
+  }
+  console.log(`\nCompared with the baseline saved ${comparison.savedAt}`);
+  for (const note of comparison.notes) console.log(`  Note: ${note}`);
+  for (const question of comparison.questions) console.log(`  Worse: ${question.id} (${question.problems.join('; ')})`);
+  console.log(comparison.regressed ? '  Regressions found.' : '  No regressions.');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const record = args.includes('--record');
+  const json = args.includes('--json');
+  const golden = loadGolden();
+  const kb = loadKnowledgeBase(RAG_DIR, { embeddingProviderName: EMBEDDING_PROVIDER, embeddingModel: CHATBOT_EMBEDDING_MODEL });
+  if (!kb.documents.length) throw new Error('rag/documents.json has no documents; run npm run build:kb first.');
+
+  const warnings = [];
+  if (kb.vectorProblem) warnings.push(kb.vectorProblem);
+  if (!kb.vectorStore) warnings.push('No usable rag/embeddings.bin for this embedding model; retrieval is scored on keyword search only.');
+  for (const entry of golden) {
+    const unknown = entry.expectedSources.filter((source) => !kb.documents.some((doc) => matchesSource(doc, source)));
+    if (unknown.length) warnings.push(`${entry.id}: no document matches ${unknown.join(', ')}; is rag/ built from the current knowledge/?`);
+  }
+
+  const recordings = record ? {} : readJson(RECORDINGS_FILE, {});
+  const responder = createResponder(recordings, { record });
+  const results = [];
+  for (const entry of golden) results.push(await evaluateQuestion(kb, entry, responder));
+
+  const answerOrigins = {};
+  for (const result of results) answerOrigins[result.answerOrigin] = (answerOrigins[result.answerOrigin] || 0) + 1;
+  const withoutEmbedding = results.filter((result) => kb.vectorStore && result.embedding === 'none').length;
+  if (withoutEmbedding) {
+    warnings.push(`${withoutEmbedding} question(s) have no recorded query embedding and were retrieved by keyword only; run npm run eval -- --record.`);
+  }
+  if (answerOrigins.mock && CHAT_PROVIDER !== 'mock') {
+    warnings.push(`${answerOrigins.mock} answer(s) have no recording for ${CHAT_PROVIDER}/${CHATBOT_MODEL} and came from the mock provider.`);
+  }
+
+  const report = {
+    kbVersion: kb.version,
+    k: CHATBOT_CONTEXT_CHUNKS,
+    providers: `${CHAT_PROVIDER}/${CHATBOT_MODEL}, ${EMBEDDING_PROVIDER}/${CHATBOT_EMBEDDING_MODEL}`,
+    answerOrigins,
+    warnings,
+    metrics: summarize(results),
+    results,
+  };
+  if (record) {
+    writeJson(RECORDINGS_FILE, responder.recorded);
+    if (!json) console.log(`Recorded ${Object.keys(responder.recorded.completions).length} answer(s) in eval/recordings.json.`);
+  }
+  if (args.includes('--save-baseline')) {
+    writeJson(BASELINE_FILE, baselineFrom(report));
+    report.baselineSaved = true;
+  } else {
+    report.comparison = compareWithBaseline(readJson(BASELINE_FILE, null), report);
+  }
+
+  if (json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+  if (report.comparison?.regressed) process.exitCode = 1;
+  // A CI run without a baseline would pass whatever the scores are.
+  if (IN_CI && !report.baselineSaved && !report.comparison) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
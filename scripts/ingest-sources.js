@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { parse: parseHtml } = require('node-html-parser');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { createTwoFilesPatch } = require('diff');
+const { parseFrontmatter, stringifyFrontmatter } = require('../lib/frontmatter');
+
+// Turns saved guideline pages and PDFs into draft knowledge files for editors to review.
+//
+//   npm run ingest:sources                      ingest every .html/.htm/.pdf in knowledge/sources/
+//   npm run ingest:sources -- file.pdf ...      ingest only the named files
+//   npm run ingest:sources -- --promote slug    copy knowledge/drafts/slug.md into knowledge/slug.md
+//
+// Drafts are written to knowledge/drafts/, which the build does not read. Each run prints a diff of the
+// draft against the published knowledge file so the changes can be reviewed before promoting.
+// knowledge/sources/sources.json may map a file name to { "source_url", "title", "slug", "tags" } for
+// details that cannot be read from the file itself (PDFs rarely record their URL).
+
+const ROOT = path.join(__dirname, '..');
+const KNOWLEDGE_DIR = path.join(ROOT, 'knowledge');
+const SOURCES_DIR = path.join(KNOWLEDGE_DIR, 'sources');
+const DRAFTS_DIR = path.join(KNOWLEDGE_DIR, 'drafts');
+const MANIFEST_PATH = path.join(SOURCES_DIR, 'sources.json');
+const SUPPORTED_EXTENSIONS = new Set(['.html', '.htm', '.pdf']);
+// Frontmatter keys that only make sense on a draft and are dropped on promotion.
+const DRAFT_ONLY_KEYS = ['ingested_from', 'ingested_at'];
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function toSlug(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${path.relative(ROOT, MANIFEST_PATH)}: ${error.message}`);
+  }
+}
+
+const HTML_NOISE = 'script, style, noscript, nav, header, footer, aside, form, svg, iframe, button, [role=navigation]';
+const HTML_HEADING = /^H([1-6])$/;
+
+// Text of an element without the nested lists it contains; those are emitted as their own items.
+function ownListItemText(li) {
+  return cleanText(
+    li.childNodes
+      .filter((node) => !(node.tagName === 'UL' || node.tagName === 'OL'))
+      .map((node) => node.text)
+      .join(' ')
+  );
+}
+
+function collectHtmlBlocks(node, blocks) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      // Bare text directly inside a container (no <p>); keep it when it reads like prose.
+      const text = cleanText(child.text);
+      if (text.length > 40) blocks.push(text);
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    const tag = child.tagName;
+    const heading = tag.match(HTML_HEADING);
+    if (heading) {
+      const text = cleanText(child.text);
+      if (text) blocks.push(`${'#'.repeat(Number(heading[1]))} ${text}`);
+    } else if (tag === 'P') {
+      const text = cleanText(child.text);
+      if (text) blocks.push(text);
+    } else if (tag === 'LI') {
+      const text = ownListItemText(child);
+      if (text) blocks.push(`- ${text}`);
+      child.childNodes
+        .filter((node) => node.tagName === 'UL' || node.tagName === 'OL')
+        .forEach((list) => collectHtmlBlocks(list, blocks));
+    } else if (tag === 'BLOCKQUOTE') {
+      const text = cleanText(child.text);
+      if (text) blocks.push(`> ${text}`);
+    } else {
+      collectHtmlBlocks(child, blocks);
+    }
+  }
+}
+
+function extractHtml(html) {
+  const root = parseHtml(html, { comment: false });
+  const attr = (selector, name) => cleanText(root.querySelector(selector)?.getAttribute(name));
+  const sourceUrl = attr('link[rel=canonical]', 'href') || attr('meta[property="og:url"]', 'content');
+  const title =
+    attr('meta[property="og:title"]', 'content') ||
+    cleanText(root.querySelector('h1')?.text) ||
+    cleanText(root.querySelector('title')?.text);
+
+  root.querySelectorAll(HTML_NOISE).forEach((node) => node.remove());
+  const main =
+    root.querySelector('main') || root.querySelector('article') || root.querySelector('[role=main]') || root.querySelector('body') || root;
+  const blocks = [];
+  collectHtmlBlocks(main, blocks);
+  return { title, sourceUrl, blocks };
+}
+
+// Guesses whether a PDF line is a heading: numbered ("2.1 Diagnosis") or a short all-caps line.
+function pdfHeading(line) {
+  if (line.length > 80 || /[.,;]$/.test(line)) return null;
+  const numbered = line.match(/^(\d+(?:\.\d+)*)\.?\s+([A-Z].*)$/);
+  if (numbered && line.split(' ').length <= 12) {
+    const depth = numbered[1].split('.').length;
+    return `${'#'.repeat(Math.min(depth + 1, 4))} ${numbered[2]}`;
+  }
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && line.split(' ').length <= 10) {
+    const titleCased = line.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+    return `## ${titleCased}`;
+  }
+  return null;
+}
+
+// pdf-parse returns one line per text row. Rows are joined back into paragraphs and list items;
+// a blank line, a heading, a bullet, or a short row ending a sentence closes the current block.
+// Short rows repeated on three or more pages are running headers or footers and are dropped.
+function pdfTextToBlocks(text) {
+  const rows = String(text || '')
+    .replace(/\r/g, '')
+    .split('\n')
+    .flatMap((row) => row.split(/\s(?=[•●▪◦‣])/))
+    .map(cleanText);
+  const counts = new Map();
+  for (const row of rows) {
+    if (row && row.length < 80) counts.set(row, (counts.get(row) || 0) + 1);
+  }
+
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    if (current) blocks.push(current.type === 'li' ? `- ${current.text}` : current.text);
+    current = null;
+  };
+  const append = (line) => {
+    if (current.text.endsWith('-') && /^[a-z]/.test(line)) current.text = current.text.slice(0, -1) + line;
+    else current.text = `${current.text} ${line}`;
+  };
+
+  for (const line of rows) {
+    if (!line) {
+      flush();
+      continue;
+    }
+    if ((counts.get(line) || 0) >= 3) continue;
+    if (/^(page\s+)?\d+(\s+of\s+\d+)?$/i.test(line)) continue;
+    const heading = pdfHeading(line);
+    if (heading) {
+      flush();
+      blocks.push(heading);
+      continue;
+    }
+    const bullet = line.match(/^(?:[•●▪◦‣]\s*|[–*-]\s+|\(?[a-z0-9]\)\s+)(.+)$/);
+    if (bullet) {
+      flush();
+      current = { type: 'li', text: bullet[1] };
+      continue;
+    }
+    if (!current) current = { type: 'p', text: line };
+    else append(line);
+    if (/[.!?:]$/.test(line) && line.length < 60) flush();
+  }
+  flush();
+  return blocks;
+}
+
+async function extractPdf(buffer) {
+  const result = await pdfParse(buffer);
+  return {
+    title: cleanText(result.info?.Title),
+    sourceUrl: '',
+    blocks: pdfTextToBlocks(result.text),
+  };
+}
+
+function blocksToMarkdown(blocks) {
+  // Consecutive list items stay together; everything else is separated by a blank line.
+  return blocks
+    .map((block, index) => {
+      const previous = blocks[index - 1];
+      const joinsList = previous && previous.startsWith('- ') && block.startsWith('- ');
+      return `${index === 0 ? '' : joinsList ? '\n' : '\n\n'}${block}`;
+    })
+    .join('');
+}
+
+function printDiff(fromLabel, fromText, toLabel, toText) {
+  if (fromText === toText) {
+    console.log(`No changes between ${fromLabel} and ${toLabel}.`);
+    return;
+  }
+  process.stdout.write(createTwoFilesPatch(fromLabel, toLabel, fromText, toText, '', '', { context: 3 }));
+}
+
+async function ingestFile(filePath, manifest) {
+  const fileName = path.basename(filePath);
+  const ext = path.extname(fileName).toLowerCase();
+  const entry = manifest[fileName] || {};
+  const extracted = ext === '.pdf' ? await extractPdf(fs.readFileSync(filePath)) : extractHtml(fs.readFileSync(filePath, 'utf8'));
+
+  // A leading h1 repeats the page title; the build already prefixes citations with the title.
+  const title = entry.title || extracted.title || fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ');
+  const blocks = extracted.blocks.filter((block, index) => !(index === 0 && block === `# ${title}`));
+  if (!blocks.length) {
+    console.warn(`[WARN] No text could be extracted from ${fileName}; skipped.`);
+    return;
+  }
+
+  const sourceUrl = entry.source_url || extracted.sourceUrl;
+  if (!sourceUrl) {
+    console.warn(`[WARN] ${fileName}: no source URL found; add one to knowledge/sources/sources.json.`);
+  }
+  const slug = toSlug(entry.slug || fileName.replace(/\.[^.]+$/, ''));
+  const meta = {
+    title,
+    source_url: sourceUrl || '',
+    tags: Array.isArray(entry.tags) ? entry.tags : [],
+    ingested_from: `sources/${fileName}`,
+    ingested_at: new Date().toISOString().slice(0, 10),
+  };
+  const draft = stringifyFrontmatter(meta, blocksToMarkdown(blocks));
+
+  ensureDir(DRAFTS_DIR);
+  const draftPath = path.join(DRAFTS_DIR, `${slug}.md`);
+  fs.writeFileSync(draftPath, draft, 'utf8');
+  console.log(`Draft written: knowledge/drafts/${slug}.md (${blocks.length} blocks from ${fileName})`);
+
+  const publishedPath = path.join(KNOWLEDGE_DIR, `${slug}.md`);
+  if (fs.existsSync(publishedPath)) {
+    printDiff(`knowledge/${slug}.md`, fs.readFileSync(publishedPath, 'utf8'), `knowledge/drafts/${slug}.md`, draft);
+  } else {
+    console.log(`New topic: knowledge/${slug}.md does not exist yet.`);
+  }
+}
+
+function promoteDraft(slug) {
+  const draftPath = path.join(DRAFTS_DIR, `${toSlug(slug)}.md`);
+  if (!fs.existsSync(draftPath)) {
+    throw new Error(`No draft at ${path.relative(ROOT, draftPath)}.`);
+  }
+  const { meta, body } = parseFrontmatter(fs.readFileSync(draftPath, 'utf8'), path.relative(ROOT, draftPath));
+  for (const key of DRAFT_ONLY_KEYS) delete meta[key];
+  const published = stringifyFrontmatter(meta, body);
+
+  const publishedPath = path.join(KNOWLEDGE_DIR, `${toSlug(slug)}.md`);
+  const previous = fs.existsSync(publishedPath) ? fs.readFileSync(publishedPath, 'utf8') : '';
+  printDiff(path.relative(ROOT, publishedPath), previous, path.relative(ROOT, publishedPath), published);
+  fs.writeFileSync(publishedPath, published, 'utf8');
+  fs.unlinkSync(draftPath);
+  console.log(`Promoted -> ${path.relative(ROOT, publishedPath)}. Run npm run build:kb to rebuild the chatbot data.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const promoteIndex = args.indexOf('--promote');
+  if (promoteIndex !== -1) {
+    const slug = args[promoteIndex + 1];
+    if (!slug) throw new Error('Usage: npm run ingest:sources -- --promote <slug>');
+    promoteDraft(slug);
+    return;
+  }
+
+  if (!fs.existsSync(SOURCES_DIR)) {
+    throw new Error('Missing knowledge/sources/. Save HTML pages or PDFs there first.');
+  }
+  const files = (args.length ? args.map((arg) => path.basename(arg)) : fs.readdirSync(SOURCES_DIR))
+    .filter((file) => SUPPORTED_EXTENSIONS.has(path.extname(file).toLowerCase()))
+    .sort();
+  if (!files.length) {
+    console.log('No .html, .htm or .pdf files to ingest in knowledge/sources/.');
+    return;
+  }
+
+  const manifest = loadManifest();
+  for (const file of files) {
+    const filePath = path.join(SOURCES_DIR, file);
+    if (!fs.existsSync(filePath)) throw new Error(`Missing file: knowledge/sources/${file}`);
+    await ingestFile(filePath, manifest);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, normalizeMeta } = require('../lib/frontmatter');
+const { FAQ_MATCH_THRESHOLD, faqPromptId, scoreFaqs } = require('../lib/faq');
+const { embeddingInput, embeddingHash, readVectorStore } = require('../lib/vector-store');
+const { buildDocuments, buildFaqs, buildGuardrails, buildCrisis, POLICY_FILES } = require('./build-knowledge-base');
+
+// Checks knowledge/ and the built rag/ artefacts for problems that would otherwise only show up as
+// wrong answers. Errors exit non-zero; review reminders are warnings, since build:kb owns that policy.
+
+const ROOT = path.join(__dirname, '..');
+const KNOWLEDGE_DIR = path.join(ROOT, 'knowledge');
+const RAG_DIR = path.join(ROOT, 'rag');
+const MAX_CHUNK_TOKENS = parseInt(process.env.KB_CHUNK_MAX_TOKENS || '512', 10);
+// The embedding provider and model the server will query with, as in lib/providers.js and server.js.
+const EMBEDDING_PROVIDER = process.env.CHATBOT_EMBEDDING_PROVIDER || process.env.CHATBOT_PROVIDER || 'openai';
+const EMBEDDING_MODEL = process.env.CHATBOT_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const errors = [];
+const warnings = [];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    errors.push(`${path.relative(ROOT, filePath)}: invalid JSON (${error.message})`);
+    return null;
+  }
+}
+
+function checkSourceList(label, sources) {
+  (Array.isArray(sources) ? sources : []).forEach((source, index) => {
+    const url = source && typeof source === 'object' ? source.url : source;
+    if (!isHttpUrl(url)) errors.push(`${label}: sources[${index}] has a malformed url "${url || ''}"`);
+  });
+}
+
+function lintKnowledgeFiles() {
+  const files = fs
+    .readdirSync(KNOWLEDGE_DIR)
+    .filter((f) => f.endsWith('.md') && !POLICY_FILES.has(f))
+    .sort();
+  for (const file of files) {
+    const label = `knowledge/${file}`;
+    let meta;
+    try {
+      meta = normalizeMeta(parseFrontmatter(fs.readFileSync(path.join(KNOWLEDGE_DIR, file), 'utf8'), label).meta);
+    } catch (error) {
+      errors.push(error.message);
+      continue;
+    }
+    for (const problem of meta.errors) errors.push(`${label}: ${problem}`);
+    if (!meta.sourceUrl) errors.push(`${label}: missing source_url`);
+    else if (!isHttpUrl(meta.sourceUrl)) errors.push(`${label}: malformed source_url "${meta.sourceUrl}"`);
+    checkSourceList(label, meta.sources.filter((source) => source.url !== meta.sourceUrl));
+  }
+}
+
+function lintFaqs(label, faqs) {
+  if (!Array.isArray(faqs)) {
+    errors.push(`${label}: must be an array`);
+    return;
+  }
+  const seenIds = new Set();
+  faqs.forEach((faq, index) => {
+    const name = faq.id || `#${index}`;
+    if (!faq.id) errors.push(`${label}: FAQ #${index} has no id`);
+    else if (seenIds.has(faq.id)) errors.push(`${label}: duplicate FAQ id "${faq.id}"`);
+    seenIds.add(faq.id);
+    if (!Array.isArray(faq.sources) || !faq.sources.length) {
+      errors.push(`${label}: FAQ "${name}" has no sources`);
+    }
+    checkSourceList(`${label}: FAQ "${name}"`, faq.sources);
+  });
+
+  // A prompt that clears the match threshold for another FAQ makes the answer depend on file order.
+  for (const faq of faqs) {
+    for (const prompt of Array.isArray(faq.prompts) ? faq.prompts : []) {
+      const matches = scoreFaqs(prompt, faqs).filter((match) => match.score >= FAQ_MATCH_THRESHOLD);
+      if (matches.length > 1) {
+        const others = matches
+          .filter((match) => match.faq !== faq)
+          .map((match) => `"${match.faq.id}" (${match.score.toFixed(2)})`);
+        errors.push(`${label}: prompt "${prompt}" of FAQ "${faq.id}" also matches ${others.join(', ')}`);
+      }
+    }
+  }
+}
+
+function lintDocuments(label, documents) {
+  if (!Array.isArray(documents)) {
+    errors.push(`${label}: must be an array`);
+    return;
+  }
+  const seenIds = new Set();
+  for (const doc of documents) {
+    if (seenIds.has(doc.id)) errors.push(`${label}: duplicate document id "${doc.id}"`);
+    seenIds.add(doc.id);
+    if (!isHttpUrl(doc.url)) errors.push(`${label}: document "${doc.id}" has a malformed or missing url "${doc.url || ''}"`);
+    const tokens = doc.token_estimate || Math.ceil(String(doc.content || '').length / 4);
+    if (tokens > MAX_CHUNK_TOKENS) {
+      errors.push(`${label}: document "${doc.id}" is ~${tokens} tokens, over the ${MAX_CHUNK_TOKENS} token budget`);
+    }
+  }
+}
+
+function lintArtefactsInSync(built, committed, label) {
+  if (!committed) {
+    errors.push(`${label}: missing; run npm run build:kb`);
+    return;
+  }
+  if (JSON.stringify(built) !== JSON.stringify(committed)) {
+    errors.push(`${label}: out of date with knowledge/; run npm run build:kb`);
+  }
+}
+
+function lintEmbeddings(documents, faqs) {
+  const storePath = path.join(RAG_DIR, 'embeddings.bin');
+  // The store is not committed; without one the server answers from keyword search.
+  if (!fs.existsSync(storePath)) {
+    warnings.push('rag/embeddings.bin: not built, so vector search is off; run npm run build:embeddings');
+    return;
+  }
+  let store;
+  try {
+    store = readVectorStore(storePath);
+  } catch (error) {
+    errors.push(`rag/embeddings.bin: ${error.message}`);
+    return;
+  }
+  // Vectors from another model cannot be compared with the server's query vectors.
+  if (store.model !== EMBEDDING_MODEL || (store.provider && store.provider !== EMBEDDING_PROVIDER)) {
+    errors.push(
+      `rag/embeddings.bin: built with ${store.provider || 'unknown'}/${store.model}, but the server is configured for ` +
+        `${EMBEDDING_PROVIDER}/${EMBEDDING_MODEL}; run npm run build:embeddings`
+    );
+    return;
+  }
+  const missing = [];
+  const stale = [];
+  const hashById = new Map(store.ids.map((id, row) => [id, store.hashes[row]]));
+  for (const doc of documents) {
+    if (!store.has(doc.id)) {
+      missing.push(doc.id);
+    } else if (hashById.get(doc.id) !== embeddingHash(store.provider, store.model, embeddingInput(doc))) {
+      stale.push(doc.id);
+    }
+  }
+  if (missing.length) errors.push(`rag/embeddings.bin: no embedding for ${missing.length} document(s): ${missing.join(', ')}`);
+  if (stale.length) errors.push(`rag/embeddings.bin: ${stale.length} embedding(s) built from older text: ${stale.join(', ')}`);
+
+  // FAQ prompts without a current vector still match lexically, so these are warnings.
+  const unembeddedPrompts = [];
+  for (const faq of faqs) {
+    (Array.isArray(faq.prompts) ? faq.prompts : []).forEach((prompt, index) => {
+      const id = faqPromptId(faq, index);
+      if (hashById.get(id) !== embeddingHash(store.provider, store.model, String(prompt))) unembeddedPrompts.push(id);
+    });
+  }
+  if (unembeddedPrompts.length) {
+    warnings.push(`rag/embeddings.bin: ${unembeddedPrompts.length} FAQ prompt(s) without a current embedding; run npm run build:embeddings`);
+  }
+}
+
+function main() {
+  if (!fs.existsSync(KNOWLEDGE_DIR)) {
+    throw new Error(`Missing knowledge directory: ${KNOWLEDGE_DIR}`);
+  }
+  lintKnowledgeFiles();
+
+  const built = buildDocuments();
+  for (const problem of built.reviewProblems) warnings.push(`Clinical review needed: ${problem}`);
+  lintDocuments('knowledge/', built.documents);
+
+  const faqs = buildFaqs();
+  lintFaqs('knowledge/faq.json', faqs);
+
+  const committedDocs = readJson(path.join(RAG_DIR, 'documents.json'));
+  const committedFaqs = readJson(path.join(RAG_DIR, 'faqs.json'));
+  lintArtefactsInSync(built.documents, committedDocs, 'rag/documents.json');
+  lintArtefactsInSync(faqs, committedFaqs, 'rag/faqs.json');
+  const guardrails = buildGuardrails();
+  if (guardrails) lintArtefactsInSync(guardrails, readJson(path.join(RAG_DIR, 'guardrails.json')), 'rag/guardrails.json');
+  const crisis = buildCrisis();
+  if (crisis) {
+    if (crisis.reviewProblem) errors.push(`Clinical review needed: ${crisis.reviewProblem}`);
+    lintArtefactsInSync(crisis.config, readJson(path.join(RAG_DIR, 'crisis.json')), 'rag/crisis.json');
+  }
+  if (Array.isArray(committedFaqs)) lintFaqs('rag/faqs.json', committedFaqs);
+  if (Array.isArray(committedDocs)) {
+    lintDocuments('rag/documents.json', committedDocs);
+    lintEmbeddings(committedDocs, Array.isArray(committedFaqs) ? committedFaqs : []);
+  }
+
+  for (const warning of warnings) console.warn(`[WARN] ${warning}`);
+  for (const error of errors) console.error(`[ERROR] ${error}`);
+  console.log(`Knowledge base lint: ${errors.length} error(s), ${warnings.length} warning(s).`);
+  if (errors.length) process.exit(1);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { createEmailTemplates, escapeHtml } = require('../lib/email-templates');
+
+// Renders every email template in every locale with the sample data in emails/samples.json, so wording
+// changes can be checked in a browser before they are deployed. Exits non-zero when a template cannot be
+// rendered (a misspelt variable, a missing subject, a template without sample data).
+//
+//   npm run emails:preview                    write tmp/email-preview/ and print each subject
+//   npm run emails:preview -- --out somewhere write the previews elsewhere
+
+const ROOT = path.join(__dirname, '..');
+const TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(ROOT, 'emails');
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+function main() {
+  const outDir = path.resolve(option(process.argv.slice(2), '--out', path.join(ROOT, 'tmp', 'email-preview')));
+  const templates = createEmailTemplates(TEMPLATES_DIR, { defaultLocale: process.env.MAIL_LOCALE || 'en' });
+  const samples = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'samples.json'), 'utf8'));
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const rendered = [];
+  const problems = [];
+  for (const name of templates.names) {
+    if (!samples[name]) {
+      problems.push(`${name}: no sample data in samples.json`);
+      continue;
+    }
+    for (const locale of templates.locales) {
+      if (!templates.has(name, locale)) continue;
+      try {
+        const email = templates.render(name, samples[name], { locale });
+        const base = `${locale}-${name}`;
+        fs.writeFileSync(path.join(outDir, `${base}.html`), email.html, 'utf8');
+        fs.writeFileSync(path.join(outDir, `${base}.txt`), `Subject: ${email.subject}\nFrom: ${email.fromName}\n\n${email.text}`, 'utf8');
+        rendered.push({ base, locale, name, subject: email.subject });
+        console.log(`${locale}/${name}: ${email.subject}`);
+      } catch (error) {
+        problems.push(`${locale}/${name}: ${error.message}`);
+      }
+    }
+  }
+
+  const rows = rendered
+    .map(
+      ({ base, locale, name, subject }) =>
+        `<tr><td>${escapeHtml(locale)}</td><td>${escapeHtml(name)}</td><td>${escapeHtml(subject)}</td>` +
+        `<td><a href="${base}.html">HTML</a> · <a href="${base}.txt">Text</a></td></tr>`
+    )
+    .join('\n');
+  fs.writeFileSync(
+    path.join(outDir, 'index.html'),
+    `<!DOCTYPE html>\n<meta charset="utf-8">\n<title>Email previews</title>\n<table>\n<tr><th>Locale</th><th>Template</th><th>Subject</th><th></th></tr>\n${rows}\n</table>\n`,
+    'utf8'
+  );
+
+  console.log(`\nWrote ${rendered.length} preview(s) to ${path.relative(process.cwd(), outDir) || '.'}; open index.html in a browser.`);
+  if (problems.length) {
+    console.error('\nProblems:');
+    problems.forEach((problem) => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// A local SMTP stand-in for trying the contact form and mail queue without a real mail server. It accepts
+// every message (no TLS, no login), prints its sender, recipients and subject, and can save each one as
+// an .eml file. It can also refuse messages, to watch retries and dead-lettering.
+//
+//   npm run smtp:sink                             listen on port 1025
+//   npm run smtp:sink -- --port 2525 --save tmp   save messages to tmp/
+//   npm run smtp:sink -- --fail-first 2           answer 451 (try again later) to the first 2 messages
+//   npm run smtp:sink -- --reject 550             refuse every message permanently
+//
+// Point the server at it with SMTP_HOST=localhost SMTP_PORT=1025 SMTP_SECURE=false and no SMTP_USER.
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+function headerValue(message, name) {
+  const match = new RegExp(`^${name}:\\s*(.*)$`, 'im').exec(message.split(/\r?\n\r?\n/)[0] || '');
+  return match ? match[1].trim() : '';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(option(args, '--port', '1025'), 10);
+  const saveDir = option(args, '--save', null);
+  const rejectCode = parseInt(option(args, '--reject', '0'), 10) || 0;
+  let failFirst = parseInt(option(args, '--fail-first', '0'), 10) || 0;
+  let received = 0;
+  if (saveDir) fs.mkdirSync(saveDir, { recursive: true });
+
+  // Replies to the end of DATA: accepted, refused for now, or refused for good.
+  function finishMessage(envelope, message) {
+    if (failFirst > 0) {
+      failFirst -= 1;
+      console.log(`[SMTP] 451 for message to ${envelope.to.join(', ')} (${failFirst} more to refuse)`);
+      return '451 4.3.0 Temporary failure, try again later';
+    }
+    if (rejectCode) {
+      console.log(`[SMTP] ${rejectCode} for message to ${envelope.to.join(', ')}`);
+      return `${rejectCode} ${rejectCode >= 500 ? '5.7.1 Message refused' : '4.3.0 Try again later'}`;
+    }
+    received += 1;
+    console.log(`[SMTP] #${received} from ${envelope.from} to ${envelope.to.join(', ')}: ${headerValue(message, 'Subject')}`);
+    if (saveDir) {
+      const file = path.join(saveDir, `${Date.now()}-${received}.eml`);
+      fs.writeFileSync(file, message, 'utf8');
+    }
+    return `250 2.0.0 Ok: queued as sink-${received}`;
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: '', to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 localhost smtp-sink ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          // Dot-stuffed lines lose their extra leading dot.
+          const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          reply(finishMessage(envelope, message));
+          envelope = { from: '', to: [] };
+          continue;
+        }
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') {
+          reply('250-localhost');
+          reply('250-8BITMIME');
+          reply('250 SMTPUTF8');
+        } else if (command === 'HELO') reply('250 localhost');
+        else if (command === 'MAIL') {
+          envelope.from = (/<(.*)>/.exec(line) || [])[1] || '';
+          reply('250 2.1.0 Ok');
+        } else if (command === 'RCPT') {
+          envelope.to.push((/<(.*)>/.exec(line) || [])[1] || '');
+          reply('250 2.1.5 Ok');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: '', to: [] };
+          reply('250 2.0.0 Ok');
+        } else if (command === 'NOOP') reply('250 2.0.0 Ok');
+        else if (command === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+          return;
+        } else reply('502 5.5.2 Command not implemented');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(port, () => console.log(`SMTP sink listening on port ${port}. Press Ctrl+C to stop.`));
+}
+
+main();
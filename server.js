@@ -4,38 +4,264 @@ const nodemailer = require('nodemailer');
 const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createProvidersFromEnv } = require('./lib/providers');
+const { normalizeText } = require('./lib/text');
+const { buildExtractiveAnswer } = require('./lib/extractive');
+const { FAQ_MATCH_THRESHOLD, matchFaqs, scoreFaqs, faqDisplayQuestion } = require('./lib/faq');
+const { starterQuestions, suggestFollowUps } = require('./lib/suggestions');
+const { loadKnowledgeBase, emptyKnowledgeBase } = require('./lib/knowledge-base');
+const { createFeedbackStore } = require('./lib/feedback');
+const { createChatAnalytics, buildAnalyticsReport } = require('./lib/analytics');
+const { createAnswerCache } = require('./lib/answer-cache');
+const { createCacheStoreFromEnv } = require('./lib/cache-stores');
+const { createCircuitBreaker, createResilientProvider } = require('./lib/resilience');
+const { createUsageLedger } = require('./lib/usage');
+const { CONTACT_STATUSES, createContactInbox } = require('./lib/inbox');
+const { MAIL_STATUSES, createMailQueue } = require('./lib/mail-queue');
+const { createEmailTemplates } = require('./lib/email-templates');
+const { createCaptchaVerifierFromEnv } = require('./lib/captcha');
+const { CONTACT_TYPES, CONTACT_TYPE_NAMES, validateContactFields } = require('./lib/contact-types');
+const { retrieveContext } = require('./lib/retrieval');
+const { CHAT_PROMPT_VERSION, buildAnswerMessages, buildRewriteMessages } = require('./lib/prompt');
 
 const app = express();
-const RECAPTCHA_EXPECTED_ACTION = 'CONTACT_FORM_SUBMIT';
-const RECAPTCHA_MIN_SCORE = 0.5;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const DEBUG_CONTACT = process.env.DEBUG_CONTACT === 'true';
 const SEND_CONFIRMATION_EMAIL = process.env.SEND_CONFIRMATION_EMAIL === 'true';
 const CHATBOT_ENABLED = process.env.CHATBOT_ENABLED === 'true';
 const CHATBOT_MODEL = process.env.CHATBOT_MODEL || 'gpt-4o-mini';
 const CHATBOT_EMBEDDING_MODEL = process.env.CHATBOT_EMBEDDING_MODEL || 'text-embedding-3-small';
+// When true, the server refuses to start if rag/embeddings.bin was built with a different embedding model.
+const CHATBOT_EMBEDDING_STRICT = process.env.CHATBOT_EMBEDDING_STRICT === 'true';
 const CHATBOT_MAX_OUTPUT_TOKENS = parseInt(process.env.CHATBOT_MAX_OUTPUT_TOKENS || '350', 10);
 const CHATBOT_CONTEXT_CHUNKS = Math.max(1, parseInt(process.env.CHATBOT_CONTEXT_CHUNKS || '2', 10));
+// Retrieval matches below these scores are ignored, so weak matches count as "no context".
+const CHATBOT_MIN_LEXICAL_SCORE = parseFloat(process.env.CHATBOT_MIN_LEXICAL_SCORE || '0.5');
+const CHATBOT_MIN_SIMILARITY = parseFloat(process.env.CHATBOT_MIN_SIMILARITY || '0.25');
+// FAQ prompt similarity at which a FAQ answers directly, and at which it is offered as "Did you mean…?".
+const CHATBOT_FAQ_MIN_SIMILARITY = parseFloat(process.env.CHATBOT_FAQ_MIN_SIMILARITY || '0.75');
+const CHATBOT_FAQ_SUGGEST_SIMILARITY = parseFloat(process.env.CHATBOT_FAQ_SUGGEST_SIMILARITY || '0.55');
 const CHATBOT_CACHE_TTL_HOURS = Math.max(1, parseInt(process.env.CHATBOT_CACHE_TTL_HOURS || '168', 10));
+const CHATBOT_CACHE_MAX_ENTRIES = Math.max(1, parseInt(process.env.CHATBOT_CACHE_MAX_ENTRIES || '1000', 10));
+const CHATBOT_CACHE_MAX_MB = Math.max(1, parseFloat(process.env.CHATBOT_CACHE_MAX_MB || '10'));
+// `extractive` answers from retrieved sentences only and never calls a chat model.
+const CHATBOT_ANSWER_MODE = process.env.CHATBOT_ANSWER_MODE === 'extractive' ? 'extractive' : 'generative';
+const CHATBOT_SESSION_TTL_MINUTES = Math.max(1, parseInt(process.env.CHATBOT_SESSION_TTL_MINUTES || '30', 10));
+const CHATBOT_SESSION_MAX_TURNS = Math.max(1, parseInt(process.env.CHATBOT_SESSION_MAX_TURNS || '6', 10));
+const CHATBOT_MAX_SESSIONS = Math.max(1, parseInt(process.env.CHATBOT_MAX_SESSIONS || '2000', 10));
+// Reload rag/ automatically when the build scripts rewrite it. POST /api/admin/kb/reload works either way.
+const CHATBOT_KB_WATCH = process.env.CHATBOT_KB_WATCH === 'true';
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+// Region whose crisis support lines are shown when the visitor's own region has none configured.
+const CHATBOT_CRISIS_REGION = process.env.CHATBOT_CRISIS_REGION || 'US';
+// Provider calls are retried on 429/5xx; after CHATBOT_BREAKER_THRESHOLD failed calls in a row the
+// chatbot answers from FAQs and the cache only, until a trial call succeeds after the cooldown.
+const CHATBOT_RETRIES = Math.max(0, parseInt(process.env.CHATBOT_RETRIES || '2', 10));
+const CHATBOT_BREAKER_THRESHOLD = Math.max(1, parseInt(process.env.CHATBOT_BREAKER_THRESHOLD || '5', 10));
+const CHATBOT_BREAKER_COOLDOWN_SECONDS = Math.max(1, parseInt(process.env.CHATBOT_BREAKER_COOLDOWN_SECONDS || '60', 10));
+// Spending ceilings (0 = none). Reaching one also switches to FAQ- and cache-only answers.
+const CHATBOT_LIMITS = {
+  dailyTokens: parseInt(process.env.CHATBOT_DAILY_TOKEN_LIMIT || '0', 10) || 0,
+  monthlyTokens: parseInt(process.env.CHATBOT_MONTHLY_TOKEN_LIMIT || '0', 10) || 0,
+  dailyCost: parseFloat(process.env.CHATBOT_DAILY_COST_LIMIT || '0') || 0,
+  monthlyCost: parseFloat(process.env.CHATBOT_MONTHLY_COST_LIMIT || '0') || 0,
+};
+// USD per million tokens, used to estimate cost from the token counts providers report.
+const CHATBOT_PRICES = {
+  input: parseFloat(process.env.CHATBOT_PRICE_INPUT_PER_1M || '0') || 0,
+  output: parseFloat(process.env.CHATBOT_PRICE_OUTPUT_PER_1M || '0') || 0,
+  embedding: parseFloat(process.env.CHATBOT_PRICE_EMBEDDING_PER_1M || '0') || 0,
+};
 // Trust exactly one reverse proxy hop by default (safe for common NGINX/Apache setups).
 const trustProxySetting = process.env.TRUST_PROXY || 1;
 app.set('trust proxy', trustProxySetting);
 const PORT = process.env.PORT || 3000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const RAG_DIR = path.join(__dirname, 'rag');
-const CHAT_CACHE_FILE = path.join(__dirname, 'cache', 'chat-cache.json');
+const USAGE_FILE = process.env.CHATBOT_USAGE_FILE || path.join(__dirname, 'data', 'usage.json');
+const usageLedger = createUsageLedger(USAGE_FILE, { limits: CHATBOT_LIMITS, prices: CHATBOT_PRICES });
+const providers = createProvidersFromEnv();
+const breakerOptions = { failureThreshold: CHATBOT_BREAKER_THRESHOLD, cooldownMs: CHATBOT_BREAKER_COOLDOWN_SECONDS * 1000 };
+const chatBreaker = createCircuitBreaker({ name: 'chat', ...breakerOptions });
+const embeddingBreaker = createCircuitBreaker({ name: 'embedding', ...breakerOptions });
+const recordUsage = (kind, usage) => usageLedger.record(kind, usage);
+const chatProvider = createResilientProvider(providers.chat, {
+  breaker: chatBreaker,
+  retry: { retries: CHATBOT_RETRIES },
+  onUsage: recordUsage,
+});
+const embeddingProvider = createResilientProvider(providers.embedding, {
+  breaker: embeddingBreaker,
+  retry: { retries: CHATBOT_RETRIES },
+  onUsage: recordUsage,
+});
+const FEEDBACK_FILE = process.env.CHATBOT_FEEDBACK_FILE || path.join(__dirname, 'data', 'feedback.json');
+const ANALYTICS_FILE = process.env.CHATBOT_ANALYTICS_FILE || path.join(__dirname, 'data', 'analytics.json');
+const CHATBOT_ANALYTICS_MIN_COUNT = Math.max(1, parseInt(process.env.CHATBOT_ANALYTICS_MIN_COUNT || '3', 10));
+const FAQ_SOURCE_FILE = path.join(__dirname, 'knowledge', 'faq.json');
+const CONTACT_INBOX_FILE = process.env.CONTACT_INBOX_FILE || path.join(__dirname, 'data', 'contact-inbox.json');
+const MAIL_QUEUE_FILE = process.env.MAIL_QUEUE_FILE || path.join(__dirname, 'data', 'mail-queue.json');
+// Delivery attempts per email before it moves to the dead letters; the wait doubles after each failure.
+const MAIL_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MAIL_MAX_ATTEMPTS || '8', 10));
+const MAIL_RETRY_BASE_SECONDS = Math.max(1, parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '30', 10));
+const MAIL_RETRY_MAX_SECONDS = Math.max(1, parseInt(process.env.MAIL_RETRY_MAX_SECONDS || '3600', 10));
+const EMAIL_TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, 'emails');
+// Language of the emails staff receive, and the fallback for visitors' confirmations.
+const MAIL_LOCALE = process.env.MAIL_LOCALE || 'en';
+
+// Replaced as a whole on reload; requests keep the snapshot they started with.
+let knowledgeBase = emptyKnowledgeBase({ crisisRegion: CHATBOT_CRISIS_REGION });
+const chatSessions = new Map();
+const feedbackStore = createFeedbackStore(FEEDBACK_FILE, {
+  answerTtlMs: CHATBOT_SESSION_TTL_MINUTES * 60 * 1000,
+  maxAnswers: CHATBOT_MAX_SESSIONS,
+});
+const chatAnalytics = createChatAnalytics(ANALYTICS_FILE);
+const answerCache = createAnswerCache({
+  store: createCacheStoreFromEnv(process.env, { rootDir: __dirname, maxEntries: CHATBOT_CACHE_MAX_ENTRIES }),
+  ttlMs: CHATBOT_CACHE_TTL_HOURS * 60 * 60 * 1000,
+  maxEntries: CHATBOT_CACHE_MAX_ENTRIES,
+  maxBytes: CHATBOT_CACHE_MAX_MB * 1024 * 1024,
+});
 
-let ragDocuments = [];
-let ragFaqs = [];
-let ragEmbeddingsById = null;
-let chatCache = {};
+// CAPTCHA_PROVIDER picks reCAPTCHA Enterprise (default), reCAPTCHA v3, Turnstile, hCaptcha, the built-in
+// proof of work, or the stub for local development.
+const captchaVerifier = createCaptchaVerifierFromEnv();
+const contactInbox = createContactInbox(CONTACT_INBOX_FILE);
+const emailTemplates = createEmailTemplates(EMAIL_TEMPLATES_DIR, { defaultLocale: MAIL_LOCALE });
+const mailQueue = createMailQueue(MAIL_QUEUE_FILE, {
+  transport: createMailTransport(),
+  maxAttempts: MAIL_MAX_ATTEMPTS,
+  baseDelayMs: MAIL_RETRY_BASE_SECONDS * 1000,
+  maxDelayMs: MAIL_RETRY_MAX_SECONDS * 1000,
+  // The inbox shows whether staff have been notified about each submission.
+  onStatus: (message) => {
+    if (message.kind !== 'contact-notification') return;
+    recordContactNotification(message.submissionId, {
+      status: message.status,
+      error: message.status === 'sent' ? undefined : message.lastError,
+    });
+  },
+});
 
 function debugContact(message, details = {}) {
   if (!DEBUG_CONTACT) return;
   console.log(`[DEBUG][CONTACT] ${message}`, JSON.stringify(details));
 }
 
+// Admin endpoints take `Authorization: Bearer <ADMIN_API_TOKEN>` and do not exist when no token is set.
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) return res.status(404).json({ error: 'Not found.' });
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(ADMIN_API_TOKEN))) {
+    return res.status(401).json({ error: 'Unauthorized.' });
+  }
+  return next();
+}
+
+// One pooled SMTP transport for the mail queue, so connections are reused between messages. Without
+// SMTP_USER no login is attempted, which suits a local SMTP stand-in (see npm run smtp:sink).
+function createMailTransport() {
+  debugContact('smtp_config_check', {
+    host: process.env.SMTP_HOST || null,
+    port: process.env.SMTP_PORT || null,
+    secure: process.env.SMTP_SECURE || null,
+    hasSmtpUser: Boolean(process.env.SMTP_USER),
+    hasSmtpPass: Boolean(process.env.SMTP_PASS),
+  });
+  return nodemailer.createTransport({
+    pool: true,
+    maxConnections: 2,
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        }
+      : undefined,
+    connectionTimeout: 15000,
+    greetingTimeout: 15000,
+    socketTimeout: 30000,
+  });
+}
+
+// Staff addresses for a contact type: MAIL_TO_VOLUNTEER, MAIL_TO_WORKSHOP, ... (comma-separated), or
+// MAIL_TO when the type has no list of its own.
+function contactRecipients(type) {
+  const list = process.env[`MAIL_TO_${type.toUpperCase()}`] || process.env.MAIL_TO || 'projectcystem@gmail.com';
+  return list
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+// The staff notification and the receipt for the sender, as nodemailer message options, rendered from
+// the type's templates in emails/. `values` are the type's own fields. The receipt is in the visitor's
+// language when there is a translation. Throws when MAIL_FROM is not a usable address.
+function buildContactEmails({ type = 'general', name, email, message, values = {}, clientIp, locale }) {
+  const rawMailFrom = process.env.MAIL_FROM || process.env.SMTP_USER || '';
+  const mailFrom = rawMailFrom.trim().replace(/^<(.+)>$/, '$1');
+  const mailTo = contactRecipients(type);
+  debugContact('mail_from_normalized', {
+    rawMailFrom,
+    normalizedMailFrom: mailFrom,
+    mailTo,
+  });
+  if (!mailFrom || !EMAIL_PATTERN.test(mailFrom)) {
+    throw new Error('MAIL_FROM must be a valid verified sender email address.');
+  }
+
+  const { template } = CONTACT_TYPES[type];
+  const notification = emailTemplates.render(`${template}-notification`, {
+    ...values,
+    name,
+    email,
+    message,
+    clientIp,
+    submittedAt: new Date().toISOString(),
+  });
+  const confirmation = emailTemplates.render(`${template}-confirmation`, { ...values, name, message }, { locale });
+  const toMail = (rendered, to) => ({
+    from: { name: rendered.fromName, address: mailFrom },
+    to,
+    envelope: { from: mailFrom, to },
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+  });
+
+  return {
+    notification: { ...toMail(notification, mailTo), replyTo: email },
+    confirmation: toMail(confirmation, email),
+  };
+}
+
+function recordContactNotification(submissionId, result) {
+  if (!submissionId) return;
+  try {
+    contactInbox.setNotification(submissionId, result);
+  } catch (error) {
+    console.warn('[WARN] Failed to record the contact email status:', error.message);
+  }
+}
+
+function logContactError(error) {
+  const errorDetails = {
+    message: error.message,
+    code: error.code || null,
+    status: error.response?.status || null,
+    data: error.response?.data || null,
+    mailFrom: process.env.MAIL_FROM || null,
+    stack: process.env.NODE_ENV === 'production' ? undefined : error.stack,
+  };
+  console.error('[ERROR] Contact form error:', JSON.stringify(errorDetails));
+}
+
 const chatLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
   max: 10,
@@ -44,22 +270,19 @@ const chatLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const blockedMedicalPatterns = [
-  /\b(dose|dosage|mg|prescribe|prescription|medication plan|treat me|diagnose me)\b/i,
-  /\bhow much\b.*\b(mg|dose)\b/i,
-];
-
-function normalizeText(value) {
-  return String(value || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
+// Ratings have their own budget, so rating answers never uses up the questions a visitor can ask.
+const feedbackLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  message: { error: 'Too many ratings from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-function tokenize(value) {
-  return normalizeText(value).split(' ').filter((t) => t.length > 2);
-}
+const followUpPatterns = [
+  /^(and|but|also|so|then|what about|how about|what if|why)\b/i,
+  /\b(it|its|that|this|those|these|they|them|their)\b/i,
+];
 
 function loadJsonFile(filePath, fallback) {
   try {
@@ -72,221 +295,454 @@ function loadJsonFile(filePath, fallback) {
   }
 }
 
-function ensureDirForFile(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+// Loads and validates rag/ into a new snapshot, then swaps it in. On failure the previous snapshot stays
+// active and the error is thrown. Cached answers from other knowledge-base versions are dropped.
+function reloadKnowledgeBase() {
+  const next = loadKnowledgeBase(RAG_DIR, {
+    embeddingProviderName: embeddingProvider.name,
+    embeddingModel: CHATBOT_EMBEDDING_MODEL,
+    crisisRegion: CHATBOT_CRISIS_REGION,
+  });
+  if (next.vectorProblem) {
+    if (next.vectorMismatch && CHATBOT_EMBEDDING_STRICT) {
+      throw new Error(`${next.vectorProblem} (CHATBOT_EMBEDDING_STRICT=true)`);
+    }
+    console.warn(`[WARN] ${next.vectorProblem} Vector search is disabled until then.`);
   }
+  const previousVersion = knowledgeBase.version;
+  knowledgeBase = next;
+  purgeStaleCachedAnswers();
+  console.log(
+    `[CHATBOT] Loaded kb=${next.version || 'empty'} docs=${next.documents.length}, faqs=${next.faqs.length}, embeddings=${next.embeddingCount}, faqEmbeddings=${next.faqVectors.length}` +
+      (previousVersion && previousVersion !== next.version ? ` (was ${previousVersion})` : '')
+  );
+  return next;
 }
 
 function loadChatData() {
-  ragDocuments = loadJsonFile(path.join(RAG_DIR, 'documents.json'), []);
-  ragFaqs = loadJsonFile(path.join(RAG_DIR, 'faqs.json'), []);
-  const embeddingsPayload = loadJsonFile(path.join(RAG_DIR, 'embeddings.json'), null);
-  if (embeddingsPayload && Array.isArray(embeddingsPayload.items)) {
-    ragEmbeddingsById = new Map();
-    for (const item of embeddingsPayload.items) {
-      if (item && typeof item.id === 'string' && Array.isArray(item.embedding)) {
-        ragEmbeddingsById.set(item.id, item.embedding);
-      }
-    }
-  } else {
-    ragEmbeddingsById = null;
+  answerCache
+    .init()
+    .then((count) => console.log(`[CHATBOT] Answer cache (${answerCache.stats().backend}) loaded ${count} entries`))
+    .catch((error) => console.warn('[WARN] Failed to load the answer cache:', error.message));
+  try {
+    reloadKnowledgeBase();
+  } catch (error) {
+    console.error(`[ERROR] Failed to load the knowledge base: ${error.message}`);
+    if (CHATBOT_EMBEDDING_STRICT) process.exit(1);
   }
-  chatCache = loadJsonFile(CHAT_CACHE_FILE, {});
-  console.log(
-    `[CHATBOT] Loaded docs=${ragDocuments.length}, faqs=${ragFaqs.length}, embeddings=${ragEmbeddingsById ? ragEmbeddingsById.size : 0}`
-  );
 }
 
-function saveChatCache() {
+// Build scripts write several files in a row, so changes are debounced into one reload.
+function watchKnowledgeBase() {
+  const watchedFiles = new Set(['documents.json', 'faqs.json', 'embeddings.bin', 'guardrails.json', 'crisis.json']);
+  let timer = null;
   try {
-    ensureDirForFile(CHAT_CACHE_FILE);
-    fs.writeFileSync(CHAT_CACHE_FILE, JSON.stringify(chatCache, null, 2), 'utf8');
+    fs.watch(RAG_DIR, (eventType, filename) => {
+      if (filename && !watchedFiles.has(filename)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          reloadKnowledgeBase();
+        } catch (error) {
+          console.error(`[ERROR] Knowledge base reload failed, keeping ${knowledgeBase.version || 'empty'}: ${error.message}`);
+        }
+      }, 1000);
+    });
+    console.log(`[CHATBOT] Watching ${RAG_DIR} for knowledge base changes`);
   } catch (error) {
-    console.warn('[WARN] Failed to persist chat cache:', error.message);
+    console.warn('[WARN] Could not watch the knowledge base directory:', error.message);
   }
 }
 
-function getCachedAnswer(cacheKey) {
-  const item = chatCache[cacheKey];
-  if (!item) return null;
-  const ttlMs = CHATBOT_CACHE_TTL_HOURS * 60 * 60 * 1000;
-  if (Date.now() - item.timestamp > ttlMs) {
-    delete chatCache[cacheKey];
-    saveChatCache();
-    return null;
+// Cached answers are only valid for the documents they were retrieved from, the guardrail policy they
+// were checked against, and the model and prompt that wrote them, so all of these are part of the key.
+function answerCacheKeyPrefix(kb) {
+  const model = `${chatProvider.name}:${CHATBOT_MODEL}`;
+  return `v1|${kb.version || 'empty'}|${kb.guardrails.version}|${model}|p${CHAT_PROMPT_VERSION}|`;
+}
+
+function answerCacheKey(kb, question) {
+  return `${answerCacheKeyPrefix(kb)}${normalizeText(question)}`;
+}
+
+// Other versions' entries can never be read again; dropping them frees their space straight away.
+function purgeStaleCachedAnswers() {
+  const prefix = answerCacheKeyPrefix(knowledgeBase);
+  const removed = answerCache.deleteWhere((key) => !key.startsWith(prefix));
+  if (removed) {
+    console.log(`[CHATBOT] Dropped ${removed} cached answer(s) from other knowledge base versions`);
   }
-  return item;
 }
 
-function setCachedAnswer(cacheKey, value) {
-  chatCache[cacheKey] = {
-    ...value,
-    timestamp: Date.now(),
-  };
-  saveChatCache();
+// `kb` is the snapshot the answer was produced from; answers that finish after a reload are dropped.
+function setCachedAnswer(cacheKey, value, kb) {
+  if (kb !== knowledgeBase) return;
+  answerCache.set(cacheKey, value);
 }
 
-function isBlockedMedicalQuestion(question) {
-  return blockedMedicalPatterns.some((pattern) => pattern.test(question));
+// Appends a FAQ to knowledge/faq.json and rag/faqs.json and reloads, so it answers straight away. Its
+// prompts match lexically until the next `npm run build:embeddings`.
+function promoteFaq(faq) {
+  const faqs = loadJsonFile(FAQ_SOURCE_FILE, null);
+  if (!Array.isArray(faqs)) return { status: 500, error: 'knowledge/faq.json could not be read.' };
+  if (!faq.id || faqs.some((item) => item.id === faq.id)) {
+    return { status: 409, error: `A FAQ with id "${faq.id}" already exists; send a different id.` };
+  }
+  for (const prompt of faq.prompts) {
+    const clash = scoreFaqs(prompt, faqs).find((item) => item.score >= FAQ_MATCH_THRESHOLD);
+    if (clash) return { status: 409, error: `Prompt "${prompt}" already matches FAQ "${clash.faq.id}".` };
+  }
+  const next = [...faqs, faq];
+  try {
+    fs.writeFileSync(FAQ_SOURCE_FILE, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+    fs.writeFileSync(path.join(RAG_DIR, 'faqs.json'), JSON.stringify(next, null, 2), 'utf8');
+    return { kbVersion: reloadKnowledgeBase().version };
+  } catch (error) {
+    console.error('[ERROR] Failed to promote FAQ:', error.message);
+    return { status: 500, error: `Promotion failed: ${error.message}` };
+  }
 }
 
-function findFaqAnswer(question) {
-  const qTokens = new Set(tokenize(question));
-  if (!qTokens.size) return null;
-  let best = null;
-  let bestScore = 0;
-  for (const faq of ragFaqs) {
-    const prompts = Array.isArray(faq.prompts) ? faq.prompts : [];
-    for (const prompt of prompts) {
-      const pTokens = new Set(tokenize(prompt));
-      if (!pTokens.size) continue;
-      let overlap = 0;
-      for (const token of qTokens) {
-        if (pTokens.has(token)) overlap += 1;
-      }
-      const score = overlap / Math.max(qTokens.size, pTokens.size);
-      if (score > bestScore) {
-        bestScore = score;
-        best = faq;
-      }
-    }
+function pruneChatSessions() {
+  const ttlMs = CHATBOT_SESSION_TTL_MINUTES * 60 * 1000;
+  const now = Date.now();
+  for (const [id, session] of chatSessions) {
+    if (now - session.updatedAt > ttlMs) chatSessions.delete(id);
+  }
+  // Map iteration follows insertion order, so the oldest sessions are dropped first.
+  while (chatSessions.size > CHATBOT_MAX_SESSIONS) {
+    chatSessions.delete(chatSessions.keys().next().value);
   }
-  if (best && bestScore >= 0.7) return best;
-  return null;
 }
 
-function retrieveByKeyword(question, limit) {
-  const qTokens = new Set(tokenize(question));
-  if (!qTokens.size) return [];
-  const scored = ragDocuments
-    .map((doc) => {
-      const sourceText = `${doc.title || ''} ${doc.content || ''}`;
-      const dTokens = new Set(tokenize(sourceText));
-      let overlap = 0;
-      for (const token of qTokens) {
-        if (dTokens.has(token)) overlap += 1;
-      }
-      const score = overlap / Math.max(1, qTokens.size);
-      return { doc, score };
-    })
-    .filter((item) => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
-  return scored;
+function getChatSession(sessionId) {
+  const ttlMs = CHATBOT_SESSION_TTL_MINUTES * 60 * 1000;
+  const id = typeof sessionId === 'string' && /^[a-f0-9-]{36}$/.test(sessionId) ? sessionId : null;
+  const existing = id ? chatSessions.get(id) : null;
+  if (existing && Date.now() - existing.updatedAt <= ttlMs) {
+    // Re-insert so recently used sessions are evicted last.
+    chatSessions.delete(existing.id);
+    chatSessions.set(existing.id, existing);
+    return existing;
+  }
+  if (existing) chatSessions.delete(existing.id);
+
+  const session = { id: crypto.randomUUID(), turns: [], updatedAt: Date.now() };
+  chatSessions.set(session.id, session);
+  pruneChatSessions();
+  return session;
 }
 
-function cosineSimilarity(a, b) {
-  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return -1;
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    dot += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
-  }
-  if (!normA || !normB) return -1;
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+function recordChatTurn(session, question, answer) {
+  session.turns.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+  const maxMessages = CHATBOT_SESSION_MAX_TURNS * 2;
+  if (session.turns.length > maxMessages) {
+    session.turns = session.turns.slice(-maxMessages);
+  }
+  session.updatedAt = Date.now();
+}
+
+// Only a leading connective or a pronoun marks a follow-up; a short question such as "what is PCOS?"
+// stands on its own.
+function looksLikeFollowUp(question, history) {
+  if (!history.length) return false;
+  return followUpPatterns.some((pattern) => pattern.test(question));
+}
+
+// Why the chatbot is limited to FAQs, cached answers and extracts from the sources right now, or null
+// when it is not.
+let lastDegradedReason = null;
+function degradedReason() {
+  const reason = chatBreaker.isOpen() ? 'the chat model is unavailable' : usageLedger.exceededLimit();
+  if (reason !== lastDegradedReason) {
+    if (reason) console.warn(`[WARN] Degraded mode, answering without the chat model: ${reason}`);
+    else console.log('[CHATBOT] Left degraded mode');
+    lastDegradedReason = reason;
+  }
+  return reason;
+}
+
+// Logs which guardrail rule fired, never the question or answer text.
+function logGuardrailDecision(stage, action, rules) {
+  console.log(`[GUARDRAIL] stage=${stage} action=${action} rule=${rules.join(',')}`);
 }
 
 async function getEmbedding(input) {
-  const response = await axios.post(
-    'https://api.openai.com/v1/embeddings',
-    {
-      model: CHATBOT_EMBEDDING_MODEL,
-      input,
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 12000,
-    }
-  );
-  const embedding = response.data?.data?.[0]?.embedding;
+  const [embedding] = await embeddingProvider.embed([input], { model: CHATBOT_EMBEDDING_MODEL, timeout: 12000 });
   if (!Array.isArray(embedding)) {
     throw new Error('Embedding response missing vector.');
   }
   return embedding;
 }
 
-async function retrieveContext(question, limit) {
-  if (!ragDocuments.length) return [];
-  if (OPENAI_API_KEY && ragEmbeddingsById && ragEmbeddingsById.size) {
-    try {
-      const queryEmbedding = await getEmbedding(question);
-      const scored = [];
-      for (const doc of ragDocuments) {
-        const vector = ragEmbeddingsById.get(doc.id);
-        if (!vector) continue;
-        const score = cosineSimilarity(queryEmbedding, vector);
-        if (score > 0) scored.push({ doc, score });
-      }
-      scored.sort((a, b) => b.score - a.score);
-      if (scored.length) return scored.slice(0, limit);
-    } catch (error) {
-      console.warn('[WARN] Embedding retrieval failed, falling back to keyword search:', error.message);
-    }
+// One embedding per question, shared by semantic FAQ matching and document retrieval. Null when there
+// is nothing to compare it with or the provider fails, in which case both fall back to lexical matching.
+async function getQueryEmbedding(kb, question) {
+  if (!embeddingProvider.isConfigured() || (!kb.vectorStore && !kb.faqVectors.length)) return null;
+  try {
+    return await getEmbedding(question);
+  } catch (error) {
+    console.warn('[WARN] Query embedding failed, using keyword matching only:', error.message);
+    return null;
   }
-  return retrieveByKeyword(question, limit);
-}
-
-function buildContextText(items) {
-  return items
-    .map((item, index) => {
-      const doc = item.doc;
-      return `Source ${index + 1}: ${doc.title}\nURL: ${doc.url}\nExcerpt: ${doc.content}`;
-    })
-    .join('\n\n');
 }
 
+// One entry per cited section. Documents built from headed markdown carry `heading` (the heading path)
+// and may carry a section-specific `url`, so a citation points at the section rather than the whole page.
 function buildSourceList(items) {
   const unique = new Map();
   for (const item of items) {
     const doc = item.doc;
-    if (!unique.has(doc.url)) {
-      unique.set(doc.url, { title: doc.title, url: doc.url });
+    const key = `${doc.url}#${doc.anchor || ''}`;
+    if (!unique.has(key)) {
+      const pageTitle = doc.page_title || doc.title;
+      const source = { title: doc.heading ? `${pageTitle} › ${doc.heading}` : pageTitle, url: doc.url };
+      if (doc.heading) source.section = doc.heading;
+      if (doc.reviewed_at) source.reviewed_at = doc.reviewed_at;
+      unique.set(key, source);
     }
   }
   return Array.from(unique.values());
 }
 
-async function generateChatAnswer(question, contextItems) {
-  const contextText = buildContextText(contextItems);
-  const systemPrompt =
-    'You are an educational assistant for Project CYSTEM about PCOS awareness. ' +
-    'Do not provide medical diagnosis, prescriptions, or dosage advice. ' +
-    'If asked for personalized treatment, refuse briefly and recommend consulting a licensed clinician. ' +
-    'Use only the supplied sources. If sources are insufficient, say you do not have enough trusted information. ' +
-    'Keep responses under 180 words and include source tags like [Source 1].';
-
-  const userPrompt = `Question: ${question}\n\nTrusted sources:\n${contextText || 'No relevant sources found.'}`;
-  const response = await axios.post(
-    'https://api.openai.com/v1/chat/completions',
-    {
+async function rewriteFollowUpQuestion(question, history) {
+  const lastUserTurn = [...history].reverse().find((turn) => turn.role === 'user');
+  const fallback = lastUserTurn ? `${lastUserTurn.content} ${question}` : question;
+  if (!chatProvider.isConfigured() || degradedReason()) return fallback;
+
+  try {
+    const { text } = await chatProvider.complete({
       model: CHATBOT_MODEL,
-      temperature: 0.2,
-      max_tokens: CHATBOT_MAX_OUTPUT_TOKENS,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 20000,
+      temperature: 0,
+      maxTokens: 80,
+      timeout: 8000,
+      messages: buildRewriteMessages(question, history),
+    });
+    const rewritten = text.trim();
+    return rewritten && rewritten.length <= 800 ? rewritten : fallback;
+  } catch (error) {
+    console.warn('[WARN] Follow-up rewrite failed, using previous question as context:', error.message);
+    return fallback;
+  }
+}
+
+async function generateChatAnswer(question, contextItems, history = [], { systemPrompt, onToken, signal } = {}) {
+  const { text } = await chatProvider.complete({
+    model: CHATBOT_MODEL,
+    temperature: 0.2,
+    maxTokens: CHATBOT_MAX_OUTPUT_TOKENS,
+    timeout: 20000,
+    onToken,
+    signal,
+    messages: buildAnswerMessages(question, contextItems, { systemPrompt, history }),
+  });
+  return text || 'I could not generate an answer right now.';
+}
+
+// Shared by /api/chat and /api/chat/stream. Returns `{ status, error }` for requests that cannot be
+// answered, otherwise `{ answer, sources, cached, sessionId, answerId, suggestions, followUps }`, plus
+// `crisis` for crisis replies, which have no answerId and cannot be rated. `suggestions` lists near-miss
+// FAQ questions ("Did you mean…?"), `followUps` related questions to ask next. `onToken` receives model
+// output as it streams.
+async function answerChatQuestion(body, { onToken, signal } = {}) {
+  if (!CHATBOT_ENABLED) {
+    return { status: 503, error: 'Chatbot is currently disabled.' };
+  }
+
+  const question = String(body?.question || '').trim();
+  if (question.length < 4 || question.length > 800) {
+    return { status: 400, error: 'Please send a question between 4 and 800 characters.' };
+  }
+
+  const kb = knowledgeBase;
+  const session = getChatSession(body?.sessionId);
+
+  // Crisis messages are answered before anything else with the fixed safe-messaging reply. They are
+  // never cached, sent to a model or kept in the session transcript, and the text is not logged.
+  if (kb.crisis.isCrisis(question)) {
+    const { message, region, resources } = kb.crisis.response(body?.region);
+    console.log(`[CRISIS] Safe-messaging response sent (region=${region})`);
+    chatAnalytics.record({ path: 'crisis' });
+    return { answer: message, sources: [], cached: false, sessionId: session.id, crisis: { region, resources } };
+  }
+
+  const history = session.turns.slice();
+  let suggestions = [];
+  let standaloneQuestion = question;
+  let cacheKey = null;
+  // `answerPath` is how the answer was produced (blocked, faq, cache, llm, extractive, no-context or
+  // degraded); it is kept with the retrieval scores so a rating on the answer can be traced back.
+  // "Did you mean" suggestions only go with replies that did not answer the question, and a question
+  // offered there is not repeated among the follow-ups.
+  const reply = (answer, sources, answerPath, { followUps = [], retrieval = [], faqId } = {}) => {
+    const offered = answerPath === 'no-context' || answerPath === 'degraded' ? suggestions : [];
+    const offeredIds = new Set(offered.map((item) => item.id));
+    const offeredQuestions = new Set(offered.map((item) => item.question.toLowerCase()));
+    followUps = followUps.filter((item) => !offeredIds.has(item.faqId) && !offeredQuestions.has(item.question.toLowerCase()));
+    recordChatTurn(session, question, answer);
+    chatAnalytics.record({ question: standaloneQuestion, path: answerPath, retrieval });
+    const answerId = feedbackStore.rememberAnswer({
+      question,
+      standaloneQuestion: standaloneQuestion !== question ? standaloneQuestion : undefined,
+      answer,
+      sources,
+      path: answerPath,
+      faqId,
+      retrieval,
+      cacheKey,
+      kbVersion: kb.version,
+    });
+    return { answer, sources, cached: answerPath === 'cache', sessionId: session.id, answerId, suggestions: offered, followUps };
+  };
+  const followUpsFor = (contextItems, faq = null) => suggestFollowUps(kb, { question: standaloneQuestion, contextItems, faq });
+  const faqReply = (faq) =>
+    reply(`${faq.answer}\n\nThis is educational information, not medical advice.`, Array.isArray(faq.sources) ? faq.sources : [], 'faq', {
+      followUps: followUpsFor([], faq),
+      faqId: faq.id,
+    });
+
+  const blockedByInputRule = (text) => {
+    const decision = kb.guardrails.checkInput(text);
+    if (decision.action !== 'block') return null;
+    logGuardrailDecision('input', decision.action, [decision.rule]);
+    return reply(decision.response, [], 'blocked');
+  };
+  // Answers built from retrieved sources are checked before they are returned or cached.
+  const checkAnswer = (text, contextItems) => {
+    const decision = kb.guardrails.checkOutput(text, { sourceCount: contextItems.length });
+    if (decision.rules.length) logGuardrailDecision('output', decision.action, decision.rules);
+    return decision.answer;
+  };
+
+  const blockedQuestion = blockedByInputRule(question);
+  if (blockedQuestion) return blockedQuestion;
+
+  // Follow-ups are resolved into a standalone question for FAQ matching and retrieval. Their answers
+  // depend on the conversation, so they are never read from or written to the shared cache.
+  const isFollowUp = looksLikeFollowUp(question, history);
+  if (isFollowUp) standaloneQuestion = await rewriteFollowUpQuestion(question, history);
+  const blockedStandalone = isFollowUp ? blockedByInputRule(standaloneQuestion) : null;
+  if (blockedStandalone) return blockedStandalone;
+
+  // A lexical FAQ match is free, so it is tried before the cache; the semantic one needs the query
+  // embedding, which retrieval uses as well.
+  const lexicalFaq = matchFaqs(standaloneQuestion, kb.faqs);
+  if (lexicalFaq.match) return faqReply(lexicalFaq.match);
+
+  cacheKey = isFollowUp ? null : answerCacheKey(kb, question);
+  const cached = cacheKey ? await answerCache.get(cacheKey) : null;
+  if (cached) {
+    return reply(cached.answer, cached.sources || [], 'cache', {
+      followUps: cached.followUps || [],
+      retrieval: cached.retrieval || [],
+    });
+  }
+
+  // In degraded mode nothing past this point may call a provider: retrieval is keyword-only and the
+  // answer is extracted from the sources. The canned reply is left for questions with no sources.
+  const degraded = Boolean(degradedReason());
+  const degradedReply = () =>
+    reply(
+      'The assistant is running in a limited mode right now and can only answer common questions. Please try one of the questions below, or ask again later.',
+      [],
+      'degraded',
+      { followUps: followUpsFor([]) }
+    );
+
+  const queryEmbedding = degraded ? null : await getQueryEmbedding(kb, standaloneQuestion);
+  const faqMatch = queryEmbedding
+    ? matchFaqs(standaloneQuestion, kb.faqs, {
+        queryVector: queryEmbedding,
+        faqVectors: kb.faqVectors,
+        confidentSimilarity: CHATBOT_FAQ_MIN_SIMILARITY,
+        suggestSimilarity: CHATBOT_FAQ_SUGGEST_SIMILARITY,
+      })
+    : lexicalFaq;
+  if (faqMatch.match) return faqReply(faqMatch.match);
+  suggestions = faqMatch.suggestions.map((faq) => ({ id: faq.id, question: faqDisplayQuestion(faq) }));
+
+  const contextItems = retrieveContext(kb, standaloneQuestion, queryEmbedding, {
+    limit: CHATBOT_CONTEXT_CHUNKS,
+    minLexicalScore: CHATBOT_MIN_LEXICAL_SCORE,
+    minSimilarity: CHATBOT_MIN_SIMILARITY,
+  });
+  if (!contextItems.length) {
+    if (degraded) return degradedReply();
+    // With near-miss FAQs the reply asks which one was meant instead; it depends on the FAQ set, so it
+    // is not cached.
+    if (suggestions.length) {
+      return reply('I am not sure I understood. Did you mean one of these questions?', [], 'no-context');
     }
-  );
-  return response.data?.choices?.[0]?.message?.content?.trim() || 'I could not generate an answer right now.';
+    const noDataAnswer =
+      'I do not have enough trusted information in the current knowledge base to answer that. Please contact a licensed clinician or use our trusted resource links.';
+    const noDataFollowUps = followUpsFor([]);
+    if (cacheKey) setCachedAnswer(cacheKey, { answer: noDataAnswer, sources: [], followUps: noDataFollowUps }, kb);
+    return reply(noDataAnswer, [], 'no-context', { followUps: noDataFollowUps });
+  }
+  const sources = buildSourceList(contextItems);
+  const followUps = followUpsFor(contextItems);
+  const retrieval = contextItems.map((item) => ({ id: item.doc.id, score: item.score, scores: item.scores }));
+
+  // Extractive answers are not cached: they are cheap to rebuild, and during an outage caching them
+  // would keep serving them after the model recovers.
+  const extractiveReply = () => {
+    const extracted = buildExtractiveAnswer(standaloneQuestion, contextItems);
+    if (!extracted && degraded) return degradedReply();
+    if (!extracted) return { status: 503, error: 'Chat assistant is temporarily unavailable.' };
+    const checked = checkAnswer(extracted, contextItems);
+    return reply(`${checked}\n\nThis is educational information and not medical advice.`, sources, 'extractive', {
+      followUps,
+      retrieval,
+    });
+  };
+
+  if (degraded || CHATBOT_ANSWER_MODE === 'extractive' || !chatProvider.isConfigured()) {
+    return extractiveReply();
+  }
+
+  // Streamed tokens stop reaching the client once the answer so far would be blocked; the final,
+  // checked answer replaces the streamed text either way.
+  let streamedText = '';
+  let holdTokens = false;
+  const guardedOnToken =
+    onToken &&
+    ((text) => {
+      streamedText += text;
+      if (!holdTokens && kb.guardrails.outputWouldBlock(streamedText)) holdTokens = true;
+      if (!holdTokens) onToken(text);
+    });
+
+  let answer;
+  try {
+    // Standalone questions are answered without history so the cached answer carries no session context.
+    answer = await generateChatAnswer(standaloneQuestion, contextItems, isFollowUp ? history : [], {
+      systemPrompt: kb.guardrails.systemPrompt,
+      onToken: guardedOnToken,
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logChatError(error);
+    console.warn('[WARN] Chat completion failed, answering from retrieved sources instead.');
+    return extractiveReply();
+  }
+  const finalAnswer = `${checkAnswer(answer, contextItems)}\n\nThis is educational information and not medical advice.`;
+
+  if (cacheKey) setCachedAnswer(cacheKey, { answer: finalAnswer, sources, followUps, retrieval }, kb);
+  return reply(finalAnswer, sources, 'llm', { followUps, retrieval });
+}
+
+function logChatError(error) {
+  const details = {
+    message: error.message,
+    status: error.response?.status || null,
+    data: error.response?.data || null,
+  };
+  console.error('[ERROR] Chatbot error:', JSON.stringify(details));
 }
 
 loadChatData();
+if (CHATBOT_KB_WATCH) watchKnowledgeBase();
 
 // Security & rate limiting
 app.use(
@@ -301,6 +757,7 @@ app.use(
           'https://www.google.com',
           'https://www.gstatic.com',
           'https://www.googletagmanager.com',
+          ...(captchaVerifier.csp.scriptSrc || []),
         ],
         connectSrc: [
           "'self'",
@@ -309,6 +766,7 @@ app.use(
           'https://www.google-analytics.com',
           'https://region1.google-analytics.com',
           'https://www.googletagmanager.com',
+          ...(captchaVerifier.csp.connectSrc || []),
         ],
         imgSrc: [
           "'self'",
@@ -318,7 +776,7 @@ app.use(
           'https://www.google-analytics.com',
           'https://www.googletagmanager.com',
         ],
-        frameSrc: ["'self'", 'https://www.google.com', 'https://recaptcha.google.com'],
+        frameSrc: ["'self'", 'https://www.google.com', 'https://recaptcha.google.com', ...(captchaVerifier.csp.frameSrc || [])],
       },
     },
   })
@@ -343,15 +801,34 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// What public/captcha.js needs to get a token for a form: the provider and its public site key.
+app.get('/api/captcha/config', (req, res) => {
+  const form = String(req.query.form || 'contact');
+  if (!/^[a-z0-9-]{1,40}$/.test(form)) return res.status(400).json({ error: 'Invalid form name.' });
+  return res.json(captchaVerifier.clientConfig(form));
+});
+
+// A fresh proof-of-work challenge; only with CAPTCHA_PROVIDER=pow.
+app.get('/api/captcha/challenge', (req, res) => {
+  if (!captchaVerifier.issueChallenge) return res.status(404).json({ error: 'Not found.' });
+  const form = String(req.query.form || 'contact');
+  if (!/^[a-z0-9-]{1,40}$/.test(form)) return res.status(400).json({ error: 'Invalid form name.' });
+  res.set('Cache-Control', 'no-store');
+  return res.json(captchaVerifier.issueChallenge(form));
+});
+
 // Contact form handler
 app.post('/contact', contactLimiter, async (req, res) => {
   try {
-    const { name, email, message, 'g-recaptcha-response': captchaToken } = req.body;
+    const { type = 'general', name, email, message = '' } = req.body;
+    // g-recaptcha-response is what contact-form.js sent before CAPTCHA providers were pluggable.
+    const captchaToken = req.body['captcha-token'] || req.body['g-recaptcha-response'];
 
     // Determine client IP reliably when behind a proxy (Apache/Bitnami)
     const clientIp = req.ip || (req.headers['x-forwarded-for'] ? req.headers['x-forwarded-for'].split(',')[0].trim() : req.connection.remoteAddress || '');
     debugContact('request_received', {
       ip: clientIp,
+      type,
       hasName: Boolean(name),
       hasEmail: Boolean(email),
       messageLength: typeof message === 'string' ? message.trim().length : 0,
@@ -366,268 +843,347 @@ app.post('/contact', contactLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Submission failed. Please try again.' });
     }
 
-    // Validate required fields
-    if (!name || !email || !message) {
+    const contactType = typeof type === 'string' && Object.hasOwn(CONTACT_TYPES, type) ? CONTACT_TYPES[type] : null;
+    if (!contactType) {
+      return res.status(400).json({ error: 'Please choose what your message is about.' });
+    }
+
+    // Validate required fields; volunteer and workshop requests may leave the message empty.
+    if (!name || !email || typeof message !== 'string' || (contactType.messageRequired && !message)) {
       return res.status(400).json({ error: 'Please fill in all fields.' });
     }
 
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_PATTERN.test(email)) {
       return res.status(400).json({ error: 'Please enter a valid email address.' });
     }
 
     // Validate message length
-    if (message.trim().length < 10 || message.trim().length > 5000) {
+    if (contactType.messageRequired && (message.trim().length < 10 || message.trim().length > 5000)) {
       return res.status(400).json({ error: 'Message must be between 10 and 5000 characters.' });
     }
+    if (message.trim().length > 5000) {
+      return res.status(400).json({ error: 'Message must be at most 5000 characters.' });
+    }
 
-    // Verify reCAPTCHA
-    if (!captchaToken) {
-      return res.status(400).json({ error: 'reCAPTCHA verification failed. Please try again.' });
+    // Validate the type's own fields
+    const typed = validateContactFields(type, req.body);
+    if (typed.error) {
+      return res.status(400).json({ error: typed.error });
     }
 
-    const recaptchaProjectId = process.env.RECAPTCHA_PROJECT_ID;
-    const recaptchaApiKey = process.env.RECAPTCHA_API_KEY;
-    const recaptchaSiteKey = process.env.RECAPTCHA_SITE_KEY;
-    debugContact('recaptcha_config_check', {
-      hasProjectId: Boolean(recaptchaProjectId),
-      hasApiKey: Boolean(recaptchaApiKey),
-      hasSiteKey: Boolean(recaptchaSiteKey),
-      projectId: recaptchaProjectId || null,
-      siteKeySuffix: recaptchaSiteKey ? recaptchaSiteKey.slice(-6) : null,
-    });
-    if (!recaptchaProjectId || !recaptchaApiKey || !recaptchaSiteKey) {
-      console.error('RECAPTCHA_PROJECT_ID, RECAPTCHA_API_KEY, and RECAPTCHA_SITE_KEY must be set.');
+    // Verify the CAPTCHA
+    if (!captchaToken || typeof captchaToken !== 'string') {
+      return res.status(400).json({ error: 'CAPTCHA verification failed. Please try again.' });
+    }
+    debugContact('captcha_config_check', { provider: captchaVerifier.name, configured: captchaVerifier.isConfigured() });
+    if (!captchaVerifier.isConfigured()) {
+      console.error(`[ERROR] CAPTCHA provider ${captchaVerifier.name} is missing its site key or secret.`);
       return res.status(500).json({ error: 'Server configuration error. Please try again later.' });
     }
 
-    const captchaVerifyUrl = `https://recaptchaenterprise.googleapis.com/v1/projects/${encodeURIComponent(
-      recaptchaProjectId
-    )}/assessments`;
-    const captchaResponse = await axios.post(
-      captchaVerifyUrl,
-      {
-        event: {
-          token: captchaToken,
-          siteKey: recaptchaSiteKey,
-          expectedAction: RECAPTCHA_EXPECTED_ACTION,
-          userIpAddress: clientIp,
-        },
-      },
-      {
-        params: {
-          key: recaptchaApiKey,
-        },
-      }
-    );
-    debugContact('recaptcha_assessment_response', {
-      hasTokenProperties: Boolean(captchaResponse.data.tokenProperties),
-      hasRiskAnalysis: Boolean(captchaResponse.data.riskAnalysis),
-    });
-
-    const tokenProperties = captchaResponse.data.tokenProperties || {};
-    const riskAnalysis = captchaResponse.data.riskAnalysis || {};
-    const captchaAction = tokenProperties.action;
-    const captchaValid = tokenProperties.valid === true;
-    const hasActionMismatch = typeof captchaAction === 'string' && captchaAction !== RECAPTCHA_EXPECTED_ACTION;
-    const score = typeof riskAnalysis.score === 'number' ? riskAnalysis.score : null;
-    const hasLowScore = typeof score === 'number' && score < RECAPTCHA_MIN_SCORE;
-
-    if (!captchaValid || hasActionMismatch || hasLowScore) {
+    // Each type is its own CAPTCHA form, so it can have its own threshold (e.g. CAPTCHA_MIN_SCORE_VOLUNTEER).
+    const captchaForm = type === 'general' ? 'contact' : type;
+    const captcha = await captchaVerifier.verify(captchaToken, { form: captchaForm, ip: clientIp });
+    if (!captcha.ok) {
       console.warn(
-        '[CAPTCHA FAILED] Action:',
-        captchaAction,
+        '[CAPTCHA FAILED] Provider:',
+        captchaVerifier.name,
+        'Reason:',
+        captcha.reason,
+        'Action:',
+        captcha.action,
         'Score:',
-        score,
-        'Valid:',
-        captchaValid,
-        'InvalidReason:',
-        tokenProperties.invalidReason,
+        captcha.score,
         'from IP:',
         clientIp
       );
-      return res.status(400).json({ error: 'reCAPTCHA verification failed. Please try again.' });
+      return res.status(400).json({ error: 'CAPTCHA verification failed. Please try again.' });
     }
-    debugContact('recaptcha_passed', {
-      action: captchaAction || null,
-      score,
-      valid: captchaValid,
+    debugContact('captcha_passed', {
+      provider: captchaVerifier.name,
+      action: captcha.action,
+      score: captcha.score,
     });
 
-    // Configure nodemailer transporter
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT || '587'),
-      secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
-    debugContact('smtp_config_check', {
-      host: process.env.SMTP_HOST || null,
-      port: process.env.SMTP_PORT || null,
-      secure: process.env.SMTP_SECURE || null,
-      hasSmtpUser: Boolean(process.env.SMTP_USER),
-      hasSmtpPass: Boolean(process.env.SMTP_PASS),
-    });
-
-    const rawMailFrom = process.env.MAIL_FROM || process.env.SMTP_USER || '';
-    const mailFrom = rawMailFrom.trim().replace(/^<(.+)>$/, '$1');
-    debugContact('mail_from_normalized', {
-      rawMailFrom,
-      normalizedMailFrom: mailFrom,
-      mailTo: process.env.MAIL_TO || 'projectcystem@gmail.com',
-    });
-    if (!mailFrom || !emailRegex.test(mailFrom)) {
-      console.error('MAIL_FROM must be a valid verified sender email address.');
-      return res.status(500).json({ error: 'Server configuration error. Please try again later.' });
+    // Saved before any email goes out, so the message survives a mail outage.
+    let submission = null;
+    try {
+      submission = contactInbox.add({
+        type,
+        name: String(name),
+        email: String(email),
+        message: message.trim(),
+        fields: typed.fields,
+        details: typed.details,
+        ip: clientIp,
+      });
+    } catch (storeError) {
+      console.error('[ERROR] Failed to save contact submission:', storeError.message);
     }
 
-    // Email content
-    const mailOptions = {
-      from: `"Project CYSTEM Contact" <${mailFrom}>`,
-      to: process.env.MAIL_TO || 'projectcystem@gmail.com',
-      envelope: {
-        from: mailFrom,
-        to: process.env.MAIL_TO || 'projectcystem@gmail.com',
-      },
-      replyTo: email,
-      subject: `New Contact Form Message from ${name}`,
-      html: `
-        <h2>New Contact Form Submission</h2>
-        <p><strong>Name:</strong> ${escapeHtml(name)}</p>
-        <p><strong>Email:</strong> ${escapeHtml(email)}</p>
-        <p><strong>Message:</strong></p>
-        <p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
-        <hr>
-        <p><small>Submitted from: ${escapeHtml(clientIp)} at ${new Date().toISOString()}</small></p>
-      `,
-    };
-
-    // Optionally send a confirmation email to the user
-    const confirmationMailOptions = {
-      from: `"Project CYSTEM" <${mailFrom}>`,
-      to: email,
-      envelope: {
-        from: mailFrom,
-        to: email,
-      },
-      subject: 'We received your message',
-      html: `
-        <h2>Thank you for reaching out!</h2>
-        <p>Hi ${escapeHtml(name)},</p>
-        <p>We have received your message and will get back to you as soon as possible.</p>
-        <p><strong>Your message:</strong></p>
-        <p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
-        <hr>
-        <p>Best regards,<br>Project CYSTEM Team</p>
-      `,
-    };
-
-    // Always send admin notification. User confirmation is optional and non-fatal.
-    await transporter.sendMail(mailOptions);
-    if (SEND_CONFIRMATION_EMAIL) {
-      try {
-        await transporter.sendMail(confirmationMailOptions);
-      } catch (confirmationError) {
-        console.warn(
-          '[WARN] Confirmation email failed:',
-          confirmationError.message,
-          'recipient:',
-          email
-        );
-      }
+    // Emails are sent in the background with retries, so a slow or failing SMTP server does not hold up
+    // the response.
+    try {
+      const locale = (req.get('accept-language') && req.acceptsLanguages(...emailTemplates.locales)) || MAIL_LOCALE;
+      const emails = buildContactEmails({ type, name, email, message: message.trim(), values: typed.values, clientIp, locale });
+      const meta = { submissionId: submission ? submission.id : null };
+      mailQueue.enqueue(emails.notification, { kind: 'contact-notification', meta });
+      recordContactNotification(meta.submissionId, { status: 'queued' });
+      if (SEND_CONFIRMATION_EMAIL) mailQueue.enqueue(emails.confirmation, { kind: 'contact-confirmation', meta });
+      debugContact('emails_queued', { confirmation: SEND_CONFIRMATION_EMAIL });
+    } catch (mailError) {
+      // Without a saved copy the message would be lost, so the visitor is asked to try again.
+      if (!submission) throw mailError;
+      logContactError(mailError);
+      recordContactNotification(submission.id, { status: 'failed', error: mailError.message });
     }
-    debugContact('emails_sent', {
-      envelopeFrom: mailFrom,
-      adminTo: process.env.MAIL_TO || 'projectcystem@gmail.com',
-      confirmationTo: SEND_CONFIRMATION_EMAIL ? email : null,
-    });
 
-    console.log(`[SUCCESS] Contact form submitted by ${email} (${name}) from IP: ${clientIp}`);
+    console.log(`[SUCCESS] Contact form (${type}) submitted by ${email} (${name}) from IP: ${clientIp}`);
     return res.status(200).json({ success: true, message: 'Your message has been sent successfully!' });
   } catch (error) {
-    const errorDetails = {
-      message: error.message,
-      code: error.code || null,
-      status: error.response?.status || null,
-      data: error.response?.data || null,
-      mailFrom: process.env.MAIL_FROM || null,
-      stack: process.env.NODE_ENV === 'production' ? undefined : error.stack,
-    };
-    console.error('[ERROR] Contact form error:', JSON.stringify(errorDetails));
+    logContactError(error);
     return res.status(500).json({ error: 'An error occurred. Please try again later.' });
   }
 });
 
 app.post('/api/chat', chatLimiter, async (req, res) => {
   try {
-    if (!CHATBOT_ENABLED) {
-      return res.status(503).json({ error: 'Chatbot is currently disabled.' });
-    }
-
-    const question = String(req.body?.question || '').trim();
-    if (question.length < 4 || question.length > 800) {
-      return res.status(400).json({ error: 'Please send a question between 4 and 800 characters.' });
+    const result = await answerChatQuestion(req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    return res.status(200).json({
+      answer: result.answer,
+      sources: result.sources,
+      cached: result.cached,
+      sessionId: result.sessionId,
+      answerId: result.answerId,
+      suggestions: result.suggestions,
+      followUps: result.followUps,
+      crisis: result.crisis,
+    });
+  } catch (error) {
+    logChatError(error);
+    return res.status(500).json({ error: 'Chat assistant is temporarily unavailable.' });
+  }
+});
 
-    if (isBlockedMedicalQuestion(question)) {
-      return res.status(200).json({
-        answer:
-          'I can share general educational information, but I cannot provide diagnosis, prescriptions, or dosage advice. Please consult a licensed clinician for personal medical guidance.',
-        sources: [],
-        cached: false,
-      });
-    }
+// Streaming variant of /api/chat. Every answer path (blocked, FAQ, cache, LLM) uses the same events:
+// `token` chunks of answer text, then `sources`, then `done` with the final answer and session id.
+// Errors found before any event is written come back as plain JSON with a status code, like /api/chat.
+app.post('/api/chat/stream', chatLimiter, async (req, res) => {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
 
-    const faqHit = findFaqAnswer(question);
-    if (faqHit) {
-      return res.status(200).json({
-        answer: `${faqHit.answer}\n\nThis is educational information, not medical advice.`,
-        sources: Array.isArray(faqHit.sources) ? faqHit.sources : [],
-        cached: false,
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
       });
+      res.flushHeaders();
     }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    const cacheKey = normalizeText(question);
-    const cached = getCachedAnswer(cacheKey);
-    if (cached) {
-      return res.status(200).json({
-        answer: cached.answer,
-        sources: cached.sources || [],
-        cached: true,
-      });
+  let streamedTokens = false;
+  try {
+    const result = await answerChatQuestion(req.body, {
+      signal: abortController.signal,
+      onToken: (text) => {
+        streamedTokens = true;
+        sendEvent('token', { text });
+      },
+    });
+    if (abortController.signal.aborted) return;
+    if (result.error) {
+      if (!res.headersSent) return res.status(result.status).json({ error: result.error });
+      sendEvent('error', { error: result.error });
+      return res.end();
     }
 
-    if (!OPENAI_API_KEY) {
-      return res.status(503).json({ error: 'Chatbot is not configured yet (missing OPENAI_API_KEY).' });
+    if (!streamedTokens) sendEvent('token', { text: result.answer });
+    sendEvent('sources', { sources: result.sources });
+    sendEvent('done', {
+      answer: result.answer,
+      cached: result.cached,
+      sessionId: result.sessionId,
+      answerId: result.answerId,
+      suggestions: result.suggestions,
+      followUps: result.followUps,
+      crisis: result.crisis,
+    });
+    return res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) return;
+    logChatError(error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Chat assistant is temporarily unavailable.' });
     }
+    sendEvent('error', { error: 'Chat assistant is temporarily unavailable.' });
+    return res.end();
+  }
+});
 
-    const contextItems = await retrieveContext(question, CHATBOT_CONTEXT_CHUNKS);
-    if (!contextItems.length) {
-      const noDataAnswer =
-        'I do not have enough trusted information in the current knowledge base to answer that. Please contact a licensed clinician or use our trusted resource links.';
-      setCachedAnswer(cacheKey, { answer: noDataAnswer, sources: [] });
-      return res.status(200).json({ answer: noDataAnswer, sources: [], cached: false });
-    }
+app.get('/api/chat/starters', (req, res) => {
+  if (!CHATBOT_ENABLED) {
+    return res.status(503).json({ error: 'Chatbot is currently disabled.' });
+  }
+  return res.json({ questions: starterQuestions(knowledgeBase) });
+});
 
-    const answer = await generateChatAnswer(question, contextItems);
-    const sources = buildSourceList(contextItems);
-    const finalAnswer = `${answer}\n\nThis is educational information and not medical advice.`;
+app.post('/api/chat/feedback', feedbackLimiter, (req, res) => {
+  if (!CHATBOT_ENABLED) {
+    return res.status(503).json({ error: 'Chatbot is currently disabled.' });
+  }
+  const { answerId, rating, comment } = req.body || {};
+  if (typeof answerId !== 'string' || !['up', 'down'].includes(rating)) {
+    return res.status(400).json({ error: 'Please send an answerId and a rating of "up" or "down".' });
+  }
+  const entry = feedbackStore.submit(answerId, { rating, comment });
+  if (!entry) {
+    return res.status(404).json({ error: 'This answer can no longer be rated.' });
+  }
+  console.log(`[FEEDBACK] rating=${rating} path=${entry.path}${entry.review ? ` review=${entry.review.status}` : ''}`);
+  return res.status(200).json({ success: true });
+});
 
-    setCachedAnswer(cacheKey, { answer: finalAnswer, sources });
-    return res.status(200).json({ answer: finalAnswer, sources, cached: false });
+app.post('/api/admin/kb/reload', requireAdminToken, (req, res) => {
+  const previousVersion = knowledgeBase.version;
+  try {
+    const kb = reloadKnowledgeBase();
+    res.json({
+      kbVersion: kb.version,
+      previousVersion,
+      docs: kb.documents.length,
+      faqs: kb.faqs.length,
+      embeddings: kb.embeddingCount,
+      warning: kb.vectorProblem || undefined,
+    });
   } catch (error) {
-    const details = {
-      message: error.message,
-      status: error.response?.status || null,
-      data: error.response?.data || null,
-    };
-    console.error('[ERROR] Chatbot error:', JSON.stringify(details));
-    return res.status(500).json({ error: 'Chat assistant is temporarily unavailable.' });
+    console.error(`[ERROR] Knowledge base reload failed, keeping ${previousVersion || 'empty'}: ${error.message}`);
+    res.status(422).json({ error: `Reload failed: ${error.message}`, kbVersion: previousVersion });
+  }
+});
+
+// Aggregated, PII-scrubbed chat traffic: answer paths, frequent and unanswered questions, retrieval
+// scores and content gaps. `?minCount=` overrides CHATBOT_ANALYTICS_MIN_COUNT.
+app.get('/api/admin/analytics', requireAdminToken, (req, res) => {
+  const minCount = Math.max(1, parseInt(req.query.minCount, 10) || CHATBOT_ANALYTICS_MIN_COUNT);
+  return res.json(buildAnalyticsReport(chatAnalytics.snapshot(), knowledgeBase.documents, { minCount }));
+});
+
+// Review queue: thumbs-down answers with `?status=open` (the default) or `resolved`, or `all` ratings.
+app.get('/api/admin/feedback', requireAdminToken, (req, res) => {
+  const status = req.query.status || 'open';
+  if (!['open', 'resolved', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be open, resolved or all.' });
+  }
+  return res.json({ items: feedbackStore.list(status === 'all' ? {} : { status }) });
+});
+
+// Drops the cached answer a review item was served from, so the question is answered afresh.
+app.post('/api/admin/feedback/:id/purge-cache', requireAdminToken, async (req, res) => {
+  const entry = feedbackStore.get(req.params.id);
+  if (!entry || !entry.review) return res.status(404).json({ error: 'Review item not found.' });
+  const purged = entry.cacheKey ? await answerCache.delete(entry.cacheKey) : false;
+  return res.json({ item: feedbackStore.resolve(entry.id, 'purge-cache', { purged }), purged });
+});
+
+// Adds a corrected answer to the FAQs. The body needs `answer`; `id`, `prompts` and `sources` default from
+// the rated answer, and `question` and `tags` are optional.
+app.post('/api/admin/feedback/:id/promote', requireAdminToken, async (req, res) => {
+  const entry = feedbackStore.get(req.params.id);
+  if (!entry || !entry.review) return res.status(404).json({ error: 'Review item not found.' });
+  const body = req.body || {};
+  const answer = String(body.answer || '').trim();
+  if (!answer) return res.status(400).json({ error: 'Please send the corrected answer.' });
+  const askedQuestion = normalizeText(entry.standaloneQuestion || entry.question);
+  const sources = Array.isArray(body.sources) ? body.sources : (entry.sources || []).map(({ title, url }) => ({ title, url }));
+  if (!sources.length) return res.status(400).json({ error: 'Please send the sources for the corrected answer.' });
+  const faq = { id: String(body.id || askedQuestion.replace(/\s+/g, '-')).slice(0, 80) };
+  if (body.question) faq.question = String(body.question);
+  if (Array.isArray(body.tags)) faq.tags = body.tags.map(String);
+  Object.assign(faq, {
+    prompts: Array.isArray(body.prompts) && body.prompts.length ? body.prompts.map(String) : [askedQuestion],
+    answer,
+    sources,
+  });
+
+  const result = promoteFaq(faq);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  if (entry.cacheKey) await answerCache.delete(entry.cacheKey);
+  return res.json({ item: feedbackStore.resolve(entry.id, 'promote', { faqId: faq.id }), faq, kbVersion: result.kbVersion });
+});
+
+app.post('/api/admin/feedback/:id/dismiss', requireAdminToken, (req, res) => {
+  const entry = feedbackStore.get(req.params.id);
+  if (!entry || !entry.review) return res.status(404).json({ error: 'Review item not found.' });
+  const note = String(req.body?.note || '').trim().slice(0, 1000);
+  return res.json({ item: feedbackStore.resolve(entry.id, 'dismiss', note ? { note } : {}) });
+});
+
+// Contact inbox, newest first: `?status=` (new, in-progress, replied or spam), `?q=` to search names,
+// emails, messages and notes, and `?limit=` / `?offset=` to page.
+app.get('/api/admin/inbox', requireAdminToken, (req, res) => {
+  const status = req.query.status || undefined;
+  if (status && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${CONTACT_STATUSES.join(', ')}.` });
+  }
+  const type = req.query.type || undefined;
+  if (type && !CONTACT_TYPE_NAMES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${CONTACT_TYPE_NAMES.join(', ')}.` });
   }
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  return res.json(contactInbox.list({ status, type, q: req.query.q, limit, offset }));
+});
+
+app.get('/api/admin/inbox/:id', requireAdminToken, (req, res) => {
+  const submission = contactInbox.get(req.params.id);
+  if (!submission) return res.status(404).json({ error: 'Submission not found.' });
+  return res.json({ item: submission });
+});
+
+// The body needs `status`; `author` names the staff member for the history.
+app.post('/api/admin/inbox/:id/status', requireAdminToken, (req, res) => {
+  const { status, author } = req.body || {};
+  if (!CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${CONTACT_STATUSES.join(', ')}.` });
+  }
+  const submission = contactInbox.setStatus(req.params.id, status, { author });
+  if (!submission) return res.status(404).json({ error: 'Submission not found.' });
+  return res.json({ item: submission });
+});
+
+// Internal notes for coordinating replies. The body needs `text`; `author` is optional.
+app.post('/api/admin/inbox/:id/notes', requireAdminToken, (req, res) => {
+  const { text, author } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Please send the note text.' });
+  const submission = contactInbox.addNote(req.params.id, { text, author });
+  if (!submission) return res.status(404).json({ error: 'Submission not found.' });
+  return res.json({ item: submission });
+});
+
+// Outgoing email, newest first, without bodies; `?status=dead` lists the dead letters.
+app.get('/api/admin/mail', requireAdminToken, (req, res) => {
+  const status = req.query.status || undefined;
+  if (status && !MAIL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${MAIL_STATUSES.join(', ')}.` });
+  }
+  return res.json({ items: mailQueue.list({ status }), stats: mailQueue.stats() });
+});
+
+// Sends a dead letter (or a message waiting for its next attempt) again now, with a fresh set of attempts.
+app.post('/api/admin/mail/:id/retry', requireAdminToken, (req, res) => {
+  const message = mailQueue.retry(req.params.id);
+  if (!message) return res.status(404).json({ error: 'No dead or queued message with that id.' });
+  return res.json({ item: message });
 });
 
 // Health check endpoint
@@ -635,11 +1191,25 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
+    mail: mailQueue.stats(),
     chatbot: {
       enabled: CHATBOT_ENABLED,
-      docs: ragDocuments.length,
-      faqs: ragFaqs.length,
-      embeddings: ragEmbeddingsById ? ragEmbeddingsById.size : 0,
+      provider: chatProvider.name,
+      answerMode: CHATBOT_ANSWER_MODE === 'extractive' || !chatProvider.isConfigured() ? 'extractive' : 'generative',
+      embeddingProvider: embeddingProvider.name,
+      docs: knowledgeBase.documents.length,
+      faqs: knowledgeBase.faqs.length,
+      faqEmbeddings: knowledgeBase.faqVectors.length,
+      embeddings: knowledgeBase.embeddingCount,
+      embeddingModel: CHATBOT_EMBEDDING_MODEL,
+      kbVersion: knowledgeBase.version,
+      kbLoadedAt: knowledgeBase.loadedAt,
+      guardrailsVersion: knowledgeBase.guardrails.version,
+      sessions: chatSessions.size,
+      cache: answerCache.stats(),
+      degraded: degradedReason(),
+      breakers: { chat: chatBreaker.status(), embedding: embeddingBreaker.status() },
+      usage: usageLedger.summary(),
     },
   });
 });
@@ -655,20 +1225,36 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Helper function to escape HTML
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;',
-  };
-  return text.replace(/[&<>"']/g, (m) => map[m]);
-}
-
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✓ Project CYSTEM server running on http://localhost:${PORT}`);
   console.log(`✓ Contact form handler at POST /contact`);
+  if (!captchaVerifier.isConfigured()) {
+    console.warn(`[WARN] CAPTCHA provider ${captchaVerifier.name} is not configured; the contact form will refuse submissions.`);
+  } else if (captchaVerifier.name === 'stub') {
+    console.warn('[WARN] CAPTCHA_PROVIDER=stub accepts every submission. Use it for local development only.');
+  }
+  mailQueue.start();
 });
+
+// Cache writes and analytics are batched, so they are flushed before the process exits, and the mail
+// queue gets a moment to finish the email it is sending.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[SERVER] ${signal} received, saving state and exiting`);
+  server.close();
+  chatAnalytics.flush();
+  usageLedger.flush();
+  try {
+    await answerCache.close();
+  } catch (error) {
+    console.warn('[WARN] Failed to close the answer cache:', error.message);
+  }
+  // An email still being sent after this is sent again on the next start.
+  await Promise.race([mailQueue.stop(), new Promise((resolve) => setTimeout(resolve, 5000))]);
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrubQuestion, createChatAnalytics } = require('../lib/analytics');
+
+function tempAnalyticsFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'chat-analytics.json');
+}
+
+test('questions are stored as normalised text', () => {
+  assert.equal(scrubQuestion('  What IS   PCOS?!  '), 'what is pcos');
+  assert.equal(scrubQuestion('x'.repeat(300)).length, 200);
+  assert.equal(scrubQuestion(undefined), '');
+});
+
+test('email addresses, links and long numbers become placeholder words', () => {
+  assert.equal(scrubQuestion('Can you email jo.smith+pcos@example.org the results?'), 'can you email email the results');
+  assert.equal(scrubQuestion('Is https://example.org/pcos?id=4 or www.example.org trustworthy?'), 'is link or link trustworthy');
+  assert.equal(scrubQuestion('Call +1 (555) 123-4567 or 020 7946 0958 about PCOS'), 'call number or number about pcos');
+});
+
+test('self-introductions lose the name that follows them', () => {
+  assert.equal(scrubQuestion('Hi, my name is Priya. Is PCOS common?'), 'hi my name is name is pcos common');
+  assert.equal(scrubQuestion("I'm called Sam and I have irregular periods"), 'i m called name and i have irregular periods');
+  assert.equal(scrubQuestion('Call me Alex. What helps with acne?'), 'call me name what helps with acne');
+});
+
+test('only those patterns are removed; short numbers and other words stay', () => {
+  assert.equal(scrubQuestion('I am 16 and my cycle is 45 days'), 'i am 16 and my cycle is 45 days');
+  assert.equal(scrubQuestion('Priya here, is PCOS genetic?'), 'priya here is pcos genetic', 'names outside a self-introduction are kept');
+});
+
+test('recorded questions are scrubbed, and crisis messages are only counted', (t) => {
+  const filePath = tempAnalyticsFile(t);
+  const analytics = createChatAnalytics(filePath, { flushDelayMs: 60000 });
+  analytics.record({ question: 'My name is Jo, email jo@example.org. What is PCOS?', path: 'llm', retrieval: [{ scores: { lexical: 1.5 } }] });
+  analytics.record({ question: 'my name is Sam, email sam@example.org: what is PCOS', path: 'faq' });
+  analytics.record({ question: 'I want to die', path: 'crisis' });
+  analytics.flush();
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(saved.questions, {
+    'my name is name email email what is pcos': { count: 2, paths: { llm: 1, faq: 1 } },
+  });
+  assert.deepEqual(saved.paths, { llm: 1, faq: 1, crisis: 1 });
+  assert.deepEqual(saved.scores.lexical, { '1-2': 1 });
+  const text = fs.readFileSync(filePath, 'utf8');
+  assert.doesNotMatch(text, /example\.org|\bjo\b|\bsam\b|\bdie\b/i);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore, createSqliteStore, createRedisStore, createCacheStoreFromEnv } = require('../lib/cache-stores');
+const { createAnswerCache } = require('../lib/answer-cache');
+
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-stores-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const live = (value) => ({ value, expiresAt: Date.now() + 60 * 1000 });
+
+// Just enough of a Redis server for the store: GET, SET (with PX, ignored) and DEL.
+function startRespServer(t) {
+  const data = new Map();
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        const header = /^\*(\d+)\r\n/.exec(buffer);
+        if (!header) return;
+        let offset = header[0].length;
+        const args = [];
+        for (let i = 0; i < Number(header[1]); i += 1) {
+          const length = /^\$(\d+)\r\n/.exec(buffer.slice(offset));
+          if (!length || buffer.length < offset + length[0].length + Number(length[1]) + 2) return;
+          offset += length[0].length;
+          args.push(buffer.slice(offset, offset + Number(length[1])));
+          offset += Number(length[1]) + 2;
+        }
+        buffer = buffer.slice(offset);
+        const [command, key, value] = args;
+        if (command === 'GET') {
+          const stored = data.get(key);
+          socket.write(stored === undefined ? '$-1\r\n' : `$${Buffer.byteLength(stored)}\r\n${stored}\r\n`);
+        } else if (command === 'SET') {
+          data.set(key, value);
+          socket.write('+OK\r\n');
+        } else if (command === 'DEL') {
+          socket.write(`:${args.slice(1).filter((name) => data.delete(name)).length}\r\n`);
+        } else {
+          socket.write(`-ERR unknown command ${command}\r\n`);
+        }
+      }
+    });
+  });
+  t.after(() => server.close());
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ data, url: `redis://127.0.0.1:${server.address().port}` })));
+}
+
+test('the memory store keeps nothing', async () => {
+  const store = createMemoryStore();
+  await store.write({ upserts: [['a', live(1)]], deletes: [], entries: [['a', live(1)]] });
+  assert.deepEqual(await store.load(), []);
+});
+
+test('the file store saves the whole cache and loads it back', async (t) => {
+  const filePath = path.join(tempDir(t), 'nested', 'chat-cache.json');
+  const store = createFileStore(filePath);
+  assert.deepEqual(await store.load(), [], 'a missing file is an empty cache');
+
+  const entries = [
+    ['a', live({ answer: 'A' })],
+    ['b', live({ answer: 'B' })],
+  ];
+  await store.write({ upserts: entries, deletes: [], entries });
+  assert.deepEqual(await store.load(), entries);
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['chat-cache.json'], 'no temporary file is left behind');
+
+  await store.write({ upserts: [], deletes: ['a'], entries: entries.slice(1) });
+  assert.deepEqual((await store.load()).map(([key]) => key), ['b']);
+});
+
+test('the file store drops entries without an expiry', async (t) => {
+  const filePath = path.join(tempDir(t), 'chat-cache.json');
+  fs.writeFileSync(filePath, JSON.stringify({ old: { value: { answer: 'x' } }, current: live({ answer: 'y' }) }), 'utf8');
+  assert.deepEqual((await createFileStore(filePath).load()).map(([key]) => key), ['current']);
+});
+
+test('the sqlite store writes batches, loads live entries and deletes', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async (t) => {
+  const filePath = path.join(tempDir(t), 'chat-cache.sqlite');
+  const store = createSqliteStore(filePath, { maxEntries: 10 });
+  t.after(() => store.close());
+
+  await store.write({ upserts: [['a', live('A')], ['b', live('B')], ['gone', { value: 'G', expiresAt: Date.now() - 1 }]], deletes: [] });
+  assert.deepEqual((await store.load()).map(([key, record]) => [key, record.value]).sort(), [['a', 'A'], ['b', 'B']]);
+
+  await store.write({ upserts: [], deletes: ['a'] });
+  assert.deepEqual((await store.load()).map(([key]) => key), ['b']);
+  assert.equal(await store.delete('b'), true);
+  assert.equal(await store.delete('b'), false);
+  assert.deepEqual(await store.load(), []);
+});
+
+test('the redis store gets, sets and deletes on the server', async (t) => {
+  const server = await startRespServer(t);
+  const store = createRedisStore(server.url, { prefix: 'test:' });
+  t.after(() => store.close());
+
+  assert.equal(await store.get('a'), null);
+  await store.write({ upserts: [['a', live('A')], ['b', live('B')]], deletes: [] });
+  assert.equal((await store.get('a')).value, 'A');
+  assert.ok(server.data.has('test:a'), 'keys carry the prefix');
+
+  await store.write({ upserts: [], deletes: ['a'] });
+  assert.equal(await store.get('a'), null);
+  assert.equal(await store.delete('b'), true);
+  assert.equal(await store.delete('b'), false);
+});
+
+test('the answer cache reads through to a shared store and reports what delete removed', async (t) => {
+  const server = await startRespServer(t);
+  const writer = createAnswerCache({ store: createRedisStore(server.url), ttlMs: 60 * 1000, flushDelayMs: 1 });
+  const reader = createAnswerCache({ store: createRedisStore(server.url), ttlMs: 60 * 1000, flushDelayMs: 1 });
+  const admin = createAnswerCache({ store: createRedisStore(server.url), ttlMs: 60 * 1000, flushDelayMs: 1 });
+  t.after(async () => {
+    await Promise.all([writer.close(), reader.close(), admin.close()]);
+  });
+
+  writer.set('q', { answer: 'A' });
+  await writer.flush();
+  assert.deepEqual(await reader.get('q'), { answer: 'A' });
+  assert.equal(await admin.delete('q'), true, 'found in the store, though not in this process');
+  assert.equal(await admin.delete('q'), false);
+});
+
+test('the answer cache expires entries and reports deletes from memory', async () => {
+  const cache = createAnswerCache({ store: createMemoryStore(), ttlMs: 20 });
+  cache.set('q', { answer: 'A' });
+  assert.deepEqual(await cache.get('q'), { answer: 'A' });
+  assert.equal(await cache.delete('q'), true);
+  assert.equal(await cache.delete('q'), false);
+
+  cache.set('r', { answer: 'R' });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(await cache.get('r'), null);
+  await cache.close();
+});
+
+test('CHATBOT_CACHE_BACKEND picks the store', () => {
+  assert.equal(createCacheStoreFromEnv({}, { rootDir: os.tmpdir(), maxEntries: 10 }).name, 'file');
+  assert.equal(createCacheStoreFromEnv({ CHATBOT_CACHE_BACKEND: 'Memory' }, { rootDir: os.tmpdir(), maxEntries: 10 }).name, 'memory');
+  assert.throws(() => createCacheStoreFromEnv({ CHATBOT_CACHE_BACKEND: 'disk' }, { rootDir: os.tmpdir() }), /Unknown cache backend/);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createCaptchaVerifier, createCaptchaVerifierFromEnv, formAction, formSettings } = require('../lib/captcha');
+
+const keys = {
+  RECAPTCHA_SITE_KEY: 'site',
+  RECAPTCHA_PROJECT_ID: 'project',
+  RECAPTCHA_API_KEY: 'api-key',
+  RECAPTCHA_SECRET_KEY: 'secret',
+  TURNSTILE_SITE_KEY: 'site',
+  TURNSTILE_SECRET_KEY: 'secret',
+  HCAPTCHA_SITE_KEY: 'site',
+  HCAPTCHA_SECRET_KEY: 'secret',
+};
+
+// Replaces axios.post for one test; `reply` gets (url, body, config) and returns the response data or
+// throws. Returns the list of calls.
+function stubPost(t, reply) {
+  const calls = [];
+  t.mock.method(axios, 'post', async (url, body, config) => {
+    calls.push({ url, body, config });
+    return { data: await reply(url, body, config) };
+  });
+  return calls;
+}
+
+function timeoutError() {
+  return Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+// Finds a nonce for a proof-of-work challenge, as public/captcha.js does in the browser.
+function solve({ challenge, difficulty }) {
+  for (let nonce = 0; ; nonce += 1) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (digest.readUInt32BE(0) >>> (32 - difficulty) === 0) return `${challenge}:${nonce}`;
+  }
+}
+
+test('each form gets its own action and can override the score and difficulty', () => {
+  assert.equal(formAction('volunteer-signup'), 'VOLUNTEER_SIGNUP_FORM_SUBMIT');
+  const settings = formSettings({ CAPTCHA_MIN_SCORE: '0.3', CAPTCHA_MIN_SCORE_WORKSHOP: '0.7', CAPTCHA_POW_DIFFICULTY: '99' });
+  assert.deepEqual(settings('contact'), { action: 'CONTACT_FORM_SUBMIT', minScore: 0.3, powDifficulty: 32 });
+  assert.equal(settings('workshop').minScore, 0.7);
+  assert.deepEqual(formSettings({})('contact'), { action: 'CONTACT_FORM_SUBMIT', minScore: 0.5, powDifficulty: 16 });
+});
+
+test('reCAPTCHA Enterprise accepts a valid token with the right action and score', async (t) => {
+  const calls = stubPost(t, () => ({ tokenProperties: { valid: true, action: 'CONTACT_FORM_SUBMIT' }, riskAnalysis: { score: 0.9 } }));
+  const verifier = createCaptchaVerifier('recaptcha-enterprise', keys);
+  assert.deepEqual(await verifier.verify('token', { form: 'contact', ip: '203.0.113.1' }), {
+    ok: true,
+    score: 0.9,
+    action: 'CONTACT_FORM_SUBMIT',
+    reason: null,
+  });
+  assert.match(calls[0].url, /\/projects\/project\/assessments$/);
+  assert.deepEqual(calls[0].body.event, { token: 'token', siteKey: 'site', expectedAction: 'CONTACT_FORM_SUBMIT', userIpAddress: '203.0.113.1' });
+  assert.deepEqual(calls[0].config.params, { key: 'api-key' });
+});
+
+test('reCAPTCHA Enterprise rejects invalid tokens, other actions and low scores', async (t) => {
+  const verifier = createCaptchaVerifier('recaptcha-enterprise', keys);
+  let data = { tokenProperties: { valid: false, invalidReason: 'EXPIRED' } };
+  stubPost(t, () => data);
+  assert.equal((await verifier.verify('token', { form: 'contact' })).reason, 'EXPIRED');
+
+  data = { tokenProperties: { valid: true, action: 'LOGIN' }, riskAnalysis: { score: 0.9 } };
+  assert.equal((await verifier.verify('token', { form: 'contact' })).reason, 'action-mismatch');
+
+  data = { tokenProperties: { valid: true, action: 'CONTACT_FORM_SUBMIT' }, riskAnalysis: { score: 0.2 } };
+  const low = await verifier.verify('token', { form: 'contact' });
+  assert.deepEqual(low, { ok: false, score: 0.2, action: 'CONTACT_FORM_SUBMIT', reason: 'low-score' });
+});
+
+test('siteverify providers accept a successful check and report error codes', async (t) => {
+  let data = { success: true };
+  const calls = stubPost(t, () => data);
+  for (const name of ['turnstile', 'hcaptcha']) {
+    const verifier = createCaptchaVerifier(name, keys);
+    assert.equal((await verifier.verify('token', { form: 'contact', ip: '203.0.113.1' })).ok, true, name);
+  }
+  assert.match(calls[0].url, /challenges\.cloudflare\.com/);
+  assert.equal(calls[0].body.get('secret'), 'secret');
+  assert.equal(calls[0].body.get('remoteip'), '203.0.113.1');
+  assert.equal(calls[1].body.get('sitekey'), 'site', 'hCaptcha is also sent the site key');
+
+  data = { success: false, 'error-codes': ['invalid-input-response', 'timeout-or-duplicate'] };
+  const result = await createCaptchaVerifier('turnstile', keys).verify('token', { form: 'contact' });
+  assert.deepEqual(result, { ok: false, score: null, action: null, reason: 'invalid-input-response,timeout-or-duplicate' });
+});
+
+test('reCAPTCHA v3 checks the score, which Turnstile and hCaptcha do not send', async (t) => {
+  stubPost(t, () => ({ success: true, score: 0.1, action: 'CONTACT_FORM_SUBMIT' }));
+  assert.equal((await createCaptchaVerifier('recaptcha-v3', keys).verify('token', { form: 'contact' })).reason, 'low-score');
+  assert.equal((await createCaptchaVerifier('hcaptcha', keys).verify('token', { form: 'contact' })).ok, true);
+});
+
+test('a verification request that times out rejects instead of passing', async (t) => {
+  const calls = stubPost(t, () => {
+    throw timeoutError();
+  });
+  for (const name of ['recaptcha-enterprise', 'recaptcha-v3', 'turnstile', 'hcaptcha']) {
+    await assert.rejects(createCaptchaVerifier(name, keys).verify('token', { form: 'contact' }), { code: 'ECONNABORTED' }, name);
+  }
+  assert.ok(calls.every((call) => call.config.timeout === 10000), 'every request is bounded');
+});
+
+test('HTTP verifiers need their keys', () => {
+  for (const name of ['recaptcha-enterprise', 'recaptcha-v3', 'turnstile', 'hcaptcha']) {
+    assert.equal(createCaptchaVerifier(name, {}).isConfigured(), false, name);
+    assert.equal(createCaptchaVerifier(name, keys).isConfigured(), true, name);
+  }
+  assert.equal(createCaptchaVerifier('turnstile', keys).clientConfig('contact').siteKey, 'site');
+});
+
+test('a solved proof-of-work challenge passes once', async () => {
+  const verifier = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'secret', CAPTCHA_POW_DIFFICULTY: '4' });
+  const token = solve(verifier.issueChallenge('contact'));
+  assert.deepEqual(await verifier.verify(token, { form: 'contact' }), { ok: true, score: null, action: null, reason: null });
+  assert.equal((await verifier.verify(token, { form: 'contact' })).reason, 'reused');
+});
+
+test('proof-of-work tokens that are wrong, forged, malformed or for another form fail', async () => {
+  const verifier = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'secret', CAPTCHA_POW_DIFFICULTY: '4' });
+  const { challenge } = verifier.issueChallenge('contact');
+  const solved = solve(verifier.issueChallenge('contact'));
+  let wrong = null;
+  for (let nonce = 0; !wrong; nonce += 1) {
+    if (crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()[0] >= 16) wrong = `${challenge}:${nonce}`;
+  }
+  assert.equal((await verifier.verify(wrong, { form: 'contact' })).reason, 'wrong-answer');
+  assert.equal((await verifier.verify(solved, { form: 'workshop' })).reason, 'form-mismatch');
+  const forged = `${challenge.slice(0, -1)}${challenge.endsWith('0') ? '1' : '0'}`;
+  assert.equal((await verifier.verify(`${forged}:1`, { form: 'contact' })).reason, 'bad-signature');
+  assert.equal((await verifier.verify('no-separator', { form: 'contact' })).reason, 'malformed-token');
+
+  const other = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'other', CAPTCHA_POW_DIFFICULTY: '4' });
+  assert.equal((await other.verify(solved, { form: 'contact' })).reason, 'bad-signature', 'signed with another secret');
+});
+
+test('a proof-of-work challenge expires', async (t) => {
+  const verifier = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'secret', CAPTCHA_POW_DIFFICULTY: '4' });
+  const token = solve(verifier.issueChallenge('contact'));
+  const later = Date.now() + 11 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal((await verifier.verify(token, { form: 'contact' })).reason, 'expired');
+});
+
+test('a challenge easier than the form now asks for fails', async () => {
+  const easy = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'secret', CAPTCHA_POW_DIFFICULTY: '1' });
+  const strict = createCaptchaVerifier('pow', { CAPTCHA_POW_SECRET: 'secret', CAPTCHA_POW_DIFFICULTY: '20' });
+  const token = solve(easy.issueChallenge('contact'));
+  assert.equal((await strict.verify(token, { form: 'contact' })).reason, 'too-easy');
+});
+
+test('the stub passes any token but stub-fail, and is refused in production', async () => {
+  const stub = createCaptchaVerifier('stub', {});
+  assert.equal((await stub.verify('anything', { form: 'contact' })).ok, true);
+  assert.equal((await stub.verify('stub-fail', { form: 'contact' })).reason, 'stub-fail');
+  assert.equal((await stub.verify('stub-low', { form: 'contact' })).reason, 'low-score');
+  assert.throws(() => createCaptchaVerifier('stub', { NODE_ENV: 'production' }), /cannot be used in production/);
+});
+
+test('CAPTCHA_PROVIDER picks the verifier and rejects unknown names', () => {
+  assert.equal(createCaptchaVerifierFromEnv({}).name, 'recaptcha-enterprise');
+  assert.equal(createCaptchaVerifierFromEnv({ CAPTCHA_PROVIDER: 'Turnstile' }).name, 'turnstile');
+  assert.throws(() => createCaptchaVerifierFromEnv({ CAPTCHA_PROVIDER: 'nope' }), /Unknown CAPTCHA provider "nope"/);
+});
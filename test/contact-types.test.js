@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTACT_TYPE_NAMES, validateContactFields } = require('../lib/contact-types');
+
+const workshop = {
+  organization: '  Central High  ',
+  audienceAge: '13-17',
+  preferredDates: 'Any Friday in March',
+  format: 'virtual',
+};
+
+test('a valid submission returns the fields, their labels and inbox details', () => {
+  const result = validateContactFields('workshop', workshop);
+  assert.deepEqual(result.fields, { organization: 'Central High', audienceAge: '13-17', preferredDates: 'Any Friday in March', format: 'virtual' });
+  assert.equal(result.values.audienceAge, '13 to 17');
+  assert.deepEqual(result.details[3], { label: 'Format', value: 'Virtual' });
+});
+
+test('the general type has no fields of its own', () => {
+  assert.deepEqual(validateContactFields('general', {}), { fields: {}, values: {}, details: [] });
+  assert.deepEqual(CONTACT_TYPE_NAMES, ['general', 'volunteer', 'workshop']);
+});
+
+test('every field is required and text has a length limit', () => {
+  assert.deepEqual(validateContactFields('workshop', { ...workshop, organization: '   ' }), { error: 'Please fill in organisation.' });
+  assert.deepEqual(validateContactFields('workshop', { ...workshop, organization: 'x'.repeat(201) }), {
+    error: 'Organisation must be at most 200 characters.',
+  });
+  assert.deepEqual(validateContactFields('workshop', { ...workshop, format: undefined }), { error: 'Please choose format.' });
+  assert.deepEqual(validateContactFields('volunteer', { availability: 'Weekends' }), { error: 'Please choose at least one of the skills.' });
+});
+
+test('choices take one or more known options and drop duplicates', () => {
+  const result = validateContactFields('volunteer', { skills: ['design', 'events', 'design', ''], availability: 'Weekends' });
+  assert.deepEqual(result.fields.skills, ['design', 'events']);
+  assert.equal(result.values.skills, 'Design, Event planning');
+  assert.deepEqual(validateContactFields('volunteer', { skills: 'outreach', availability: 'Weekends' }).fields.skills, ['outreach']);
+  assert.deepEqual(validateContactFields('volunteer', { skills: ['design', 'juggling'], availability: 'Weekends' }), {
+    error: 'Please choose skills from the list.',
+  });
+  assert.deepEqual(validateContactFields('workshop', { ...workshop, format: { virtual: true } }), { error: 'Please choose format.' });
+});
+
+test('prototype keys are neither types nor options', () => {
+  for (const type of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.deepEqual(validateContactFields(type, {}), { error: 'Please choose what your message is about.' }, type);
+  }
+  assert.deepEqual(validateContactFields(undefined, {}), { error: 'Please choose what your message is about.' });
+  assert.deepEqual(validateContactFields('workshop', { ...workshop, format: 'toString' }), { error: 'Please choose format.' });
+  assert.deepEqual(validateContactFields('volunteer', { skills: ['constructor'], availability: 'Weekends' }), {
+    error: 'Please choose skills from the list.',
+  });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCrisisPolicy } = require('../lib/crisis');
+const builtConfig = require('../rag/crisis.json');
+
+const config = {
+  message: 'You are not alone.',
+  patterns: ['\\bwant to die\\b', '\\bhurt myself\\b'],
+  resources: {
+    GB: [{ name: 'Samaritans', contact: 'Call 116 123', url: 'https://www.samaritans.org' }],
+    US: [{ name: '988 Lifeline', contact: 'Call or text 988' }],
+    default: [{ name: 'Find a Helpline', contact: 'Support lines by country', url: 'https://findahelpline.com' }],
+  },
+};
+
+test('crisis phrases are detected whatever their case', () => {
+  const policy = createCrisisPolicy(config);
+  assert.equal(policy.isCrisis('Some days I WANT TO DIE'), true);
+  assert.equal(policy.isCrisis('I might hurt myself'), true);
+  assert.equal(policy.isCrisis('Does PCOS make periods hurt?'), false);
+  assert.equal(policy.isCrisis(undefined), false);
+});
+
+test('the built policy catches the phrasings it was written for', () => {
+  const policy = createCrisisPolicy(builtConfig);
+  for (const message of ['I feel suicidal', "I don't want to live anymore", 'I think about cutting myself', 'I took an overdose']) {
+    assert.equal(policy.isCrisis(message), true, message);
+  }
+  for (const message of ['Can PCOS be cured?', 'My cycle is dying down', 'Is metformin safe in an overdose study?']) {
+    assert.equal(policy.isCrisis(message), false, message);
+  }
+});
+
+test("the visitor's region picks the resources, and unlisted regions get the default list", () => {
+  const policy = createCrisisPolicy(config);
+  const gb = policy.response('gb');
+  assert.equal(gb.message, 'You are not alone.');
+  assert.equal(gb.region, 'GB');
+  assert.deepEqual(gb.resources, [{ name: 'Samaritans', contact: 'Call 116 123', url: 'https://www.samaritans.org' }]);
+  assert.equal(policy.response('FR').region, 'default');
+  assert.equal(policy.response('US').resources[0].url, undefined);
+});
+
+test('an unknown region falls back to the configured default region', () => {
+  assert.equal(createCrisisPolicy(config).response('').region, 'US');
+  assert.equal(createCrisisPolicy(config, { defaultRegion: 'gb' }).response('not a region').region, 'GB');
+  assert.equal(createCrisisPolicy(config, { defaultRegion: 'NZ' }).response(undefined).region, 'default');
+});
+
+test('a policy without a message, patterns or default resources is rejected', () => {
+  assert.throws(() => createCrisisPolicy({ ...config, message: ' ' }), /message is empty/);
+  assert.throws(() => createCrisisPolicy({ ...config, patterns: [] }), /at least one pattern/);
+  assert.throws(() => createCrisisPolicy({ ...config, patterns: ['('] }), /Invalid crisis pattern/);
+  assert.throws(() => createCrisisPolicy({ ...config, resources: { US: config.resources.US } }), /non-empty `default` list/);
+  assert.throws(() => createCrisisPolicy({ ...config, resources: { ...config.resources, CA: [{ name: 'x' }] } }), /name and contact/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmailTemplates, escapeHtml } = require('../lib/email-templates');
+
+// Writes a template directory: `files` maps relative paths to their contents.
+function templateDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content, 'utf8');
+  }
+  return dir;
+}
+
+const files = {
+  'branding.json': JSON.stringify({ name: 'Project <CYSTEM>' }),
+  'layout.html': '<main>{{{content}}}</main><footer>{{brand.name}}</footer>',
+  'layout.txt': '{{{content}}}\n-- {{brand.name}}',
+  'en/note.html': '<p>From {{name}}</p><p>{{message}}</p>{{#if note}}<p>{{note}}</p>{{/if}}',
+  'en/note.txt': '---\nsubject: Message from {{name}}\n---\nFrom {{name}}\n\n{{message}}',
+  'es/note.html': '<p>De {{name}}</p>',
+  'es/note.txt': '---\nsubject: Mensaje de {{name}}\n---\nDe {{name}}',
+  'en/other.html': '<p>{{name}}</p>',
+  'en/other.txt': '---\nsubject: Other\n---\n{{name}}',
+};
+
+const data = { name: 'Jo <b>"Jay"</b> & Co', message: "Line one\nIt's <script>alert(1)</script>", note: '' };
+
+test('HTML placeholders are escaped and keep line breaks', (t) => {
+  const email = createEmailTemplates(templateDir(t, files)).render('note', data);
+  assert.equal(
+    email.html,
+    '<main><p>From Jo &lt;b&gt;&quot;Jay&quot;&lt;/b&gt; &amp; Co</p>' +
+      '<p>Line one<br>It&#039;s &lt;script&gt;alert(1)&lt;/script&gt;</p></main><footer>Project &lt;CYSTEM&gt;</footer>'
+  );
+});
+
+test('text placeholders are inserted as written', (t) => {
+  const email = createEmailTemplates(templateDir(t, files)).render('note', data);
+  assert.equal(email.text, `From ${data.name}\n\n${data.message}\n-- Project <CYSTEM>\n`);
+});
+
+test('header placeholders cannot add lines to the subject', (t) => {
+  const templates = createEmailTemplates(templateDir(t, files));
+  const email = templates.render('note', { ...data, name: 'Jo\r\nBcc: victim@example.org' });
+  assert.equal(email.subject, 'Message from Jo Bcc: victim@example.org');
+  assert.equal(email.fromName, 'Project <CYSTEM>');
+});
+
+test('an if block shows only when its value is not empty', (t) => {
+  const templates = createEmailTemplates(templateDir(t, files));
+  assert.doesNotMatch(templates.render('note', data).html, /<p><\/p>/);
+  assert.match(templates.render('note', { ...data, note: 'A <note>' }).html, /<p>A &lt;note&gt;<\/p>/);
+});
+
+test('unknown variables, including prototype keys, are errors', (t) => {
+  const templates = createEmailTemplates(templateDir(t, files));
+  assert.throws(() => templates.render('note', { name: 'Jo', note: '' }), /Unknown variable "message" in en\/note\.html/);
+  const dir = templateDir(t, { ...files, 'en/other.html': '<p>{{toString}} {{brand.constructor}}</p>' });
+  assert.throws(() => createEmailTemplates(dir).render('other', { name: 'Jo' }), /Unknown variable "toString"/);
+});
+
+test('a locale without a translation falls back to the default one', (t) => {
+  const templates = createEmailTemplates(templateDir(t, files));
+  assert.equal(templates.render('note', data, { locale: 'es' }).subject, 'Mensaje de Jo <b>"Jay"</b> & Co');
+  const fallback = templates.render('other', { name: 'Jo' }, { locale: 'es' });
+  assert.equal(fallback.locale, 'en');
+  assert.deepEqual(templates.locales.sort(), ['en', 'es']);
+  assert.throws(() => templates.render('missing', {}), /Unknown email template "missing"/);
+});
+
+test('broken template directories stop at startup', (t) => {
+  assert.throws(() => createEmailTemplates(templateDir(t, { ...files, 'en/other.txt': 'no frontmatter' })), /needs a subject/);
+  assert.throws(() => createEmailTemplates(templateDir(t, { ...files, 'es/extra.html': 'x', 'es/extra.txt': '---\nsubject: x\n---\n' })), /no en version/);
+  const { 'en/other.html': removed, ...withoutHtml } = files;
+  assert.ok(removed);
+  assert.throws(() => createEmailTemplates(templateDir(t, withoutHtml)), /needs both other\.html and other\.txt/);
+});
+
+test('escapeHtml escapes the five HTML special characters', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#039;&amp;&#039;&lt;/a&gt;');
+});
+
+test('the shipped templates render their sample data', () => {
+  const dir = path.join(__dirname, '..', 'emails');
+  const templates = createEmailTemplates(dir);
+  const samples = JSON.parse(fs.readFileSync(path.join(dir, 'samples.json'), 'utf8'));
+  for (const name of templates.names) {
+    const email = templates.render(name, samples[name]);
+    assert.ok(email.subject && email.text, name);
+    assert.doesNotMatch(email.html, /<Sample>/, `${name} escapes the sample name`);
+  }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAQ_MATCH_THRESHOLD, faqPromptId, scoreFaqs, matchFaqs, faqDisplayQuestion } = require('../lib/faq');
+
+const faqs = [
+  { id: 'what-is-pcos', question: 'What is PCOS?', prompts: ['what is pcos', 'define pcos', 'pcos meaning'], answer: 'A' },
+  { id: 'is-pcos-common', prompts: ['is pcos common', 'how common is pcos'], answer: 'B' },
+  { id: 'can-pcos-be-managed', prompts: ['can pcos be managed', 'how to manage pcos'], answer: 'C' },
+];
+
+// Unit vectors along one axis each, so similarities are easy to set up.
+const axis = (index, size = 4) => Array.from({ length: size }, (_, i) => (i === index ? 1 : 0));
+const faqVectors = faqs.map((faq, index) => ({ faq, vector: axis(index) }));
+
+test('a question worded like a prompt matches its FAQ, whatever the case and punctuation', () => {
+  assert.equal(matchFaqs('What is PCOS?', faqs).match.id, 'what-is-pcos');
+  assert.equal(matchFaqs('HOW COMMON is PCOS', faqs).match.id, 'is-pcos-common');
+  assert.deepEqual(matchFaqs('What is PCOS?', faqs).suggestions, []);
+});
+
+test('scoreFaqs ranks FAQs by their best prompt', () => {
+  const scored = scoreFaqs('how do you manage pcos day to day', faqs);
+  assert.equal(scored[0].faq.id, 'can-pcos-be-managed');
+  assert.ok(scored[0].score < FAQ_MATCH_THRESHOLD);
+  assert.ok(scored.every((item, index) => index === 0 || item.score <= scored[index - 1].score));
+  assert.deepEqual(scoreFaqs('the and of', faqs), [], 'a question of stop words scores nothing');
+});
+
+test('a near miss is suggested instead of answered', () => {
+  const result = matchFaqs('is pcos managed with diet', faqs);
+  assert.equal(result.match, null);
+  assert.deepEqual(
+    result.suggestions.map((faq) => faq.id),
+    ['can-pcos-be-managed']
+  );
+});
+
+test('an unrelated question gets neither a match nor suggestions', () => {
+  assert.deepEqual(matchFaqs('what is the weather', faqs), { match: null, suggestions: [] });
+});
+
+test('prompt embeddings match a question with no words in common', () => {
+  const options = { faqVectors, confidentSimilarity: 0.75, suggestSimilarity: 0.55 };
+  const confident = matchFaqs('is this condition widespread', faqs, { ...options, queryVector: [0.1, 0.95, 0, 0] });
+  assert.equal(confident.match.id, 'is-pcos-common');
+
+  const nearMiss = matchFaqs('is this condition widespread', faqs, { ...options, queryVector: [0, 0.6, 0.7, 0.38] });
+  assert.equal(nearMiss.match, null);
+  assert.deepEqual(
+    nearMiss.suggestions.map((faq) => faq.id),
+    ['can-pcos-be-managed', 'is-pcos-common']
+  );
+});
+
+test('vectors of another size are ignored rather than compared', () => {
+  const result = matchFaqs('is this condition widespread', faqs, { faqVectors, queryVector: [0, 1] });
+  assert.deepEqual(result, { match: null, suggestions: [] });
+});
+
+test('faqDisplayQuestion prefers the question and otherwise turns the first prompt into one', () => {
+  assert.equal(faqDisplayQuestion(faqs[0]), 'What is PCOS?');
+  assert.equal(faqDisplayQuestion(faqs[1]), 'Is pcos common?');
+  assert.equal(faqDisplayQuestion({ prompts: ['Tell me more.'] }), 'Tell me more.');
+  assert.equal(faqDisplayQuestion({ prompts: [] }), '');
+});
+
+test('faqPromptId names a prompt vector in the embedding store', () => {
+  assert.equal(faqPromptId(faqs[2], 1), 'faq:can-pcos-be-managed:1');
+});
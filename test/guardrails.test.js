@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONFIG, citationProblem, createGuardrailPolicy } = require('../lib/guardrails');
+
+const policy = createGuardrailPolicy({
+  input_rules: [{ id: 'dosing', patterns: ['\\bdosage\\b'], response: 'Ask a clinician.' }],
+  output_rules: [
+    { id: 'diagnosis', patterns: ['\\byou have pcos\\b'], action: 'block', response: 'I cannot diagnose.' },
+    { id: 'cure', patterns: ['\\bcures? pcos\\b'], action: 'rewrite', response: 'There is no cure for PCOS.' },
+    { id: 'citations', check: 'citations', action: 'rewrite', response: 'No trusted sources were cited.' },
+  ],
+});
+
+test('an input rule blocks a matching question with its response', () => {
+  assert.deepEqual(policy.checkInput('What DOSAGE should I take?'), { action: 'block', rule: 'dosing', response: 'Ask a clinician.' });
+  assert.deepEqual(policy.checkInput('What is PCOS?'), { action: 'allow' });
+});
+
+test('a cited answer that trips no rule is allowed unchanged', () => {
+  const answer = 'PCOS is common. [Source 1]';
+  assert.deepEqual(policy.checkOutput(answer, { sourceCount: 1 }), { action: 'allow', answer, rules: [] });
+});
+
+test('a blocking output rule replaces the whole answer', () => {
+  const decision = policy.checkOutput('Based on this, you have PCOS. [Source 1]', { sourceCount: 1 });
+  assert.deepEqual(decision, { action: 'block', answer: 'I cannot diagnose.', rules: ['diagnosis'] });
+});
+
+test('a rewriting output rule drops the offending sentences and adds its response', () => {
+  const decision = policy.checkOutput('Diet cures PCOS. [Source 1] Exercise helps. [Source 2]', { sourceCount: 2 });
+  assert.equal(decision.action, 'rewrite');
+  assert.deepEqual(decision.rules, ['cure']);
+  assert.equal(decision.answer, 'Exercise helps. [Source 2]\n\nThere is no cure for PCOS.');
+});
+
+test('a rewrite that would leave nothing blocks instead', () => {
+  const decision = policy.checkOutput('Metformin cures PCOS. [Source 1]', { sourceCount: 1 });
+  assert.deepEqual(decision, { action: 'block', answer: 'There is no cure for PCOS.', rules: ['cure'] });
+});
+
+test('citations of sources that were not supplied are removed, and uncited answers are blocked', () => {
+  const rewritten = policy.checkOutput('PCOS is common. [Source 1] It varies. [Source 3]', { sourceCount: 1 });
+  assert.deepEqual(rewritten, { action: 'rewrite', answer: 'PCOS is common. [Source 1] It varies.', rules: ['citations'] });
+
+  const uncited = policy.checkOutput('PCOS is common.', { sourceCount: 1 });
+  assert.deepEqual(uncited, { action: 'block', answer: 'No trusted sources were cited.', rules: ['citations'] });
+  assert.equal(policy.checkOutput('PCOS is common.', { sourceCount: 0 }).action, 'allow', 'answers without sources need no citations');
+});
+
+test('citationProblem tells missing citations from invalid ones', () => {
+  assert.equal(citationProblem('No tags.', 2), 'missing');
+  assert.equal(citationProblem('Tagged. [Source 3]', 2), 'invalid');
+  assert.equal(citationProblem('Tagged. [Source 0]', 2), 'invalid');
+  assert.equal(citationProblem('Tagged. [Source 2]', 2), null);
+});
+
+test('outputWouldBlock spots a blocking pattern in a partial stream', () => {
+  assert.equal(policy.outputWouldBlock('Based on this, you have PCOS'), true);
+  assert.equal(policy.outputWouldBlock('Diet cures PCOS'), false, 'rewrite rules wait for the full answer');
+});
+
+test('rules are validated when the policy is created', () => {
+  assert.throws(() => createGuardrailPolicy({ input_rules: [{ patterns: ['x'] }] }), /needs an id/);
+  assert.throws(() => createGuardrailPolicy({ input_rules: [{ id: 'a', patterns: ['x'], action: 'rewrite' }] }), /unsupported action/);
+  assert.throws(() => createGuardrailPolicy({ output_rules: [{ id: 'a', patterns: ['('] }] }), /invalid pattern/);
+  assert.throws(() => createGuardrailPolicy({ output_rules: [{ id: 'a' }] }), /at least one pattern/);
+});
+
+test('the default policy blocks dosing questions and has no output rules', () => {
+  const fallback = createGuardrailPolicy(DEFAULT_CONFIG);
+  assert.equal(fallback.checkInput('How much mg of metformin?').action, 'block');
+  assert.equal(fallback.outputRuleCount, 0);
+  assert.notEqual(fallback.version, policy.version);
+});
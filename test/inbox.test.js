@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createContactInbox } = require('../lib/inbox');
+
+function tempInboxFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'contact-inbox.json');
+}
+
+function saved(id, createdAt, overrides) {
+  return { id, createdAt, updatedAt: createdAt, status: 'new', name: 'Sam', email: 'sam@example.org', message: 'Hello', notes: [], history: [], ...overrides };
+}
+
+// Four submissions a day apart; the oldest was saved before submissions had a type.
+function seededInbox(t) {
+  const filePath = tempInboxFile(t);
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify([
+      saved('a', '2026-01-01T00:00:00.000Z', { message: 'Do you run school workshops?' }),
+      saved('b', '2026-01-02T00:00:00.000Z', {
+        type: 'volunteer',
+        status: 'replied',
+        name: 'Alex Kim',
+        details: [{ label: 'Skills', value: 'Design, Outreach' }],
+      }),
+      saved('c', '2026-01-03T00:00:00.000Z', { type: 'workshop', notes: [{ text: 'Call back about the March date' }] }),
+      saved('d', '2026-01-04T00:00:00.000Z', { type: 'general', status: 'spam', message: 'Cheap pills' }),
+    ]),
+    'utf8'
+  );
+  return createContactInbox(filePath);
+}
+
+const ids = (result) => result.items.map((item) => item.id);
+
+test('the list is newest first, with counts for the whole inbox', (t) => {
+  const result = seededInbox(t).list();
+  assert.deepEqual(ids(result), ['d', 'c', 'b', 'a']);
+  assert.equal(result.total, 4);
+  assert.deepEqual(result.counts, { new: 2, 'in-progress': 0, replied: 1, spam: 1 });
+  assert.deepEqual(result.typeCounts, { general: 2, volunteer: 1, workshop: 1 });
+});
+
+test('status and type filter the list, and a submission without a type is general', (t) => {
+  const inbox = seededInbox(t);
+  assert.deepEqual(ids(inbox.list({ status: 'new' })), ['c', 'a']);
+  assert.deepEqual(ids(inbox.list({ type: 'general' })), ['d', 'a']);
+  assert.deepEqual(ids(inbox.list({ status: 'new', type: 'general' })), ['a']);
+  const filtered = inbox.list({ status: 'replied' });
+  assert.equal(filtered.total, 1);
+  assert.equal(filtered.counts.new, 2, 'counts ignore the filters');
+});
+
+test('search needs every word, in the name, email, message, fields or notes', (t) => {
+  const inbox = seededInbox(t);
+  assert.deepEqual(ids(inbox.list({ q: 'WORKSHOPS school' })), ['a']);
+  assert.deepEqual(ids(inbox.list({ q: 'alex outreach' })), ['b'], 'name and a field value');
+  assert.deepEqual(ids(inbox.list({ q: 'march' })), ['c'], 'an internal note');
+  assert.deepEqual(ids(inbox.list({ q: 'workshops march' })), []);
+  assert.equal(inbox.list({ q: '   ' }).total, 4, 'a blank search keeps everything');
+});
+
+test('limit and offset page through the filtered list', (t) => {
+  const inbox = seededInbox(t);
+  const page = inbox.list({ limit: 2, offset: 1 });
+  assert.deepEqual(ids(page), ['c', 'b']);
+  assert.equal(page.total, 4);
+  assert.deepEqual(ids(inbox.list({ type: 'general', offset: 1 })), ['a']);
+});
+
+test('added submissions, statuses and notes are saved and show up in the filters', (t) => {
+  const filePath = tempInboxFile(t);
+  const inbox = createContactInbox(filePath);
+  const { id } = inbox.add({ type: 'workshop', name: 'Riley', email: 'riley@example.org', message: 'Hi', ip: '203.0.113.9' });
+  inbox.setStatus(id, 'in-progress', { author: '  Dana  ' });
+  inbox.addNote(id, { text: ' Booked for May ', author: '' });
+
+  const reloaded = createContactInbox(filePath);
+  assert.deepEqual(ids(reloaded.list({ status: 'in-progress', type: 'workshop', q: 'booked' })), [id]);
+  const submission = reloaded.get(id);
+  assert.deepEqual(submission.history.map(({ author, from, to }) => ({ author, from, to })), [{ author: 'Dana', from: 'new', to: 'in-progress' }]);
+  assert.deepEqual(submission.notes.map(({ author, text }) => ({ author, text })), [{ author: 'staff', text: 'Booked for May' }]);
+  assert.throws(() => reloaded.setStatus(id, 'archived'), /Status must be one of/);
+  assert.equal(reloaded.setStatus('no-such-id', 'spam'), null);
+});
+
+test('an unreadable inbox file stops startup instead of being overwritten', (t) => {
+  const filePath = tempInboxFile(t);
+  fs.writeFileSync(filePath, '{ not json', 'utf8');
+  assert.throws(() => createContactInbox(filePath), /Failed to load/);
+});
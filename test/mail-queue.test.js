@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailQueue, isPermanentMailError } = require('../lib/mail-queue');
+
+function smtpError(responseCode, code = 'EMESSAGE') {
+  return Object.assign(new Error(`${responseCode} refused`), { responseCode, code });
+}
+
+// A transport that fails or succeeds in the order given by `outcomes` (an Error fails that attempt),
+// then succeeds.
+function createTransport(outcomes = []) {
+  const sent = [];
+  return {
+    sent,
+    closed: false,
+    async sendMail(mail) {
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      sent.push(mail);
+      return { messageId: `<${sent.length}@test>` };
+    },
+    close() {
+      this.closed = true;
+    },
+  };
+}
+
+// Collects onStatus calls; until(predicate) resolves with the first message the predicate accepts. The
+// queue's own timers do not keep the process alive, so the wait holds a timer of its own.
+function watchStatuses() {
+  const waiters = [];
+  return {
+    onStatus(message) {
+      const snapshot = JSON.parse(JSON.stringify(message));
+      for (const waiter of waiters.splice(0)) {
+        if (waiter.predicate(snapshot)) waiter.resolve(snapshot);
+        else waiters.push(waiter);
+      }
+    },
+    until(predicate, timeoutMs = 2000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for the mail queue.')), timeoutMs);
+        waiters.push({
+          predicate,
+          resolve: (message) => {
+            clearTimeout(timer);
+            resolve(message);
+          },
+        });
+      });
+    },
+  };
+}
+
+function tempQueueFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'mail-queue.json');
+}
+
+const mail = { to: 'team@example.org', subject: 'Hello', text: 'Hi' };
+
+test('isPermanentMailError goes by the SMTP reply code when there is one', () => {
+  assert.equal(isPermanentMailError(smtpError(550)), true);
+  assert.equal(isPermanentMailError(smtpError(451)), false);
+  assert.equal(isPermanentMailError({ code: 'EENVELOPE' }), true);
+  assert.equal(isPermanentMailError({ code: 'ECONNECTION' }), false);
+  assert.equal(isPermanentMailError(null), false);
+});
+
+test('a temporary failure is retried until the message is sent', async (t) => {
+  const watcher = watchStatuses();
+  const transport = createTransport([smtpError(421, 'ECONNECTION'), smtpError(451)]);
+  const queue = createMailQueue(tempQueueFile(t), { transport, baseDelayMs: 5, onStatus: watcher.onStatus });
+  t.after(() => queue.stop());
+
+  const firstAttempt = watcher.until(() => true);
+  const sent = watcher.until((message) => message.status === 'sent');
+  const { id } = queue.enqueue(mail, { kind: 'test' });
+
+  const afterFirst = await firstAttempt;
+  assert.equal(afterFirst.status, 'queued');
+  assert.equal(afterFirst.attempts, 1);
+  assert.match(afterFirst.lastError, /^421/);
+  const done = await sent;
+  assert.equal(done.id, id);
+  assert.equal(done.attempts, 3);
+  assert.equal(transport.sent.length, 1);
+  assert.deepEqual(queue.stats(), { queued: 0, sending: 0, sent: 1, dead: 0, oldestQueuedAt: null });
+});
+
+test('a permanent failure goes straight to the dead letters', async (t) => {
+  const watcher = watchStatuses();
+  const transport = createTransport([smtpError(550, 'EENVELOPE')]);
+  const queue = createMailQueue(tempQueueFile(t), { transport, baseDelayMs: 5, onStatus: watcher.onStatus });
+  t.after(() => queue.stop());
+
+  const settled = watcher.until(() => true);
+  queue.enqueue(mail);
+  const message = await settled;
+  assert.equal(message.status, 'dead');
+  assert.equal(message.attempts, 1);
+  assert.match(message.lastError, /^550/);
+  assert.equal(queue.list({ status: 'dead' }).length, 1);
+});
+
+test('a message out of attempts is dead, and retry gives it a fresh set', async (t) => {
+  const watcher = watchStatuses();
+  const transport = createTransport([smtpError(421), smtpError(421)]);
+  const queue = createMailQueue(tempQueueFile(t), { transport, maxAttempts: 2, baseDelayMs: 5, onStatus: watcher.onStatus });
+  t.after(() => queue.stop());
+
+  const dead = watcher.until((message) => message.status === 'dead');
+  const { id } = queue.enqueue(mail);
+  assert.equal((await dead).attempts, 2);
+
+  const sent = watcher.until((message) => message.status === 'sent');
+  const retried = queue.retry(id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.attempts, 0);
+  assert.equal((await sent).attempts, 1);
+  assert.equal(queue.retry(id), null, 'a sent message cannot be retried');
+  assert.equal(queue.retry('no-such-id'), null);
+});
+
+test('queued messages survive a restart, and one caught mid-send is sent again', async (t) => {
+  const filePath = tempQueueFile(t);
+  const stuck = { id: 'stuck', kind: 'test', status: 'sending', attempts: 1, createdAt: '2026-01-01T00:00:00.000Z' };
+  fs.writeFileSync(filePath, JSON.stringify([{ ...stuck, nextAttemptAt: stuck.createdAt, mail }]), 'utf8');
+
+  const watcher = watchStatuses();
+  const transport = createTransport();
+  const queue = createMailQueue(filePath, { transport, onStatus: watcher.onStatus });
+  t.after(() => queue.stop());
+  assert.equal(queue.stats().queued, 1);
+
+  const sent = watcher.until((message) => message.status === 'sent');
+  queue.start();
+  assert.equal((await sent).attempts, 2);
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(saved[0].status, 'sent');
+});
+
+test('stop closes the transport', async (t) => {
+  const transport = createTransport();
+  const queue = createMailQueue(tempQueueFile(t), { transport });
+  await queue.stop();
+  assert.equal(transport.closed, true);
+});
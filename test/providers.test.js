@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../lib/providers');
+const { buildAnswerMessages, buildRewriteMessages } = require('../lib/prompt');
+
+const history = [
+  { role: 'user', content: 'What is insulin resistance?' },
+  { role: 'assistant', content: 'Insulin resistance means the body does not respond as effectively to insulin. [Source 1]' },
+];
+
+test('the mock rewrites a follow-up by joining it to the previous user turn', async () => {
+  const { text } = await createMockProvider().complete({ messages: buildRewriteMessages('How is it treated?', history) });
+  assert.equal(text, 'What is insulin resistance? How is it treated?');
+});
+
+test('the mock rewrite uses the latest user turn and needs one to add context', async () => {
+  const mock = createMockProvider();
+  const longer = [...history, { role: 'user', content: 'Is it linked to PCOS?' }, { role: 'assistant', content: 'Yes.' }];
+  assert.equal((await mock.complete({ messages: buildRewriteMessages('Why?', longer) })).text, 'Is it linked to PCOS? Why?');
+  assert.equal((await mock.complete({ messages: buildRewriteMessages('Why?', []) })).text, 'Why?');
+});
+
+test('the mock answers from the first sentence of each excerpt', async () => {
+  const contextItems = [
+    { doc: { title: 'Overview', url: 'https://example.org/a', content: 'PCOS is common. It varies.' } },
+    { doc: { title: 'Symptoms', url: 'https://example.org/b', content: 'Symptoms differ between people.' } },
+  ];
+  const messages = buildAnswerMessages('What is PCOS?', contextItems, { systemPrompt: 'Answer.', history });
+  const { text, usage } = await createMockProvider().complete({ messages });
+  assert.equal(text, 'PCOS is common. [Source 1] Symptoms differ between people. [Source 2]');
+  assert.equal(usage.total_tokens, usage.prompt_tokens + usage.completion_tokens);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRetryableError, withRetries, createCircuitBreaker, createResilientProvider } = require('../lib/resilience');
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+}
+
+// A provider whose calls fail or succeed in the order given by `outcomes` (an Error fails that call),
+// then succeed.
+function createProvider(outcomes = []) {
+  const provider = {
+    name: 'test',
+    calls: 0,
+    isConfigured: () => true,
+    async complete() {
+      provider.calls += 1;
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      return { text: 'ok', usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } };
+    },
+  };
+  return provider;
+}
+
+// Moves Date.now, which the breaker reads for its cooldown.
+function mockClock(t) {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => (now += ms) };
+}
+
+test('rate limits, server errors and dropped connections are retryable; other errors are not', () => {
+  assert.equal(isRetryableError(httpError(429)), true);
+  assert.equal(isRetryableError(httpError(503)), true);
+  assert.equal(isRetryableError(httpError(400)), false);
+  assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+  assert.equal(isRetryableError({ code: 'ERR_CANCELED' }), false);
+  assert.equal(isRetryableError({ code: 'CIRCUIT_OPEN' }), false);
+});
+
+test('withRetries tries again until a call succeeds or the retries run out', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const options = { retries: 2, baseDelayMs: 1, maxDelayMs: 2 };
+  let attempts = 0;
+  assert.equal(await withRetries(async () => (++attempts < 3 ? Promise.reject(httpError(503)) : 'done'), options), 'done');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(withRetries(async () => Promise.reject(httpError(503 + attempts++)), options), /HTTP 505/);
+  attempts = 0;
+  await assert.rejects(withRetries(async () => Promise.reject(httpError(400 + attempts++)), options), /HTTP 400/, 'not retried');
+});
+
+test('the breaker opens after the failure threshold and rejects calls while open', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  mockClock(t);
+  const breaker = createCircuitBreaker({ name: 'chat', failureThreshold: 2, cooldownMs: 1000 });
+  assert.equal(breaker.tryAcquire(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.status().state, 'closed');
+  breaker.recordFailure();
+  assert.equal(breaker.status().state, 'open');
+  assert.equal(breaker.isOpen(), true);
+  assert.equal(breaker.tryAcquire(), false);
+  assert.ok(breaker.status().retryAt);
+});
+
+test('after the cooldown one trial call is let through, and its success closes the breaker', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const clock = mockClock(t);
+  const breaker = createCircuitBreaker({ name: 'chat', failureThreshold: 1, cooldownMs: 1000 });
+  breaker.recordFailure();
+  clock.advance(999);
+  assert.equal(breaker.tryAcquire(), false);
+
+  clock.advance(1);
+  assert.equal(breaker.status().state, 'half-open');
+  assert.equal(breaker.tryAcquire(), true, 'the trial call');
+  assert.equal(breaker.tryAcquire(), false, 'only one trial at a time');
+  breaker.recordSuccess();
+  assert.deepEqual(breaker.status(), { state: 'closed', failures: 0, retryAt: undefined });
+  assert.equal(breaker.tryAcquire(), true);
+});
+
+test('a failed trial call opens the breaker again, and a released one frees the trial', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = mockClock(t);
+  const breaker = createCircuitBreaker({ name: 'chat', failureThreshold: 3, cooldownMs: 1000 });
+  for (let i = 0; i < 3; i += 1) breaker.recordFailure();
+  clock.advance(1000);
+  assert.equal(breaker.tryAcquire(), true);
+  breaker.release();
+  assert.equal(breaker.tryAcquire(), true, 'a released trial can be retried');
+  breaker.recordFailure();
+  assert.equal(breaker.status().state, 'open', 'one failure is enough when half-open');
+  assert.equal(breaker.tryAcquire(), false);
+});
+
+test('the resilient provider retries, reports usage and trips its breaker', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const usage = [];
+  const breaker = createCircuitBreaker({ name: 'chat', failureThreshold: 2, cooldownMs: 60000 });
+  const provider = createProvider([httpError(503), null, httpError(400), httpError(400)]);
+  const resilient = createResilientProvider(provider, {
+    breaker,
+    retry: { retries: 1, baseDelayMs: 1, maxDelayMs: 1 },
+    onUsage: (kind, report, model) => usage.push([kind, report.total_tokens, model]),
+  });
+
+  assert.equal((await resilient.complete({ model: 'm', messages: [] })).text, 'ok');
+  assert.equal(provider.calls, 2);
+  assert.deepEqual(usage, [['chat', 5, 'm']]);
+
+  await assert.rejects(resilient.complete({ model: 'm', messages: [] }), /HTTP 400/);
+  await assert.rejects(resilient.complete({ model: 'm', messages: [] }), /HTTP 400/);
+  await assert.rejects(resilient.complete({ model: 'm', messages: [] }), { code: 'CIRCUIT_OPEN' });
+  assert.equal(provider.calls, 4, 'an open breaker makes no call');
+});
+
+test('a streamed answer is not retried after its first token', async (t) => {
+  const breaker = createCircuitBreaker({ name: 'chat' });
+  let calls = 0;
+  const provider = {
+    name: 'test',
+    isConfigured: () => true,
+    async complete({ onToken }) {
+      calls += 1;
+      onToken('Hello');
+      throw httpError(503);
+    },
+  };
+  const resilient = createResilientProvider(provider, { breaker, retry: { retries: 2, baseDelayMs: 1 } });
+  const tokens = [];
+  await assert.rejects(resilient.complete({ messages: [], onToken: (text) => tokens.push(text) }), /HTTP 503/);
+  assert.equal(calls, 1);
+  assert.deepEqual(tokens, ['Hello']);
+  assert.equal(breaker.status().failures, 1);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  analyze,
+  stem,
+  createLexicalIndex,
+  rankByEmbedding,
+  reciprocalRankFusion,
+  diversifyBySection,
+  retrieveContext,
+} = require('../lib/retrieval');
+const { encodeVectorStore, decodeVectorStore } = require('../lib/vector-store');
+
+const documents = [
+  { id: 'fertility-1', section: 'fertility', title: 'Fertility', content: 'PCOS may affect ovulation and conception.' },
+  { id: 'fertility-2', section: 'fertility', title: 'Fertility', content: 'Ovulation can be supported by a clinician.' },
+  { id: 'lifestyle-1', section: 'lifestyle', title: 'Lifestyle', content: 'Regular exercise and balanced nutrition help.' },
+  { id: 'diagnosis-1', section: 'diagnosis', title: 'Diagnosis', content: 'Diagnosis is based on clinical evaluation.' },
+];
+
+// Unit vectors along one axis per document.
+const vectorStore = decodeVectorStore(
+  encodeVectorStore({
+    model: 'test-model',
+    provider: 'test',
+    kbVersion: 'v1',
+    items: documents.map((doc, index) => ({
+      id: doc.id,
+      hash: doc.id,
+      embedding: documents.map((other, i) => (i === index ? 1 : 0)),
+    })),
+  })
+);
+
+const kb = { documents, lexicalIndex: createLexicalIndex(documents), vectorStore };
+const ranked = (...ids) => ids.map((id, index) => ({ doc: documents.find((doc) => doc.id === id), score: 10 - index }));
+
+test('stem maps a word and its inflections to one stem', () => {
+  assert.equal(stem('managed'), stem('management'));
+  assert.equal(stem('manage'), stem('managing'));
+  assert.equal(stem('diagnosed'), stem('diagnosis'));
+  assert.equal(stem('pcos'), 'pcos');
+});
+
+test('analyze drops stop words and adds the concept of each synonym phrase', () => {
+  const terms = analyze('Can I get pregnant with polycystic ovary syndrome?');
+  assert.ok(!terms.includes('can') && !terms.includes('with'));
+  assert.ok(terms.includes('~fertility'));
+  assert.ok(terms.includes('~pcos'));
+});
+
+test('BM25 ranks documents by the question terms they contain', () => {
+  const results = kb.lexicalIndex.search('how is pcos diagnosed', 10);
+  assert.equal(results[0].doc.id, 'diagnosis-1');
+  assert.deepEqual(kb.lexicalIndex.search('what is the', 10), [], 'a question of stop words matches nothing');
+});
+
+test('rank fusion sums 1 / (k + rank) and keeps each retriever score', () => {
+  const fused = reciprocalRankFusion({
+    lexical: ranked('lifestyle-1', 'fertility-1'),
+    vector: ranked('fertility-1', 'diagnosis-1'),
+  });
+  assert.deepEqual(
+    fused.map((item) => item.doc.id),
+    ['fertility-1', 'lifestyle-1', 'diagnosis-1']
+  );
+  assert.equal(fused[0].score, 1 / 62 + 1 / 61);
+  assert.deepEqual(fused[0].scores, { lexical: 9, vector: 10 });
+  assert.equal(fused[1].score, 1 / 61);
+});
+
+test('diversifyBySection keeps the best chunk of each section', () => {
+  const picked = diversifyBySection(ranked('fertility-1', 'fertility-2', 'lifestyle-1', 'diagnosis-1'), 2);
+  assert.deepEqual(
+    picked.map((item) => item.doc.id),
+    ['fertility-1', 'lifestyle-1']
+  );
+});
+
+test('rankByEmbedding scores by cosine similarity and rejects another dimension', () => {
+  const results = rankByEmbedding([0.2, 0, 0.9, 0], documents, vectorStore, 10);
+  assert.deepEqual(
+    results.map((item) => item.doc.id),
+    ['lifestyle-1', 'fertility-1']
+  );
+  assert.throws(() => rankByEmbedding([1, 0], documents, vectorStore, 10), /2 dimensions, store has 4/);
+});
+
+test('matches below the thresholds count as no context', () => {
+  const question = 'can exercise help';
+  const thresholds = { limit: 2, minLexicalScore: 0.5, minSimilarity: 0.5 };
+  assert.equal(retrieveContext(kb, question, null, thresholds)[0].doc.id, 'lifestyle-1');
+  assert.deepEqual(retrieveContext(kb, question, null, { ...thresholds, minLexicalScore: 100 }), []);
+
+  const weakVector = [0.3, 0.3, 0, 0.9];
+  const vectorOnly = retrieveContext(kb, 'unrelated words', weakVector, thresholds);
+  assert.deepEqual(
+    vectorOnly.map((item) => item.doc.id),
+    ['diagnosis-1'],
+    'vector matches under minSimilarity are dropped'
+  );
+});
+
+test('a query embedding of the wrong size falls back to keyword search', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const results = retrieveContext(kb, 'can exercise help', [1, 0], { limit: 2, minLexicalScore: 0.5, minSimilarity: 0.5 });
+  assert.deepEqual(
+    results.map((item) => item.doc.id),
+    ['lifestyle-1']
+  );
+  assert.equal(warn.mock.callCount(), 1);
+});
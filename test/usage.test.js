@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUsageLedger } = require('../lib/usage');
+const { createCircuitBreaker, createResilientProvider } = require('../lib/resilience');
+const { createMockProvider } = require('../lib/providers');
+
+function tempUsageFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'usage.json');
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('usage is totalled per day and month, with costs from the configured prices', (t) => {
+  const ledger = createUsageLedger(tempUsageFile(t), { prices: { input: 1, output: 2, embedding: 0.5 } });
+  ledger.record('chat', { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 });
+  ledger.record('embedding', { prompt_tokens: 2000, total_tokens: 2000 });
+  const { today: day, month } = ledger.summary();
+  assert.deepEqual(day, { requests: 2, promptTokens: 1000, completionTokens: 500, embeddingTokens: 2000, totalTokens: 3500, cost: 0.003 });
+  assert.deepEqual(month, day);
+});
+
+test('reaching the daily token cap puts the chatbot in degraded mode', async (t) => {
+  // Wired as in server.js: provider usage goes to the ledger, and a limit it reports means degraded mode.
+  const ledger = createUsageLedger(tempUsageFile(t), { limits: { dailyTokens: 100 } });
+  const provider = createResilientProvider(createMockProvider(), {
+    breaker: createCircuitBreaker({ name: 'chat' }),
+    onUsage: (kind, usage) => ledger.record(kind, usage),
+  });
+
+  await provider.complete({ messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(ledger.exceededLimit(), null);
+  await provider.complete({ messages: [{ role: 'user', content: 'x'.repeat(400) }] });
+  assert.equal(ledger.exceededLimit(), 'daily token limit of 100 reached');
+});
+
+test('each ceiling is reported, and none apply while they are 0', (t) => {
+  const usage = { prompt_tokens: 1e6, completion_tokens: 0, total_tokens: 1e6 };
+  const record = (limits) => {
+    const ledger = createUsageLedger(tempUsageFile(t), { limits, prices: { input: 2 } });
+    ledger.record('chat', usage);
+    return ledger.exceededLimit();
+  };
+  assert.equal(record({}), null);
+  assert.equal(record({ dailyTokens: 0, monthlyTokens: 0 }), null);
+  assert.equal(record({ monthlyTokens: 1e6 }), 'monthly token limit of 1000000 reached');
+  assert.equal(record({ dailyCost: 2 }), 'daily cost limit of $2 reached');
+  assert.equal(record({ monthlyCost: 1.5 }), 'monthly cost limit of $1.5 reached');
+});
+
+test("yesterday's spending does not count against today's cap", (t) => {
+  const filePath = tempUsageFile(t);
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const spent = { requests: 1, promptTokens: 500, completionTokens: 0, embeddingTokens: 0, totalTokens: 500, cost: 0 };
+  fs.writeFileSync(filePath, JSON.stringify({ days: { [yesterday]: spent }, months: {} }), 'utf8');
+  const ledger = createUsageLedger(filePath, { limits: { dailyTokens: 100 } });
+  assert.equal(ledger.exceededLimit(), null);
+});
+
+test('usage is saved to disk and loaded back', (t) => {
+  const filePath = tempUsageFile(t);
+  const ledger = createUsageLedger(filePath, { limits: { dailyTokens: 10 } });
+  ledger.record('chat', { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 });
+  ledger.flush();
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).days[today()].totalTokens, 12);
+  assert.equal(createUsageLedger(filePath, { limits: { dailyTokens: 10 } }).exceededLimit(), 'daily token limit of 10 reached');
+});